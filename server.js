@@ -11,47 +11,235 @@ const port = process.env.PORT || 3000;
 const sslKeyPath = process.env.SSL_KEY;
 const sslCertPath = process.env.SSL_CERT;
 
-// Load settings from config file
+// Settings live in config/defaults.json as { system, games: { [gameId]: {...} } }
 const defaultsPath = path.join(__dirname, 'config', 'defaults.json');
-const defaults = JSON.parse(fs.readFileSync(defaultsPath, 'utf8'));
+// Rooms other than the default one keep their settings in config/rooms/<room>.json
+const roomsConfigDir = path.join(__dirname, 'config', 'rooms');
+// Named presets shared by all rooms
+const presetsPath = path.join(__dirname, 'config', 'presets.json');
+// Calibration profiles: the last committed pose of each screen, keyed by screen id. Every room has
+// its own (screen ids like 'main' repeat across rooms): config/calibrations.json for the default
+// room, config/rooms/<room>.calibrations.json for the others.
+const calibrationsPath = path.join(__dirname, 'config', 'calibrations.json');
+// Longest preset or calibration profile name
+const NAME_MAX_LENGTH = 64;
+// Most accuracy test points kept with a profile
+const ACCURACY_TEST_MAX_POINTS = 64;
 
-// Initialize appConfig with system defaults + all game defaults dynamically
-const appConfig = {
-    ...defaults.systemDefaults
-};
+// Settings metadata is declared by the games, which are ES modules shared with the browser bundle.
+// It is loaded before the server starts listening (see the bottom of this file).
+let settingsSchema = null;
 
-// Merge all game defaults from config file
-for (const gameId in defaults.gameDefaults) {
-    Object.assign(appConfig, defaults.gameDefaults[gameId]);
+// Rooms let several independent installations share one server (e.g. /screen?room=lab2).
+// Each room has its own clients, config (and therefore active game) and screen layout.
+const DEFAULT_ROOM = 'default';
+const ROOM_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const rooms = new Map();
+
+function getRoomConfigPath(roomName) {
+    return roomName === DEFAULT_ROOM ? defaultsPath : path.join(roomsConfigDir, `${roomName}.json`);
+}
+
+function getRoomCalibrationsPath(roomName) {
+    return roomName === DEFAULT_ROOM ? calibrationsPath : path.join(roomsConfigDir, `${roomName}.calibrations.json`);
+}
+
+// Read a stored config file, upgrading older layouts (and rewriting the file in the new one)
+function readConfigFile(filePath) {
+    if (!fs.existsSync(filePath)) return null;
+    const { config, migrated } = settingsSchema.migrateConfig(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    if (migrated) {
+        writeConfigFile(filePath, config);
+        console.log(`Migrated ${path.relative(__dirname, filePath)} to per-game settings`);
+    }
+    return config;
+}
+
+function writeConfigFile(filePath, config) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(config, null, 2) + '\n');
 }
 
-function saveDefaultsConfig() {
+function loadRoomConfig(roomName) {
+    // Defaults declared by the games, overlaid with config/defaults.json
+    let config = settingsSchema.getFactoryDefaults();
     try {
-        // Update the defaults structure and save back to defaults.json
-        const updatedDefaults = {
-            systemDefaults: {},
-            gameDefaults: {}
-        };
-        
-        // Reconstruct systemDefaults from current appConfig
-        for (const key of Object.keys(defaults.systemDefaults)) {
-            updatedDefaults.systemDefaults[key] = appConfig[key];
-        }
-        
-        // Reconstruct gameDefaults from current appConfig
-        for (const gameId in defaults.gameDefaults) {
-            updatedDefaults.gameDefaults[gameId] = {};
-            for (const key of Object.keys(defaults.gameDefaults[gameId])) {
-                updatedDefaults.gameDefaults[gameId][key] = appConfig[key];
-            }
-        }
-        
-        fs.writeFileSync(defaultsPath, JSON.stringify(updatedDefaults, null, 2));
+        config = settingsSchema.mergeConfig(config, readConfigFile(defaultsPath));
+    } catch (e) {
+        console.warn('Failed to load config/defaults.json:', e);
+    }
+    if (roomName === DEFAULT_ROOM) return config;
+
+    // Overlay the room's saved settings, if it has any
+    try {
+        config = settingsSchema.mergeConfig(config, readConfigFile(getRoomConfigPath(roomName)));
+    } catch (e) {
+        console.warn(`Failed to load config for room "${roomName}":`, e);
+    }
+    return config;
+}
+
+function saveRoomConfig(room) {
+    const roomPath = getRoomConfigPath(room.name);
+    try {
+        writeConfigFile(roomPath, room.config);
+    } catch (e) {
+        console.warn(`Failed to save config to ${path.relative(__dirname, roomPath)}:`, e);
+    }
+}
+
+// Presets and calibration profiles are plain JSON objects keyed by name / screen id
+function readJsonStore(filePath) {
+    if (!fs.existsSync(filePath)) return {};
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (e) {
+        console.warn(`Failed to read ${path.relative(__dirname, filePath)}:`, e);
+        return {};
+    }
+}
+
+function writeJsonStore(filePath, data) {
+    try {
+        writeConfigFile(filePath, data);
     } catch (e) {
-        console.warn('Failed to save config to defaults.json:', e);
+        console.warn(`Failed to save ${path.relative(__dirname, filePath)}:`, e);
     }
 }
 
+function readPresets() {
+    return readJsonStore(presetsPath);
+}
+
+function writePresets(presets) {
+    writeJsonStore(presetsPath, presets);
+}
+
+function readCalibrations(roomName) {
+    return readJsonStore(getRoomCalibrationsPath(roomName));
+}
+
+function writeCalibrations(roomName, calibrations) {
+    writeJsonStore(getRoomCalibrationsPath(roomName), calibrations);
+}
+
+function normalizeName(value) {
+    if (typeof value !== 'string') return null;
+    const name = value.trim();
+    if (!name || name.length > NAME_MAX_LENGTH || /[\u0000-\u001f]/.test(name) || name === '__proto__') return null;
+    return name;
+}
+
+function findPreset(presets, name) {
+    return Object.hasOwn(presets, name) ? presets[name] : null;
+}
+
+function findCalibration(calibrations, screenId) {
+    return Object.hasOwn(calibrations, screenId) ? calibrations[screenId] : null;
+}
+
+function isFiniteVector(value, length) {
+    return Array.isArray(value) && value.length === length && value.every(Number.isFinite);
+}
+
+// Store a CALIBRATION_COMMIT as the profile of its screen, keeping the profile's name if it had one
+function saveCalibrationProfile(room, commit) {
+    if (!commit || !isFiniteVector(commit.topLeftCorner, 3) || !isFiniteVector(commit.bottomRightCorner, 3) ||
+        !Number.isFinite(commit.rectXDistance) || !Number.isFinite(commit.rectYDistance)) {
+        return;
+    }
+    const screenId = normalizeScreenId(commit.screenId);
+    if (screenId === '__proto__') return;
+    const screenInfo = getRoomScreens(room).find((info) => info.screenId === screenId);
+    const calibrations = readCalibrations(room.name);
+    const previous = findCalibration(calibrations, screenId);
+    calibrations[screenId] = {
+        name: previous ? previous.name : screenId,
+        screenWidth: screenInfo ? screenInfo.screenWidth : null,
+        screenHeight: screenInfo ? screenInfo.screenHeight : null,
+        topLeftCorner: commit.topLeftCorner,
+        bottomRightCorner: commit.bottomRightCorner,
+        quaternion: isFiniteVector(commit.quaternion, 4) ? commit.quaternion : null,
+        rectXDistance: commit.rectXDistance,
+        rectYDistance: commit.rectYDistance,
+        errorPx: commit.accuracy && Number.isFinite(commit.accuracy.errorPx) ? commit.accuracy.errorPx : null,
+        referenceSpace: typeof commit.referenceSpace === 'string' ? commit.referenceSpace : null,
+        savedAt: new Date().toISOString()
+    };
+    writeCalibrations(room.name, calibrations);
+}
+
+function finiteOrNull(value) {
+    return Number.isFinite(value) ? value : null;
+}
+
+function toCanvasPoint(value) {
+    return value && Number.isFinite(value.canvasX) && Number.isFinite(value.canvasY)
+        ? { canvasX: value.canvasX, canvasY: value.canvasY }
+        : null;
+}
+
+// Keep the latest ACCURACY_TEST_RESULT with the screen's profile. Saving a new calibration
+// replaces the whole profile, so a test always describes the calibration it was run on.
+function saveAccuracyTest(room, result) {
+    if (!result || !Array.isArray(result.points)) return;
+    const calibrations = readCalibrations(room.name);
+    const profile = findCalibration(calibrations, normalizeScreenId(result.screenId));
+    if (!profile) return;
+    const points = result.points.slice(0, ACCURACY_TEST_MAX_POINTS).map((point) => ({
+        target: toCanvasPoint(point && point.target),
+        hit: toCanvasPoint(point && point.hit),
+        errorPx: finiteOrNull(point && point.errorPx),
+        method: point && (point.method === 'ray' || point.method === 'touch') ? point.method : null
+    })).filter((point) => point.target);
+    profile.accuracyTest = {
+        points,
+        rmsPx: finiteOrNull(result.rmsPx),
+        meanPx: finiteOrNull(result.meanPx),
+        maxPx: finiteOrNull(result.maxPx),
+        missed: Number.isInteger(result.missed) ? result.missed : 0,
+        testedAt: new Date().toISOString()
+    };
+    writeCalibrations(room.name, calibrations);
+}
+
+// SCREEN_CALIBRATION as sent to VR clients: offers the screen's stored profile in the room when there is one
+function withCalibrationProfile(room, message) {
+    const profile = findCalibration(readCalibrations(room.name), message.screenId);
+    return profile ? { ...message, profile: { screenId: message.screenId, ...profile } } : message;
+}
+
+function normalizeRoomName(value) {
+    if (value === undefined || value === null || value === '') return DEFAULT_ROOM;
+    const name = String(value).trim();
+    return ROOM_NAME_PATTERN.test(name) ? name : null;
+}
+
+function getRoom(roomName) {
+    let room = rooms.get(roomName);
+    if (!room) {
+        room = {
+            name: roomName,
+            clients: new Map(),
+            suspended: new Map(), // resumeToken -> clientInfo of dropped clients within the grace period
+            config: loadRoomConfig(roomName),
+            screenRegistrationCounter: 0
+        };
+        rooms.set(roomName, room);
+    }
+    return room;
+}
+
+// Resolve the room addressed by an HTTP request (?room=lab2), or reply 400 and return null
+function getRequestRoom(req, res) {
+    const roomName = normalizeRoomName(req.query.room);
+    if (!roomName) {
+        res.status(400).json({ error: 'Invalid room name' });
+        return null;
+    }
+    return getRoom(roomName);
+}
+
 const server = (sslKeyPath && sslCertPath)
     ? https.createServer(
         {
@@ -63,10 +251,17 @@ const server = (sslKeyPath && sslCertPath)
     : http.createServer(app);
 const wss = new WebSocket.Server({ server });
 
-const connectedClients = new Map();
-let screenRegistered = false;
 let isShuttingDown = false;
 
+// Dropped clients can resume their session (same userID) within this grace period
+const RESUME_GRACE_MS = 30000;
+const sessions = new Map(); // resumeToken -> { room, clientInfo, ws, expireTimer }
+// Close code sent to a stale socket whose session was resumed elsewhere (clients do not reconnect on it)
+const SESSION_REPLACED_CLOSE_CODE = 4001;
+
+// Screens register with a screenId so several displays can be used side by side.
+const DEFAULT_SCREEN_ID = 'main';
+
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'dist')));
 app.use(express.static(path.join(__dirname, 'public')));
@@ -85,63 +280,241 @@ routes.forEach((route) => {
 });
 
 app.get('/api/config', (req, res) => {
-    res.json(appConfig);
+    const room = getRequestRoom(req, res);
+    if (!room) return;
+    res.json(room.config);
 });
 
 app.post('/api/config', (req, res) => {
-    const next = req.body || {};
-    let changed = false;
-
-    // Update any setting that exists in our config
-    for (const key in next) {
-        if (key in appConfig) {
-            const value = next[key];
-            const currentValue = appConfig[key];
-            const valueType = typeof currentValue;
-            
-            // Type-check and apply the value
-            if (typeof value === valueType) {
-                // Additional validation for specific settings
-                if (key === 'screenGeometryMode') {
-                    const mode = String(value).toLowerCase();
-                    if (mode === 'flat' || mode === 'curved') {
-                        appConfig[key] = mode;
-                        changed = true;
-                    }
-                } else if (valueType === 'number' && Number.isFinite(value)) {
-                    appConfig[key] = value;
-                    changed = true;
-                } else {
-                    appConfig[key] = value;
-                    changed = true;
-                }
-            }
-        }
-    }
-    
-    // Legacy compatibility: allow setting absolute gravity and convert it to a multiplier.
+    const room = getRequestRoom(req, res);
+    if (!room) return;
+    const appConfig = room.config;
+    const next = { ...(req.body || {}) };
+
+    // Legacy compatibility: allow setting absolute gravity and convert it to a multiplier
+    // (rounded to the multiplier's step so it passes validation).
     if (typeof next.gravityPixelsPerSec2 === 'number' && Number.isFinite(next.gravityPixelsPerSec2)) {
-        appConfig.gravityMultiplier = next.gravityPixelsPerSec2 / 980;
-        changed = true;
+        const games = { ...(next.games || {}) };
+        games.balls = { gravityMultiplier: Math.round(next.gravityPixelsPerSec2 / 980 * 10) / 10, ...(games.balls || {}) };
+        next.games = games;
     }
+    delete next.gravityPixelsPerSec2;
 
-    if (changed) {
-        saveDefaultsConfig();
-        broadcastConfig();
+    // Validate every field against the metadata the games declare; nothing is applied if any field is invalid
+    const { values, errors } = settingsSchema.validateConfigUpdate(next, appConfig);
+    if (Object.keys(errors).length > 0) {
+        res.status(400).json({ error: 'Invalid settings', errors });
+        return;
     }
+
+    applyRoomConfig(room, values);
     res.json(appConfig);
 });
 
+// Reset a room to the defaults declared in the settings metadata
+app.post('/api/config/reset', (req, res) => {
+    const room = getRequestRoom(req, res);
+    if (!room) return;
+    room.config = settingsSchema.getFactoryDefaults();
+    saveRoomConfig(room);
+    broadcastConfig(room);
+    res.json(room.config);
+});
+
+// Presets are named configs shared by all rooms (e.g. "kids booth", "demo day").
+// A preset may hold only some settings; loading it changes just those.
+app.get('/api/presets', (req, res) => {
+    const presets = readPresets();
+    res.json(Object.keys(presets).sort().map((name) => ({ name, savedAt: presets[name].savedAt })));
+});
+
+app.get('/api/presets/:name', (req, res) => {
+    const preset = findPreset(readPresets(), req.params.name);
+    if (!preset) {
+        res.status(404).json({ error: `Unknown preset: ${req.params.name}` });
+        return;
+    }
+    res.json({ name: req.params.name, ...preset });
+});
+
+// Save the room's current config as a preset: { name }
+app.post('/api/presets', (req, res) => {
+    const room = getRequestRoom(req, res);
+    if (!room) return;
+    const name = normalizeName(req.body && req.body.name);
+    if (!name) {
+        res.status(400).json({ error: 'Invalid preset name' });
+        return;
+    }
+    const presets = readPresets();
+    presets[name] = { savedAt: new Date().toISOString(), config: room.config };
+    writePresets(presets);
+    res.json({ name, ...presets[name] });
+});
+
+// Create or replace a preset from a given config (JSON import): { config }
+app.put('/api/presets/:name', (req, res) => {
+    const name = normalizeName(req.params.name);
+    if (!name) {
+        res.status(400).json({ error: 'Invalid preset name' });
+        return;
+    }
+    if (!req.body || !req.body.config || typeof req.body.config !== 'object') {
+        res.status(400).json({ error: 'Missing config' });
+        return;
+    }
+    const { config } = settingsSchema.migrateConfig(req.body.config);
+    const { values, errors } = settingsSchema.validateConfigUpdate(config, settingsSchema.getFactoryDefaults());
+    if (Object.keys(errors).length > 0) {
+        res.status(400).json({ error: 'Invalid settings', errors });
+        return;
+    }
+    const presets = readPresets();
+    presets[name] = { savedAt: new Date().toISOString(), config: values };
+    writePresets(presets);
+    res.json({ name, ...presets[name] });
+});
+
+// Apply a preset to a room. Settings that no longer validate (e.g. a game changed its limits) are skipped.
+app.post('/api/presets/:name/load', (req, res) => {
+    const room = getRequestRoom(req, res);
+    if (!room) return;
+    const preset = findPreset(readPresets(), req.params.name);
+    if (!preset) {
+        res.status(404).json({ error: `Unknown preset: ${req.params.name}` });
+        return;
+    }
+    const { values, errors } = settingsSchema.validateConfigUpdate(preset.config, room.config);
+    applyRoomConfig(room, values);
+    res.json({ config: room.config, skipped: errors });
+});
+
+app.delete('/api/presets/:name', (req, res) => {
+    const presets = readPresets();
+    if (!findPreset(presets, req.params.name)) {
+        res.status(404).json({ error: `Unknown preset: ${req.params.name}` });
+        return;
+    }
+    delete presets[req.params.name];
+    writePresets(presets);
+    res.json({ ok: true });
+});
+
+// Calibration profiles are saved whenever a VR client commits a calibration (presses Ready) and
+// offered to every VR client in SCREEN_CALIBRATION for a screen with the same id in the same room.
+// Like the config, they are addressed by ?room= (the default room without it).
+app.get('/api/calibrations', (req, res) => {
+    const room = getRequestRoom(req, res);
+    if (!room) return;
+    const calibrations = readCalibrations(room.name);
+    res.json(Object.keys(calibrations).sort().map((screenId) => {
+        const { name, screenWidth, screenHeight, errorPx, savedAt, accuracyTest = null } = calibrations[screenId];
+        return { screenId, name, screenWidth, screenHeight, errorPx, savedAt, accuracyTest };
+    }));
+});
+
+app.get('/api/calibrations/:screenId', (req, res) => {
+    const room = getRequestRoom(req, res);
+    if (!room) return;
+    const profile = findCalibration(readCalibrations(room.name), req.params.screenId);
+    if (!profile) {
+        res.status(404).json({ error: `No calibration for screen: ${req.params.screenId}` });
+        return;
+    }
+    res.json({ screenId: req.params.screenId, ...profile });
+});
+
+// Rename a profile: { name }
+app.put('/api/calibrations/:screenId', (req, res) => {
+    const room = getRequestRoom(req, res);
+    if (!room) return;
+    const calibrations = readCalibrations(room.name);
+    const profile = findCalibration(calibrations, req.params.screenId);
+    if (!profile) {
+        res.status(404).json({ error: `No calibration for screen: ${req.params.screenId}` });
+        return;
+    }
+    const name = normalizeName(req.body && req.body.name);
+    if (!name) {
+        res.status(400).json({ error: 'Invalid calibration name' });
+        return;
+    }
+    profile.name = name;
+    writeCalibrations(room.name, calibrations);
+    res.json({ screenId: req.params.screenId, ...profile });
+});
+
+// Ask the room's headsets to run the accuracy test on a connected screen; the result arrives
+// later as ACCURACY_TEST_RESULT and is stored with the profile
+app.post('/api/calibrations/:screenId/test', (req, res) => {
+    const room = getRequestRoom(req, res);
+    if (!room) return;
+    const screenId = req.params.screenId;
+    if (!getScreenClient(room, screenId)) {
+        res.status(404).json({ error: `Screen "${screenId}" is not connected in room "${room.name}"` });
+        return;
+    }
+    let sent = 0;
+    for (const [clientWS, clientInfo] of room.clients) {
+        if (clientInfo.type === 'VR' && !clientInfo.emulated) {
+            sendMessage(clientWS, { type: 'ACCURACY_TEST', message: { screenId } });
+            sent++;
+        }
+    }
+    if (sent === 0) {
+        res.status(409).json({ error: `No headset connected in room "${room.name}"` });
+        return;
+    }
+    res.json({ ok: true, headsets: sent });
+});
+
+app.delete('/api/calibrations/:screenId', (req, res) => {
+    const room = getRequestRoom(req, res);
+    if (!room) return;
+    const calibrations = readCalibrations(room.name);
+    if (!findCalibration(calibrations, req.params.screenId)) {
+        res.status(404).json({ error: `No calibration for screen: ${req.params.screenId}` });
+        return;
+    }
+    delete calibrations[req.params.screenId];
+    writeCalibrations(room.name, calibrations);
+    res.json({ ok: true });
+});
+
 app.post('/api/draw/clear', (req, res) => {
-    for (const [clientWS] of connectedClients) {
+    const room = getRequestRoom(req, res);
+    if (!room) return;
+    for (const [clientWS] of room.clients) {
         sendMessage(clientWS, { type: 'GAME_EVENT', message: { event: 'DRAW_CLEAR' } });
     }
     res.json({ ok: true });
 });
 
-function broadcastConfig() {
-    for (const [clientWS] of connectedClients) {
-        sendMessage(clientWS, { type: 'CONFIG_UPDATE', message: appConfig });
+app.get('/api/screens', (req, res) => {
+    const room = getRequestRoom(req, res);
+    if (!room) return;
+    res.json(computeScreenLayout(room));
+});
+
+app.get('/api/rooms', (req, res) => {
+    const list = [];
+    for (const room of rooms.values()) {
+        list.push({ name: room.name, clients: room.clients.size });
+    }
+    res.json(list);
+});
+
+// Apply validated config values to a room, then persist and broadcast them if anything changed
+function applyRoomConfig(room, values) {
+    if (settingsSchema.applyConfigUpdate(room.config, values)) {
+        saveRoomConfig(room);
+        broadcastConfig(room);
+    }
+}
+
+function broadcastConfig(room) {
+    for (const [clientWS] of room.clients) {
+        sendMessage(clientWS, { type: 'CONFIG_UPDATE', message: room.config });
     }
 }
 
@@ -150,102 +523,393 @@ function handleMessage(ws, data) {
         sendError(ws, 'No data type specified');
         return;
     }
+    if (data.type === 'REGISTER_CLIENT') {
+        handleClientRegistration(ws, data);
+        return;
+    }
+    if (data.type === 'ERROR') {
+        console.error('Client sent error:', data.message);
+        return;
+    }
+    if (data.type === 'PING') {
+        // Clock sync: echo the client's send time with the server's receive/send times (NTP-style)
+        const serverReceivedAt = Date.now();
+        const message = data.message || {};
+        sendMessage(ws, {
+            type: 'PONG',
+            message: { clientSentAt: message.clientSentAt, serverReceivedAt, serverSentAt: Date.now() }
+        });
+        return;
+    }
+
+    // Everything else is routed within the sender's room
+    const room = ws.room;
+    if (!room) {
+        sendError(ws, 'Client is not registered');
+        return;
+    }
+    const connectedClients = room.clients;
     switch (data.type) {
-        case 'REGISTER_CLIENT':
-            handleClientRegistration(ws, data);
+        case 'SCREEN_CALIBRATION':
+            handleScreenCalibration(ws, data);
             break;
-        case 'ERROR':
-            console.error('Client sent error:', data.message);
+        case 'CALIBRATION_COMMIT':
+            {
+                // Commits are addressed to the screen that was calibrated; older clients omit screenId
+                const screenId = data.message && data.message.screenId;
+                for (const [clientWS, clientInfo] of connectedClients) {
+                    if (clientInfo.type === 'SCREEN' && (!screenId || clientInfo.screenId === screenId)) {
+                        clientInfo.lastCommit = data.message;
+                        sendMessage(clientWS, { type: 'CALIBRATION_COMMIT', message: data.message });
+                    }
+                }
+                saveCalibrationProfile(room, data.message);
+            }
             break;
-        case 'SCREEN_CALIBRATION':
-            for (const [clientWS, clientInfo] of connectedClients) {
-                if (clientInfo.type === 'VR') {
-                    sendMessage(clientWS, { type: 'SCREEN_CALIBRATION', message: data.message });
+        case 'ACCURACY_TEST_RESULT':
+            saveAccuracyTest(room, data.message);
+            break;
+        case 'CALIBRATION_GUIDE':
+            {
+                // Touch calibration progress, so the screen being calibrated can highlight the next corner
+                const screenId = data.message && data.message.screenId;
+                for (const [clientWS, clientInfo] of connectedClients) {
+                    if (clientInfo.type === 'SCREEN' && (!screenId || clientInfo.screenId === screenId)) {
+                        sendMessage(clientWS, { type: 'CALIBRATION_GUIDE', message: data.message });
+                    }
                 }
             }
             break;
-        case 'CALIBRATION_COMMIT':
-            for (const [clientWS, clientInfo] of connectedClients) {
-                if (clientInfo.type === 'SCREEN') {
-                    sendMessage(clientWS, { type: 'CALIBRATION_COMMIT', message: data.message });
+        case 'POINTER_EVENT':
+        case 'TOUCH_EVENT':
+            {
+                // Headset pointer and touch events go to the screen they happened on, tagged with the
+                // headset so pointers from several headsets can be told apart
+                const screenId = data.message && data.message.screenId;
+                const sender = connectedClients.get(ws);
+                const message = { ...data.message, userID: sender.userID };
+                for (const [clientWS, clientInfo] of connectedClients) {
+                    if (clientInfo.type === 'SCREEN' && clientInfo.screenId === screenId) {
+                        sendMessage(clientWS, { type: data.type, message });
+                    }
                 }
             }
             break;
-        case 'GAME_EVENT':
-            // Forward game-level events to all connected clients (so games can coordinate)
-            for (const [clientWS] of connectedClients) {
-                sendMessage(clientWS, { type: 'GAME_EVENT', message: data.message });
+        case 'GAME_EVENT': {
+            // Forward game-level events to the clients selected by the envelope's `to`
+            // (everyone, including the sender, when it is absent).
+            // When a screenId is given, only that screen receives it among the SCREEN clients.
+            const matchesTarget = createTargetMatcher(ws, data.to);
+            if (!matchesTarget) {
+                sendError(ws, `Invalid GAME_EVENT target: ${JSON.stringify(data.to)}`);
+                break;
+            }
+            const sender = connectedClients.get(ws);
+            const from = { userID: sender.userID, clientType: sender.type, ...(sender.screenId ? { screenId: sender.screenId } : {}) };
+            // Send time on the shared (server) timeline as estimated by the sender, plus when the server relayed it
+            const sentAt = Number.isFinite(data.sentAt) ? data.sentAt : null;
+            const serverTime = Date.now();
+            for (const [clientWS, clientInfo] of connectedClients) {
+                if (data.screenId && clientInfo.type === 'SCREEN' && clientInfo.screenId !== data.screenId) continue;
+                if (!matchesTarget(clientWS, clientInfo)) continue;
+                sendMessage(clientWS, { type: 'GAME_EVENT', message: data.message, from, sentAt, serverTime });
             }
             break;
+        }
         default:
             sendError(ws, 'Data type has no matches');
             break;
     }
 }
 
+/**
+ * Build a recipient filter for a GAME_EVENT target
+ * @param {WebSocket} senderWs - Sending socket
+ * @param {string|Object} to - 'all' | 'others' | 'screens' | 'vr' | 'desktop' | { userID } | { screenId }
+ * @returns {Function|null} (clientWS, clientInfo) => boolean, or null if the target is invalid
+ */
+function createTargetMatcher(senderWs, to) {
+    if (to === undefined || to === null || to === 'all') return () => true;
+    if (to === 'others') return (clientWS) => clientWS !== senderWs;
+    if (to === 'screens') return (clientWS, info) => info.type === 'SCREEN';
+    if (to === 'vr') return (clientWS, info) => info.type === 'VR';
+    if (to === 'desktop') return (clientWS, info) => info.type === 'DESKTOP';
+    if (typeof to === 'object') {
+        if (typeof to.userID === 'string') return (clientWS, info) => info.userID === to.userID;
+        if (typeof to.screenId === 'string') return (clientWS, info) => info.type === 'SCREEN' && info.screenId === to.screenId;
+    }
+    return null;
+}
+
 function handleClientRegistration(ws, data) {
     const { clientType } = data;
     if (!clientType) {
         sendError(ws, 'Client type is required');
         return;
     }
+    const roomName = normalizeRoomName(data.room);
+    if (!roomName) {
+        sendMessage(ws, { type: 'REGISTRATION_ERROR', message: `Invalid room name: ${data.room}` });
+        return;
+    }
+    if (ws.room) {
+        sendMessage(ws, { type: 'REGISTRATION_ERROR', message: 'Client already registered' });
+        return;
+    }
+    const room = getRoom(roomName);
+    const connectedClients = room.clients;
+
+    // A reconnecting client gets its previous identity back
+    const resumedInfo = resumeSession(ws, room, data);
+    if (resumedInfo) {
+        sendRegistrationSuccess(ws, room, resumedInfo, true);
+        if (resumedInfo.type === 'SCREEN') {
+            if (resumedInfo.lastCommit) sendMessage(ws, { type: 'CALIBRATION_COMMIT', message: resumedInfo.lastCommit });
+        } else {
+            replayScreenCalibrations(ws, room);
+        }
+        console.log(`${resumedInfo.type} client resumed session in room "${room.name}"`);
+        return;
+    }
+
     switch (clientType) {
-        case 'SCREEN':
-            if (screenRegistered) {
-                sendMessage(ws, { type: 'REGISTRATION_ERROR', message: 'Screen client already registered' });
-            } else {
-                screenRegistered = true;
-                ws.clientType = 'SCREEN';
-                ws.userID = uuidv4();
-                connectedClients.set(ws, { type: 'SCREEN', userID: ws.userID });
-                sendMessage(ws, { type: 'REGISTRATION_SUCCESS', message: 'Successfully registered as SCREEN client' });
-                sendMessage(ws, { type: 'CONFIG_UPDATE', message: appConfig });
-                console.log('SCREEN client registered');
-                for (const [wsIter, clientInfo] of connectedClients) {
-                    if (clientInfo.type !== 'SCREEN') {
-                        sendMessage(getScreenClient(), { type: 'NEW_CLIENT', message: { type: clientInfo.type, userID: clientInfo.userID } });
-                    }
+        case 'SCREEN': {
+            const screenId = normalizeScreenId(data.screenId);
+            if (getScreenClient(room, screenId)) {
+                sendMessage(ws, { type: 'REGISTRATION_ERROR', message: `Screen "${screenId}" already registered` });
+                break;
+            }
+            // A new page for a screen whose previous connection dropped takes over its slot quietly
+            for (const [token, info] of room.suspended) {
+                if (info.type === 'SCREEN' && info.screenId === screenId) dropSession(token);
+            }
+            const clientInfo = {
+                type: 'SCREEN',
+                userID: uuidv4(),
+                screenId,
+                tile: Number.isFinite(data.tile) ? data.tile : null,
+                order: room.screenRegistrationCounter++,
+                screenWidth: null,
+                screenHeight: null,
+                lastCalibration: null,
+                lastCommit: null
+            };
+            attachClient(ws, room, clientInfo);
+            sendRegistrationSuccess(ws, room, clientInfo, false);
+            console.log(`SCREEN client registered (${screenId}) in room "${room.name}"`);
+            for (const [, info] of connectedClients) {
+                if (info.type !== 'SCREEN') {
+                    sendMessage(ws, { type: 'NEW_CLIENT', message: describeClient(info) });
                 }
             }
             break;
+        }
         case 'VR':
-        case 'DESKTOP':
-            ws.clientType = clientType;
-            ws.userID = uuidv4();
-            connectedClients.set(ws, { type: clientType, userID: ws.userID });
-            sendMessage(ws, { type: 'REGISTRATION_SUCCESS', message: `Successfully registered as ${clientType} client` });
-            sendMessage(ws, { type: 'CONFIG_UPDATE', message: appConfig });
-            if (screenRegistered) {
-                sendMessage(getScreenClient(), { type: 'NEW_CLIENT', message: { type: clientType, userID: ws.userID } });
-            }
-            console.log(`${clientType} client registered`);
+        case 'DESKTOP': {
+            const clientInfo = { type: clientType, userID: uuidv4() };
+            // The desktop page's controller emulator joins as a VR client so games treat it like a headset
+            if (clientType === 'VR' && data.emulated === true) clientInfo.emulated = true;
+            attachClient(ws, room, clientInfo);
+            sendRegistrationSuccess(ws, room, clientInfo, false);
+            replayScreenCalibrations(ws, room);
+            sendToScreens(room, { type: 'NEW_CLIENT', message: describeClient(clientInfo) });
+            console.log(`${clientType} client${clientInfo.emulated ? ' (emulated)' : ''} registered in room "${room.name}"`);
             break;
+        }
         default:
             sendError(ws, `Unknown client type: ${clientType}`);
             break;
     }
 }
 
+function normalizeScreenId(value) {
+    return (typeof value === 'string' && value.trim()) ? value.trim() : DEFAULT_SCREEN_ID;
+}
+
+function attachClient(ws, room, clientInfo) {
+    ws.clientType = clientInfo.type;
+    ws.userID = clientInfo.userID;
+    ws.screenId = clientInfo.screenId;
+    ws.room = room;
+    room.clients.set(ws, clientInfo);
+    if (!clientInfo.resumeToken) {
+        clientInfo.resumeToken = uuidv4();
+        sessions.set(clientInfo.resumeToken, { room, clientInfo, ws, expireTimer: null });
+    } else {
+        sessions.get(clientInfo.resumeToken).ws = ws;
+    }
+}
+
+function sendRegistrationSuccess(ws, room, clientInfo, resumed) {
+    const label = clientInfo.type === 'SCREEN' ? `SCREEN client "${clientInfo.screenId}"` : `${clientInfo.type} client`;
+    sendMessage(ws, {
+        type: 'REGISTRATION_SUCCESS',
+        message: `Successfully ${resumed ? 'resumed' : 'registered'} as ${label}`,
+        userID: clientInfo.userID,
+        resumeToken: clientInfo.resumeToken,
+        resumed
+    });
+    sendMessage(ws, { type: 'CONFIG_UPDATE', message: room.config });
+    sendMessage(ws, { type: 'SCREEN_LAYOUT', message: computeScreenLayout(room) });
+}
+
+// Send the latest SCREEN_CALIBRATION of every screen in the room to a (re)connected VR client
+function replayScreenCalibrations(ws, room) {
+    if (ws.clientType !== 'VR') return;
+    for (const info of getRoomScreens(room)) {
+        if (info.lastCalibration) sendMessage(ws, { type: 'SCREEN_CALIBRATION', message: withCalibrationProfile(room, info.lastCalibration) });
+    }
+}
+
+/**
+ * Re-attach a reconnecting client to its previous session if it presents a valid resume token
+ * @returns {Object|null} The restored client info, or null if there is nothing to resume
+ */
+function resumeSession(ws, room, data) {
+    const token = data.resumeToken;
+    const session = (typeof token === 'string') ? sessions.get(token) : null;
+    if (!session || session.room !== room) return null;
+    const { clientInfo } = session;
+    if (clientInfo.type !== data.clientType) return null;
+    if (clientInfo.type === 'SCREEN' && clientInfo.screenId !== normalizeScreenId(data.screenId)) return null;
+
+    clearTimeout(session.expireTimer);
+    session.expireTimer = null;
+    room.suspended.delete(token);
+    if (session.ws && session.ws !== ws) {
+        // The old socket still looks open (the drop was not noticed yet or the tab was duplicated): retire it
+        const oldWs = session.ws;
+        room.clients.delete(oldWs);
+        oldWs.room = null;
+        oldWs.close(SESSION_REPLACED_CLOSE_CODE, 'Session resumed by another connection');
+    }
+    attachClient(ws, room, clientInfo);
+    return clientInfo;
+}
+
+// Forget a suspended session without announcing the disconnect (its slot was taken over)
+function dropSession(token) {
+    const session = sessions.get(token);
+    if (!session) return;
+    clearTimeout(session.expireTimer);
+    session.room.suspended.delete(token);
+    sessions.delete(token);
+}
+
 function handleDisconnection(ws) {
-    const clientInfo = connectedClients.get(ws);
+    const room = ws.room;
+    if (!room) return;
+    const clientInfo = room.clients.get(ws);
     if (!clientInfo) return;
+    room.clients.delete(ws);
+
+    // Keep the session around for a while so a reconnecting client can resume it;
+    // the rest of the room only hears about the disconnect once the grace period expires.
+    const session = sessions.get(clientInfo.resumeToken);
+    if (!session || isShuttingDown) {
+        announceDisconnection(room, clientInfo);
+        return;
+    }
+    session.ws = null;
+    room.suspended.set(clientInfo.resumeToken, clientInfo);
+    session.expireTimer = setTimeout(() => {
+        sessions.delete(clientInfo.resumeToken);
+        room.suspended.delete(clientInfo.resumeToken);
+        announceDisconnection(room, clientInfo);
+    }, RESUME_GRACE_MS);
+    session.expireTimer.unref();
+    console.log(`${clientInfo.type} client connection lost, waiting ${RESUME_GRACE_MS / 1000}s for it to resume`);
+}
+
+function announceDisconnection(room, clientInfo) {
+    const connectedClients = room.clients;
     if (clientInfo.type === 'SCREEN') {
-        if (screenRegistered) {
-            for (const [clientWS, info] of connectedClients) {
-                if (info.type === 'VR') {
-                    sendMessage(clientWS, { type: 'SCREEN_DISCONNECTED', message: 'Screen client disconnected' });
-                }
+        for (const [clientWS, info] of connectedClients) {
+            if (info.type === 'VR') {
+                sendMessage(clientWS, { type: 'SCREEN_DISCONNECTED', message: { screenId: clientInfo.screenId } });
             }
         }
-        screenRegistered = false;
-        console.log('Screen registered reset');
+        broadcastScreenLayout(room);
+        console.log(`Screen "${clientInfo.screenId}" unregistered`);
     } else {
-        if (screenRegistered) {
-            sendMessage(getScreenClient(), { type: 'CLIENT_DISCONNECTED', message: { type: clientInfo.type, userID: clientInfo.userID } });
-        }
+        sendToScreens(room, { type: 'CLIENT_DISCONNECTED', message: { type: clientInfo.type, userID: clientInfo.userID } });
     }
     console.log(`${clientInfo.type} client disconnected`);
-    connectedClients.delete(ws);
+}
+
+function handleScreenCalibration(ws, data) {
+    const room = ws.room;
+    const connectedClients = room.clients;
+    const clientInfo = connectedClients.get(ws);
+    if (!clientInfo || clientInfo.type !== 'SCREEN') {
+        sendError(ws, 'Only SCREEN clients can send SCREEN_CALIBRATION');
+        return;
+    }
+    const message = { ...(data.message || {}), screenId: clientInfo.screenId };
+    clientInfo.lastCalibration = message;
+    clientInfo.screenWidth = Number.isFinite(message.screenWidth) ? message.screenWidth : null;
+    clientInfo.screenHeight = Number.isFinite(message.screenHeight) ? message.screenHeight : null;
+    const offer = withCalibrationProfile(room, message);
+    for (const [clientWS, info] of connectedClients) {
+        if (info.type === 'VR') {
+            sendMessage(clientWS, { type: 'SCREEN_CALIBRATION', message: offer });
+        }
+    }
+    broadcastScreenLayout(room);
+}
+
+/**
+ * Lay out all registered screens as tiles of one virtual canvas.
+ * Screens are placed left to right, ordered by their `tile` index (if given) and then by registration order.
+ */
+function computeScreenLayout(room) {
+    const entries = getRoomScreens(room).filter((info) => info.screenWidth && info.screenHeight);
+    entries.sort((a, b) => {
+        const ta = a.tile === null ? Infinity : a.tile;
+        const tb = b.tile === null ? Infinity : b.tile;
+        if (ta !== tb) return ta - tb;
+        return a.order - b.order;
+    });
+
+    let x = 0;
+    let height = 0;
+    const screens = entries.map((info) => {
+        const viewport = { screenId: info.screenId, x, y: 0, width: info.screenWidth, height: info.screenHeight };
+        x += info.screenWidth;
+        height = Math.max(height, info.screenHeight);
+        return viewport;
+    });
+    return { width: x, height, screens };
+}
+
+function broadcastScreenLayout(room) {
+    const layout = computeScreenLayout(room);
+    for (const [clientWS] of room.clients) {
+        sendMessage(clientWS, { type: 'SCREEN_LAYOUT', message: layout });
+    }
+}
+
+// Screens of a room, including ones whose connection dropped but may still resume
+function getRoomScreens(room) {
+    const list = [];
+    for (const [, clientInfo] of room.clients) {
+        if (clientInfo.type === 'SCREEN') list.push(clientInfo);
+    }
+    for (const [, clientInfo] of room.suspended) {
+        if (clientInfo.type === 'SCREEN') list.push(clientInfo);
+    }
+    return list;
+}
+
+// Client summary for NEW_CLIENT messages
+function describeClient(clientInfo) {
+    return { type: clientInfo.type, userID: clientInfo.userID, ...(clientInfo.emulated ? { emulated: true } : {}) };
+}
+
+function sendToScreens(room, message) {
+    for (const [clientWS, clientInfo] of room.clients) {
+        if (clientInfo.type === 'SCREEN') sendMessage(clientWS, message);
+    }
 }
 
 function sendMessage(ws, message) {
@@ -256,10 +920,9 @@ function sendError(ws, message) {
     sendMessage(ws, { type: 'ERROR', message });
 }
 
-function getScreenClient() {
-    if (!screenRegistered) return null;
-    for (const [ws, clientInfo] of connectedClients) {
-        if (clientInfo.type === 'SCREEN') return ws;
+function getScreenClient(room, screenId = DEFAULT_SCREEN_ID) {
+    for (const [ws, clientInfo] of room.clients) {
+        if (clientInfo.type === 'SCREEN' && clientInfo.screenId === screenId) return ws;
     }
     return null;
 }
@@ -285,7 +948,7 @@ async function handleShutdown(signal) {
     console.log(`\nReceived ${signal}, shutting down servers`);
     const forceExit = setTimeout(() => process.exit(1), 3000).unref();
     try {
-        for (const [ws] of connectedClients) {
+        for (const ws of wss.clients) {
             if (ws.readyState === WebSocket.OPEN) {
                 await new Promise(resolve => { ws.once('close', resolve); ws.close(); });
             }
@@ -300,17 +963,28 @@ async function handleShutdown(signal) {
     }
 }
 
-server.listen(port, () => {
-    const isHttps = !!(sslKeyPath && sslCertPath);
-    const scheme = isHttps ? 'https' : 'http';
-    console.log(`${scheme.toUpperCase()}/WebSocket servers listening on ${scheme}://localhost:${port}`);
-    if (isHttps) {
-        console.log(`Using SSL_KEY=${sslKeyPath}`);
-        console.log(`Using SSL_CERT=${sslCertPath}`);
-    } else {
-        console.log('Tip: set SSL_KEY and SSL_CERT env vars (or use `npm run dev:https`) to enable HTTPS.');
-    }
-});
+// Settings metadata comes from the game modules; load it (and the default room's config,
+// migrating an old defaults.json) before accepting connections.
+import('./src/settingsSchema.js')
+    .then((schema) => {
+        settingsSchema = schema;
+        getRoom(DEFAULT_ROOM);
+        server.listen(port, () => {
+            const isHttps = !!(sslKeyPath && sslCertPath);
+            const scheme = isHttps ? 'https' : 'http';
+            console.log(`${scheme.toUpperCase()}/WebSocket servers listening on ${scheme}://localhost:${port}`);
+            if (isHttps) {
+                console.log(`Using SSL_KEY=${sslKeyPath}`);
+                console.log(`Using SSL_CERT=${sslCertPath}`);
+            } else {
+                console.log('Tip: set SSL_KEY and SSL_CERT env vars (or use `npm run dev:https`) to enable HTTPS.');
+            }
+        });
+    })
+    .catch((error) => {
+        console.error('Failed to load settings metadata from the game modules:', error);
+        process.exit(1);
+    });
 
 process.on('SIGINT', () => handleShutdown('SIGINT'));
 process.on('SIGTERM', () => handleShutdown('SIGTERM'));
@@ -0,0 +1,159 @@
+// Calibration accuracy test: a sequence of dots on one screen that the user points at or touches
+// in VR. vr.js records where latestScreenState put each one, and the report (per-point error
+// and RMS, in canvas pixels) is drawn as a heatmap by the screen overlay and the settings page.
+// Nothing here touches the scene; drawing only needs a 2D canvas context.
+
+// Dot positions as fractions of the canvas: a 3 x 3 grid, row by row from the top-left,
+// kept off the edges so the ray can reach them without grazing the bezel
+export const TEST_POINT_FRACTIONS = [
+    [0.1, 0.1], [0.5, 0.1], [0.9, 0.1],
+    [0.1, 0.5], [0.5, 0.5], [0.9, 0.5],
+    [0.1, 0.9], [0.5, 0.9], [0.9, 0.9]
+];
+
+// Errors at or above this many pixels are drawn fully red
+const HEATMAP_MAX_ERROR_PX = 60;
+const HEATMAP_CELLS_X = 32;
+
+/**
+ * Dots to show on a screen, in canvas pixels
+ * @param {number} screenWidth
+ * @param {number} screenHeight
+ * @returns {Array} [{ canvasX, canvasY }]
+ */
+export function getTestPoints(screenWidth, screenHeight) {
+    return TEST_POINT_FRACTIONS.map(([fx, fy]) => ({
+        canvasX: Math.round(screenWidth * fx),
+        canvasY: Math.round(screenHeight * fy)
+    }));
+}
+
+function round1(value) {
+    return Math.round(value * 10) / 10;
+}
+
+/**
+ * Report for a finished test
+ * @param {Array} samples - [{ target: { canvasX, canvasY }, hit: { canvasX, canvasY } | null, method }],
+ *   hit being null when the dot was missed or skipped; method is 'ray' or 'touch'
+ * @returns {Object} { points: [{ target, hit, errorPx, method }], rmsPx, meanPx, maxPx, missed }.
+ *   rmsPx/meanPx/maxPx cover the points that were hit and are null when none were
+ */
+export function summarizeAccuracyTest(samples) {
+    const points = samples.map(({ target, hit, method }) => ({
+        target,
+        hit: hit || null,
+        errorPx: hit ? round1(Math.hypot(hit.canvasX - target.canvasX, hit.canvasY - target.canvasY)) : null,
+        method: method || null
+    }));
+    const errors = points.filter((point) => point.errorPx !== null).map((point) => point.errorPx);
+    if (errors.length === 0) {
+        return { points, rmsPx: null, meanPx: null, maxPx: null, missed: points.length };
+    }
+    const sumSquares = errors.reduce((sum, error) => sum + error * error, 0);
+    return {
+        points,
+        rmsPx: round1(Math.sqrt(sumSquares / errors.length)),
+        meanPx: round1(errors.reduce((sum, error) => sum + error, 0) / errors.length),
+        maxPx: Math.max(...errors),
+        missed: points.length - errors.length
+    };
+}
+
+/**
+ * One-line summary, e.g. "RMS 12.3 px, worst 20.1 px, 1 missed"
+ * @param {Object} report - From summarizeAccuracyTest
+ * @returns {string}
+ */
+export function describeAccuracyTest(report) {
+    if (!report || report.rmsPx === null || report.rmsPx === undefined) return 'every dot was missed';
+    const parts = [`RMS ${report.rmsPx} px`, `worst ${report.maxPx} px`];
+    if (report.missed) parts.push(`${report.missed} missed`);
+    return parts.join(', ');
+}
+
+// Green at no error through yellow to red at HEATMAP_MAX_ERROR_PX
+function errorColor(errorPx, alpha) {
+    const t = Math.min(1, errorPx / HEATMAP_MAX_ERROR_PX);
+    const hue = 120 * (1 - t);
+    return `hsla(${hue}, 90%, 45%, ${alpha})`;
+}
+
+/**
+ * Draw a report as a heatmap: the error interpolated between the dots (inverse distance
+ * weighting), each dot with a line to where it was hit and its error, missed dots as grey crosses
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} report - From summarizeAccuracyTest
+ * @param {Object} area - { x, y, width, height } to draw into, and the tested screen's
+ *   { screenWidth, screenHeight } that the report's coordinates are in
+ */
+export function drawAccuracyHeatmap(ctx, report, { x = 0, y = 0, width, height, screenWidth, screenHeight }) {
+    const scaleX = width / screenWidth;
+    const scaleY = height / screenHeight;
+    const hits = report.points.filter((point) => point.errorPx !== null);
+
+    ctx.save();
+    if (hits.length > 0) {
+        const cellsY = Math.max(1, Math.round(HEATMAP_CELLS_X * height / width));
+        const cellW = width / HEATMAP_CELLS_X;
+        const cellH = height / cellsY;
+        for (let cx = 0; cx < HEATMAP_CELLS_X; cx++) {
+            for (let cy = 0; cy < cellsY; cy++) {
+                const px = (cx + 0.5) * cellW / scaleX;
+                const py = (cy + 0.5) * cellH / scaleY;
+                let weightSum = 0;
+                let errorSum = 0;
+                for (const point of hits) {
+                    const d2 = (point.target.canvasX - px) ** 2 + (point.target.canvasY - py) ** 2;
+                    const weight = 1 / Math.max(d2, 1);
+                    weightSum += weight;
+                    errorSum += weight * point.errorPx;
+                }
+                ctx.fillStyle = errorColor(errorSum / weightSum, 0.35);
+                ctx.fillRect(x + cx * cellW, y + cy * cellH, Math.ceil(cellW), Math.ceil(cellH));
+            }
+        }
+    }
+
+    const radius = Math.max(4, Math.min(width, height) * 0.03);
+    ctx.font = `bold ${Math.max(10, Math.round(radius * 1.4))}px sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    for (const point of report.points) {
+        const tx = x + point.target.canvasX * scaleX;
+        const ty = y + point.target.canvasY * scaleY;
+        if (point.errorPx === null) {
+            ctx.strokeStyle = 'rgba(90, 90, 90, 0.9)';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(tx - radius, ty - radius);
+            ctx.lineTo(tx + radius, ty + radius);
+            ctx.moveTo(tx + radius, ty - radius);
+            ctx.lineTo(tx - radius, ty + radius);
+            ctx.stroke();
+            continue;
+        }
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(tx, ty);
+        ctx.lineTo(x + point.hit.canvasX * scaleX, y + point.hit.canvasY * scaleY);
+        ctx.stroke();
+        ctx.fillStyle = errorColor(point.errorPx, 0.95);
+        ctx.beginPath();
+        ctx.arc(tx, ty, radius, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.9)';
+        ctx.fillText(`${point.errorPx}`, tx, ty + radius + 2);
+    }
+    ctx.restore();
+}
+
+export default {
+    TEST_POINT_FRACTIONS,
+    getTestPoints,
+    summarizeAccuracyTest,
+    describeAccuracyTest,
+    drawAccuracyHeatmap
+};
@@ -0,0 +1,213 @@
+import { describeAccuracyTest, drawAccuracyHeatmap } from './accuracyTest.js';
+
+// Calibration guide drawn over the screen page while the headset calibrates this screen.
+// It lives on its own canvas on top of the game canvas, so games never have to redraw around it
+// and it disappears without a trace when calibration ends.
+//
+// Driven by CALIBRATION_GUIDE messages from vr.js:
+//   { screenId, active: true, stage, corner, touched, target, pointer } while calibrating, where
+//   stage is 'adjust' (widgets), 'touch' (touching corners), 'check' (accuracy check after Ready)
+//   or 'test' (accuracy test dots, with progress: { index, total });
+//   { screenId, active: false, result } when it ends, result being the check outcome or test report if one ran.
+//
+// Every stage shows a grid and corner markers. The crosshair marks where the controller ray
+// meets the headset's ghost plane: when the calibration is right it sits exactly on the ray.
+
+// Corner positions as fractions of the canvas size
+const CORNER_POSITIONS = {
+    topLeft: [0, 0],
+    topRight: [1, 0],
+    bottomRight: [1, 1],
+    bottomLeft: [0, 1]
+};
+
+const CORNER_LABELS = {
+    topLeft: 'top-left',
+    topRight: 'top-right',
+    bottomRight: 'bottom-right',
+    bottomLeft: 'bottom-left'
+};
+
+const HIGHLIGHT_RADIUS = 140;
+const CORNER_MARKER_LENGTH = 80;
+const GRID_DIVISIONS = 10;
+const TARGET_SIZE = 120;
+const RESULT_DISPLAY_MS = 5000;
+const TEST_RESULT_DISPLAY_MS = 20000;
+
+/**
+ * Overlay canvas covering the window
+ * @param {HTMLElement} parent - Element to attach the canvas to (usually document.body)
+ * @param {Object} [options]
+ * @param {HTMLImageElement} [options.targetImage] - Drawn at the accuracy check target (rings are drawn until it loads)
+ * @returns {Object} { canvas, setGuide(message), resize() }
+ */
+export function createCalibrationOverlay(parent, { targetImage = null } = {}) {
+    const canvas = document.createElement('canvas');
+    canvas.id = 'calibration-overlay';
+    Object.assign(canvas.style, { position: 'fixed', left: '0', top: '0', pointerEvents: 'none', zIndex: '10' });
+    parent.appendChild(canvas);
+    const ctx = canvas.getContext('2d');
+    let guide = null;
+    let result = null;
+    let resultTimer = null;
+
+    if (targetImage && !targetImage.complete) targetImage.addEventListener('load', () => draw());
+
+    function drawText(text, x, y, size = 32) {
+        ctx.font = `bold ${size}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.lineWidth = 6;
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+        ctx.strokeText(text, x, y);
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.85)';
+        ctx.fillText(text, x, y);
+    }
+
+    function drawGrid() {
+        const { width, height } = canvas;
+        ctx.lineWidth = 1;
+        for (let i = 1; i < GRID_DIVISIONS; i++) {
+            const center = i === GRID_DIVISIONS / 2;
+            ctx.strokeStyle = center ? 'rgba(0, 90, 255, 0.6)' : 'rgba(0, 90, 255, 0.25)';
+            const x = Math.round(width * i / GRID_DIVISIONS) + 0.5;
+            const y = Math.round(height * i / GRID_DIVISIONS) + 0.5;
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, height);
+            ctx.moveTo(0, y);
+            ctx.lineTo(width, y);
+            ctx.stroke();
+        }
+    }
+
+    // L-shaped bracket hugging each corner of the canvas
+    function drawCornerMarkers() {
+        ctx.strokeStyle = 'rgba(255, 120, 0, 0.95)';
+        ctx.lineWidth = 8;
+        for (const [fx, fy] of Object.values(CORNER_POSITIONS)) {
+            const x = fx * canvas.width;
+            const y = fy * canvas.height;
+            const dx = fx === 0 ? 1 : -1;
+            const dy = fy === 0 ? 1 : -1;
+            ctx.beginPath();
+            ctx.moveTo(x + dx * CORNER_MARKER_LENGTH, y + dy * 4);
+            ctx.lineTo(x + dx * 4, y + dy * 4);
+            ctx.lineTo(x + dx * 4, y + dy * CORNER_MARKER_LENGTH);
+            ctx.stroke();
+        }
+    }
+
+    function drawCornerHighlight(corner, color, radius) {
+        const x = CORNER_POSITIONS[corner][0] * canvas.width;
+        const y = CORNER_POSITIONS[corner][1] * canvas.height;
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    function drawCrosshair({ canvasX, canvasY }) {
+        ctx.strokeStyle = 'rgba(220, 0, 60, 0.9)';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(canvasX - 30, canvasY);
+        ctx.lineTo(canvasX + 30, canvasY);
+        ctx.moveTo(canvasX, canvasY - 30);
+        ctx.lineTo(canvasX, canvasY + 30);
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.arc(canvasX, canvasY, 12, 0, Math.PI * 2);
+        ctx.stroke();
+    }
+
+    function drawTarget({ canvasX, canvasY }) {
+        if (targetImage && targetImage.complete && targetImage.naturalWidth > 0) {
+            ctx.drawImage(targetImage, canvasX - TARGET_SIZE / 2, canvasY - TARGET_SIZE / 2, TARGET_SIZE, TARGET_SIZE);
+            return;
+        }
+        for (let ring = 3; ring >= 1; ring--) {
+            ctx.fillStyle = ring % 2 ? 'rgb(220, 0, 0)' : 'rgb(255, 255, 255)';
+            ctx.beginPath();
+            ctx.arc(canvasX, canvasY, (TARGET_SIZE / 2) * ring / 3, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+
+    function describeResult(outcome) {
+        if (outcome.skipped) return 'Calibration saved (accuracy check skipped)';
+        if (outcome.errorPx === null) return 'Calibration saved - the check missed the screen, try recalibrating';
+        return `Calibration saved - off by ${outcome.errorPx} px`;
+    }
+
+    function draw() {
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        const centerX = canvas.width / 2;
+        const centerY = canvas.height / 2;
+
+        if (!guide || !guide.active) {
+            if (result && result.points) {
+                drawAccuracyHeatmap(ctx, result, { width: canvas.width, height: canvas.height, screenWidth: canvas.width, screenHeight: canvas.height });
+                drawText(`Accuracy test: ${describeAccuracyTest(result)}`, centerX, canvas.height * 0.3, 40);
+            } else if (result) {
+                drawText(describeResult(result), centerX, centerY, 40);
+            }
+            return;
+        }
+
+        drawGrid();
+        drawCornerMarkers();
+
+        if (guide.stage === 'touch') {
+            for (const corner of guide.touched || []) {
+                if (CORNER_POSITIONS[corner]) drawCornerHighlight(corner, 'rgba(0, 200, 90, 0.8)', HIGHLIGHT_RADIUS / 2);
+            }
+            if (guide.corner && CORNER_POSITIONS[guide.corner]) {
+                drawCornerHighlight(guide.corner, 'rgba(255, 140, 0, 0.9)', HIGHLIGHT_RADIUS);
+                drawText(`Touch the ${CORNER_LABELS[guide.corner]} corner, then pinch (or pull the trigger)`, centerX, centerY);
+            }
+        } else if (guide.stage === 'check' && guide.target) {
+            drawTarget(guide.target);
+            drawText('Aim at the target and pull the trigger', centerX, centerY + canvas.height / 4);
+        } else if (guide.stage === 'test' && guide.target) {
+            drawTarget(guide.target);
+            const progress = guide.progress ? ` (${guide.progress.index + 1} of ${guide.progress.total})` : '';
+            // Between the middle and bottom rows of dots
+            drawText(`Point at the target and pull the trigger, or touch it${progress}`, centerX, canvas.height * 0.7);
+        } else {
+            drawText('Line the headset outline up with this screen', centerX, centerY);
+        }
+
+        if (guide.pointer) drawCrosshair(guide.pointer);
+    }
+
+    // Cheap to call every frame: only redraws when the window size changed
+    function resize() {
+        if (canvas.width === window.innerWidth && canvas.height === window.innerHeight) return;
+        canvas.width = window.innerWidth;
+        canvas.height = window.innerHeight;
+        draw();
+    }
+
+    function setGuide(message) {
+        guide = message || null;
+        // The check result stays up for a few seconds after calibration ends
+        if (guide && !guide.active && guide.result) {
+            result = guide.result;
+            clearTimeout(resultTimer);
+            resultTimer = setTimeout(() => { result = null; draw(); }, result.points ? TEST_RESULT_DISPLAY_MS : RESULT_DISPLAY_MS);
+        } else if (guide && guide.active) {
+            result = null;
+        }
+        draw();
+    }
+
+    resize();
+    return { canvas, setGuide, resize };
+}
+
+export default {
+    createCalibrationOverlay
+};
@@ -1,7 +1,28 @@
 let ws = null;
 let connectionState = 'disconnected';
 let clientType = null;
-const eventActions = new Map();
+let userID = null;
+const eventListeners = new Map(); // event type (or '*') -> Set of listeners
+
+// Automatic reconnect: once registered, a dropped connection is retried with exponential
+// backoff and the server is asked to resume the previous session (same userID).
+const RECONNECT_BASE_DELAY_MS = 500;
+const RECONNECT_MAX_DELAY_MS = 15000;
+// Close code the server uses when another connection resumed this session
+const SESSION_REPLACED_CLOSE_CODE = 4001;
+// Clock sync: NTP-style PING/PONG estimates the offset between this clock and the server's.
+// A short burst right after registering, then one ping every few seconds.
+const CLOCK_SYNC_BURST = 5;
+const CLOCK_SYNC_BURST_INTERVAL_MS = 200;
+const CLOCK_SYNC_INTERVAL_MS = 10000;
+const CLOCK_SYNC_SAMPLES = 8;
+let clockSamples = [];
+let clockSync = { offset: 0, rtt: null, synced: false };
+let clockSyncTimer = null;
+let lastRegistration = null;
+let hasRegistered = false;
+let reconnectAttempt = 0;
+let reconnectTimer = null;
 
 /*
     Reserved message types used by the system. Game authors should avoid
@@ -12,20 +33,49 @@ const eventActions = new Map();
     Examples:
         REGISTER_CLIENT, REGISTRATION_SUCCESS, REGISTRATION_ERROR,
         NEW_CLIENT, CLIENT_DISCONNECTED,
-        CALIBRATION_COMMIT, SCREEN_CALIBRATION, SCREEN_DISCONNECTED,
-        GAME_EVENT, ERROR
+        CALIBRATION_COMMIT, CALIBRATION_GUIDE, SCREEN_CALIBRATION, SCREEN_DISCONNECTED, SCREEN_LAYOUT,
+        ACCURACY_TEST, ACCURACY_TEST_RESULT, POINTER_EVENT, TOUCH_EVENT,
+        GAME_EVENT, PING, PONG, ERROR
+
+    Local events (never sent over the wire) can also be listened to with `on`:
+        CLOSE         - the socket closed (a reconnect may follow)
+        RECONNECTING  - { attempt, delay } before each reconnect attempt
+        RECONNECTED   - { userID, resumed, ... } once registered again
+        CLOCK_SYNC    - { offset, rtt } whenever the clock estimate changes
 */
 export const RESERVED_MESSAGE_TYPES = [
         'REGISTER_CLIENT', 'REGISTRATION_SUCCESS', 'REGISTRATION_ERROR',
         'NEW_CLIENT', 'CLIENT_DISCONNECTED',
-        'CALIBRATION_COMMIT', 'SCREEN_CALIBRATION', 'SCREEN_DISCONNECTED',
-        'GAME_EVENT', 'CONFIG_UPDATE', 'ERROR'
+        'CALIBRATION_COMMIT', 'CALIBRATION_GUIDE', 'SCREEN_CALIBRATION', 'SCREEN_DISCONNECTED', 'SCREEN_LAYOUT',
+        'ACCURACY_TEST', 'ACCURACY_TEST_RESULT', 'POINTER_EVENT', 'TOUCH_EVENT',
+        'GAME_EVENT', 'CONFIG_UPDATE', 'PING', 'PONG', 'ERROR'
 ];
 
-export function registerToServer(type) {
+/**
+ * Room this page belongs to, from the ?room= URL parameter (null for the default room)
+ * @returns {string|null}
+ */
+export function getRoomName() {
+    return new URLSearchParams(window.location.search).get('room') || null;
+}
+
+/**
+ * Connect to the server and register as the given client type.
+ * If the connection drops after registering, it is re-established automatically.
+ * @param {string} type - 'SCREEN', 'VR' or 'DESKTOP'
+ * @param {Object} registration - Extra registration fields (e.g. { screenId, tile } for screens)
+ */
+export function registerToServer(type, registration = {}) {
+    if (connectionState === 'connecting') return Promise.reject(new Error('Connection already in progress'));
+    stopReconnecting();
+    clientType = type;
+    lastRegistration = registration;
+    hasRegistered = false;
+    return openConnection();
+}
+
+function openConnection() {
     return new Promise((resolve, reject) => {
-        if (connectionState === 'connecting') return reject(new Error('Connection already in progress'));
-        clientType = type;
         if (ws) clearSocket();
 
         connectionState = 'connecting';
@@ -46,7 +96,15 @@ export function registerToServer(type) {
             registrationResolver = resolve;
             registrationRejector = reject;
             connectionState = 'connected';
-            ws.send(JSON.stringify({ type: 'REGISTER_CLIENT', clientType: type }));
+            const room = getRoomName();
+            const resumeToken = loadResumeToken();
+            ws.send(JSON.stringify({
+                ...lastRegistration,
+                ...(room ? { room } : {}),
+                ...(resumeToken ? { resumeToken } : {}),
+                type: 'REGISTER_CLIENT',
+                clientType
+            }));
         };
 
         ws.onmessage = ({ data }) => {
@@ -61,23 +119,104 @@ export function registerToServer(type) {
 
         ws.onclose = (event) => {
             clearTimeout(timeout);
-            const handlerFunction = eventActions.get('CLOSE');
-            if (typeof handlerFunction === 'function') handlerFunction();
-            if (registrationRejector && connectionState === 'connecting') registrationRejector(new Error('Connection closed before registration completed'));
-            disconnect();
+            if (registrationRejector && connectionState !== 'registered') registrationRejector(new Error('Connection closed before registration completed'));
+            if (event.code === SESSION_REPLACED_CLOSE_CODE) {
+                console.warn('Session was resumed by another connection');
+                clearResumeToken();
+                disconnect();
+                emit('CLOSE');
+                return;
+            }
+            handleConnectionLost();
         };
 
         ws.onerror = (error) => {
             clearTimeout(timeout);
             console.error('WebSocket error:', error);
-            const handlerFunction = eventActions.get('CLOSE');
-            if (typeof handlerFunction === 'function') handlerFunction();
-            if (registrationRejector && connectionState === 'connecting') registrationRejector(error);
-            disconnect();
+            if (registrationRejector && connectionState !== 'registered') registrationRejector(error);
+            handleConnectionLost();
         };
     });
 }
 
+function handleConnectionLost() {
+    clearSocket();
+    if (hasRegistered && clientType) {
+        connectionState = 'reconnecting';
+        emit('CLOSE');
+        scheduleReconnect();
+    } else {
+        disconnect();
+        emit('CLOSE');
+    }
+}
+
+function scheduleReconnect() {
+    if (reconnectTimer) return;
+    reconnectAttempt++;
+    // Exponential backoff with jitter so a restarted server is not hit by every client at once
+    const backoff = Math.min(RECONNECT_MAX_DELAY_MS, RECONNECT_BASE_DELAY_MS * 2 ** (reconnectAttempt - 1));
+    const delay = Math.round(backoff * (0.5 + Math.random() * 0.5));
+    console.log(`Connection lost, reconnecting in ${delay}ms (attempt ${reconnectAttempt})`);
+    emit('RECONNECTING', { attempt: reconnectAttempt, delay });
+    reconnectTimer = setTimeout(() => {
+        reconnectTimer = null;
+        openConnection()
+            .then((result) => {
+                reconnectAttempt = 0;
+                emit('RECONNECTED', result);
+            })
+            .catch((error) => {
+                // A closed socket schedules the next attempt itself; a refused registration gives up
+                if (connectionState === 'connected') {
+                    console.error('Reconnect rejected by server:', error);
+                    disconnect();
+                    emit('CLOSE');
+                }
+            });
+    }, delay);
+}
+
+function stopReconnecting() {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    reconnectAttempt = 0;
+}
+
+// Resume tokens live in sessionStorage so a reload of the same tab also resumes its session
+function resumeTokenKey() {
+    const screenId = lastRegistration && lastRegistration.screenId;
+    return `vr-display-sync:resume:${getRoomName() || 'default'}:${clientType}` + (screenId ? `:${screenId}` : '');
+}
+
+function loadResumeToken() {
+    try { return window.sessionStorage.getItem(resumeTokenKey()); } catch (e) { return null; }
+}
+
+function saveResumeToken(token) {
+    try { if (token) window.sessionStorage.setItem(resumeTokenKey(), token); } catch (e) { /* storage unavailable */ }
+}
+
+function clearResumeToken() {
+    try { window.sessionStorage.removeItem(resumeTokenKey()); } catch (e) { /* storage unavailable */ }
+}
+
+/**
+ * Call every listener of an event, then the wildcard ('*') listeners.
+ * A throwing listener is logged and does not stop the others.
+ */
+function emit(type, data, meta) {
+    const callListeners = (key) => {
+        const listeners = eventListeners.get(key);
+        if (!listeners) return;
+        for (const listener of [...listeners]) {
+            try { listener(data, type, meta); } catch (e) { console.error(`Listener for ${type} failed:`, e); }
+        }
+    };
+    callListeners(type);
+    callListeners('*');
+}
+
 function handleIncomingMessage(message, { resolve, reject, timeout }) {
     if (!message.type) {
         sendError('No message type specified');
@@ -87,7 +226,11 @@ function handleIncomingMessage(message, { resolve, reject, timeout }) {
         case 'REGISTRATION_SUCCESS':
             clearTimeout(timeout);
             connectionState = 'registered';
-            if (resolve) resolve({ success: true, message: message.message, clientType });
+            hasRegistered = true;
+            userID = message.userID || null;
+            saveResumeToken(message.resumeToken);
+            startClockSync();
+            if (resolve) resolve({ success: true, message: message.message, clientType, userID, resumed: !!message.resumed });
             break;
         case 'REGISTRATION_ERROR':
             clearTimeout(timeout);
@@ -97,33 +240,36 @@ function handleIncomingMessage(message, { resolve, reject, timeout }) {
         case 'NEW_CLIENT':
         case 'CLIENT_DISCONNECTED':
         case 'CALIBRATION_COMMIT':
+        case 'CALIBRATION_GUIDE':
+        case 'POINTER_EVENT':
+        case 'TOUCH_EVENT':
             if (clientType === 'SCREEN') {
-                const handlerFunction = eventActions.get(message.type);
-                if (typeof handlerFunction === 'function') handlerFunction(message.message);
+                emit(message.type, message.message);
             }
             break;
         case 'SCREEN_CALIBRATION':
         case 'SCREEN_DISCONNECTED':
+        case 'ACCURACY_TEST':
             if (clientType === 'VR') {
-                const handlerFunction = eventActions.get(message.type);
-                if (typeof handlerFunction === 'function') handlerFunction(message.message);
+                emit(message.type, message.message);
             }
             break;
+        case 'PONG':
+            handlePong(message.message);
+            break;
         case 'ERROR':
             console.error('Server sent error:', message.message);
+            emit('ERROR', message.message);
+            break;
+        case 'SCREEN_LAYOUT':
+            emit('SCREEN_LAYOUT', message.message);
             break;
         case 'GAME_EVENT':
-            // Forward game-level events to any registered handler (both SCREEN and VR should receive)
-            {
-                const handlerFunction = eventActions.get('GAME_EVENT');
-                if (typeof handlerFunction === 'function') handlerFunction(message.message);
-            }
+            // Forward game-level events to every listener (both SCREEN and VR should receive)
+            emit('GAME_EVENT', message.message, getGameEventMeta(message));
             break;
         case 'CONFIG_UPDATE':
-            {
-                const handlerFunction = eventActions.get('CONFIG_UPDATE');
-                if (typeof handlerFunction === 'function') handlerFunction(message.message);
-            }
+            emit('CONFIG_UPDATE', message.message);
             break;
         default:
             sendError('Data type has no matches');
@@ -136,17 +282,136 @@ export function sendMessage(message) {
     ws.send(JSON.stringify(message));
 }
 
-export function handleEvent(type, handlerFunction) {
-    eventActions.set(type, handlerFunction);
+/**
+ * Send a message unless the connection is down or (re)registering, instead of throwing like sendMessage.
+ * For traffic that is sent again anyway or may be dropped, such as per-frame state.
+ * @param {Object} message - { type, message }
+ * @returns {boolean} Whether it was sent
+ */
+export function sendIfRegistered(message) {
+    if (!isRegistered()) return false;
+    sendMessage(message);
+    return true;
+}
+
+/**
+ * Listen to a server message type or local event. Any number of listeners can share a type.
+ * Listeners are called with (message, type, meta); use '*' to receive every event.
+ * For GAME_EVENT, meta is { from, sentAt, serverTime, receivedAt, latency }: `from` ({ userID, clientType, screenId })
+ * identifies the sender, times are on the shared server timeline and latency is split into { total, toServer, fromServer }.
+ * @param {string} type - Message/event type, or '*' for all
+ * @param {Function} listener
+ * @returns {Function} Call to remove the listener
+ */
+export function on(type, listener) {
+    if (typeof listener !== 'function') throw new TypeError('Listener must be a function');
+    if (!eventListeners.has(type)) eventListeners.set(type, new Set());
+    eventListeners.get(type).add(listener);
+    return () => off(type, listener);
+}
+
+// Remove a listener added with `on`, or with `once` (by the function that was passed in)
+export function off(type, listener) {
+    const listeners = eventListeners.get(type);
+    if (!listeners) return;
+    for (const registered of Array.from(listeners)) {
+        if (registered === listener || registered.listener === listener) listeners.delete(registered);
+    }
+    if (listeners.size === 0) eventListeners.delete(type);
 }
 
+// Like `on`, but the listener is removed after its first call
+export function once(type, listener) {
+    const wrapper = (message, eventType, meta) => {
+        off(type, wrapper);
+        listener(message, eventType, meta);
+    };
+    wrapper.listener = listener;
+    return on(type, wrapper);
+}
+
+// Older name for `on`, kept so existing add-ons keep working (it no longer replaces other listeners)
+export const handleEvent = on;
+
 function sendError(message) {
     if (ws && ws.readyState === WebSocket.OPEN) {
         ws.send(JSON.stringify({ type: 'ERROR', message }));
     }
 }
 
+function startClockSync() {
+    stopClockSync();
+    let burst = 0;
+    const tick = () => {
+        sendPing();
+        burst++;
+        clockSyncTimer = setTimeout(tick, burst < CLOCK_SYNC_BURST ? CLOCK_SYNC_BURST_INTERVAL_MS : CLOCK_SYNC_INTERVAL_MS);
+    };
+    tick();
+}
+
+function stopClockSync() {
+    clearTimeout(clockSyncTimer);
+    clockSyncTimer = null;
+}
+
+function sendPing() {
+    if (ws && ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify({ type: 'PING', message: { clientSentAt: Date.now() } }));
+    }
+}
+
+function handlePong(message) {
+    const receivedAt = Date.now();
+    if (!message || !Number.isFinite(message.clientSentAt)) return;
+    const { clientSentAt, serverReceivedAt, serverSentAt } = message;
+    // Round trip without the server's processing time, and the server clock minus ours
+    const rtt = (receivedAt - clientSentAt) - (serverSentAt - serverReceivedAt);
+    const offset = ((serverReceivedAt - clientSentAt) + (serverSentAt - receivedAt)) / 2;
+    clockSamples.push({ rtt, offset });
+    if (clockSamples.length > CLOCK_SYNC_SAMPLES) clockSamples.shift();
+    // The sample with the shortest round trip has the least asymmetric delay, so trust it most
+    const best = clockSamples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+    clockSync = { offset: best.offset, rtt, synced: true };
+    emit('CLOCK_SYNC', { offset: clockSync.offset, rtt });
+}
+
+/**
+ * Current time on the shared (server) timeline, in milliseconds since the epoch
+ * @returns {number}
+ */
+export function serverNow() {
+    return Date.now() + clockSync.offset;
+}
+
+/**
+ * Latest clock sync estimate
+ * @returns {Object} { offset, rtt, synced } - offset is server clock minus local clock (ms), rtt is the last round trip (ms)
+ */
+export function getClockSync() {
+    return { ...clockSync };
+}
+
+// Timing info for an incoming GAME_EVENT: how old it is and where the time went
+function getGameEventMeta(message) {
+    const receivedAt = serverNow();
+    const sentAt = Number.isFinite(message.sentAt) ? message.sentAt : null;
+    const serverTime = Number.isFinite(message.serverTime) ? message.serverTime : null;
+    return {
+        from: message.from || null,
+        sentAt,
+        serverTime,
+        receivedAt,
+        latency: {
+            total: sentAt !== null ? receivedAt - sentAt : null,
+            toServer: sentAt !== null && serverTime !== null ? serverTime - sentAt : null,
+            fromServer: serverTime !== null ? receivedAt - serverTime : null
+        }
+    };
+}
+
 function clearSocket() {
+    stopClockSync();
     if (ws) {
         ws.onopen = ws.onmessage = ws.onclose = ws.onerror = null;
         if (ws.readyState === WebSocket.OPEN || ws.readyState === WebSocket.CONNECTING) ws.close();
@@ -155,21 +420,29 @@ function clearSocket() {
 }
 
 export function disconnect() {
+    stopReconnecting();
     clearSocket();
     connectionState = 'disconnected';
     clientType = null;
+    userID = null;
+    hasRegistered = false;
     console.log('Disconnected from server');
 }
 
 export function getConnectionState() {
-    return { state: connectionState, clientType, isRegistered: isRegistered() };
+    return { state: connectionState, clientType, userID, room: getRoomName(), isRegistered: isRegistered() };
 }
 
 export function isRegistered() {
     return ws && ws.readyState === WebSocket.OPEN && connectionState === 'registered';
 }
 
-export function sendGameMessage(payload) {
-    // Convenience wrapper for game-level events
-    sendMessage({ type: 'GAME_EVENT', message: payload });
+export function sendGameMessage(payload, { to = null, screenId = null } = {}) {
+    // Convenience wrapper for game-level events. `to` picks the recipients on the server:
+    // 'all' (default, includes the sender), 'others', 'screens', 'vr', 'desktop', { userID } or { screenId }.
+    // Passing a screenId limits delivery to that screen (VR and desktop clients still receive it).
+    const envelope = { type: 'GAME_EVENT', message: payload, sentAt: serverNow() };
+    if (to) envelope.to = to;
+    if (screenId) envelope.screenId = screenId;
+    sendMessage(envelope);
 }
\ No newline at end of file
@@ -1,30 +1,506 @@
-// Desktop client - fallback for devices without XR support
+// Desktop client - fallback for devices without XR support.
+// Emulates a headset with mouse and keyboard so the VR side of games can run on a laptop:
+// screens are shown where their calibration profile puts them (flat planes on a virtual wall when
+// they have none) and the emulated controllers/hands
+// produce the same controllers, screenState and handState that vr.js passes to gameAPI.updateVR.
 
+import * as THREE from 'three';
+import { XR_BUTTONS, XR_AXES } from 'gamepad-wrapper';
 import * as cm from './clientManager.js';
+import * as gameAPI from './gameAPI.js';
+import { DEFAULT_GAME_ID } from './games/index.js';
+import { DEFAULT_SCREEN_ID, EMPTY_SCREEN_LAYOUT } from './screenLayout.js';
+import { buildScreenMeta, buildScreensContext, computeScreenState, raycastScreens } from './screenState.js';
+import { createEmulatedController, createEmulatedHand, aimController, setButton, setAxis } from './emulatedController.js';
+import { createPointerTracker, getPrimaryButtons } from './pointerEvents.js';
+import { createTouchTracker } from './touchEvents.js';
+import { getScreenMapping } from './screenMapping.js';
+import { isFloorSpace } from './xrSpaces.js';
 
 // Redirect to VR if supported
 if (navigator.xr) {
     navigator.xr.isSessionSupported('immersive-ar').then(supported => {
-        if (supported) window.location.href = '/vr';
+        if (supported) window.location.href = '/vr' + window.location.search;
     });
 }
 
-// Display connection status
+document.body.style.margin = '0';
+document.body.style.overflow = 'hidden';
+
+const EYE_HEIGHT = 1.6;
+// Virtual wall the screens are placed on, in the head-relative space vr.js uses ('local' reference space)
+const WALL_DISTANCE = 1.5;
+const WALL_MAX_HEIGHT = 0.9;
+const WALL_MAX_WIDTH = 3.0;
+// Where each emulated controller rests relative to the head
+const REST_OFFSETS = { right: new THREE.Vector3(0.15, -0.25, -0.2), left: new THREE.Vector3(-0.15, -0.25, -0.2) };
+const AIM_DISTANCE = 3.0;
+const HAND_REACH_DEFAULT = 0.5;
+const HAND_REACH_MIN = 0.2;
+const HAND_REACH_MAX = 3.0;
+const LOOK_SPEED = 1.2; // rad/s while an arrow key is held
+
+let configActiveGameId = DEFAULT_GAME_ID;
+let lastGameVRContext = null;
+let gameStartedVR = false;
+
+// ---------- Scene ----------
+const scene = new THREE.Scene();
+scene.background = new THREE.Color(0x202428);
+
+const camera = new THREE.PerspectiveCamera(70, window.innerWidth / window.innerHeight, 0.05, 100);
+const player = new THREE.Group();
+player.add(camera);
+scene.add(player);
+
+const renderer = new THREE.WebGLRenderer({ antialias: true });
+renderer.setPixelRatio(window.devicePixelRatio);
+renderer.setSize(window.innerWidth, window.innerHeight);
+document.body.appendChild(renderer.domElement);
+
+const grid = new THREE.GridHelper(6, 12, 0x555555, 0x333333);
+grid.position.y = -EYE_HEIGHT;
+scene.add(grid);
+
+window.addEventListener('resize', () => {
+    camera.aspect = window.innerWidth / window.innerHeight;
+    camera.updateProjectionMatrix();
+    renderer.setSize(window.innerWidth, window.innerHeight);
+});
+
+// ---------- Emulated input ----------
+const emulated = { right: createEmulatedController('right'), left: createEmulatedController('left') };
+// Per side: 'controller' or 'hand' (hand tracking); the mouse drives the active side only
+const inputMode = { right: 'controller', left: 'controller' };
+let activeSide = 'right';
+let handReach = HAND_REACH_DEFAULT;
+let pinching = false;
+let lookYaw = 0;
+let lookPitch = 0;
+const pointer = new THREE.Vector2(0, 0);
+const heldKeys = new Set();
+
+for (const side of ['right', 'left']) {
+    const { raySpace, gripSpace } = emulated[side];
+    const color = side === 'right' ? 0xff00cc : 0x00ffcc;
+    const ray = new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(0, 0, 0), new THREE.Vector3(0, 0, -AIM_DISTANCE)]),
+        new THREE.LineBasicMaterial({ color })
+    );
+    raySpace.add(ray);
+    const body = new THREE.Mesh(new THREE.ConeGeometry(0.015, 0.08, 12), new THREE.MeshBasicMaterial({ color }));
+    body.rotation.x = -Math.PI / 2;
+    gripSpace.add(body);
+    player.add(raySpace, gripSpace);
+}
+
+const handMarkers = new Map(); // `${side}:${jointName}` -> mesh
+const cursorMarkers = {
+    right: new THREE.Mesh(new THREE.SphereGeometry(0.012, 12, 8), new THREE.MeshBasicMaterial({ color: 0xff00cc })),
+    left: new THREE.Mesh(new THREE.SphereGeometry(0.012, 12, 8), new THREE.MeshBasicMaterial({ color: 0x00ffcc }))
+};
+scene.add(cursorMarkers.right, cursorMarkers.left);
+
+const KEY_BUTTONS = { KeyE: XR_BUTTONS.BUTTON_1, KeyR: XR_BUTTONS.BUTTON_2, KeyF: XR_BUTTONS.TRIGGER, KeyG: XR_BUTTONS.SQUEEZE };
+const MOUSE_BUTTONS = { 0: XR_BUTTONS.TRIGGER, 2: XR_BUTTONS.SQUEEZE };
+
+function releaseAll(side) {
+    for (const buttonId of Object.values(XR_BUTTONS)) setButton(emulated[side], buttonId, false);
+    setAxis(emulated[side], XR_AXES.THUMBSTICK_X, 0);
+    setAxis(emulated[side], XR_AXES.THUMBSTICK_Y, 0);
+}
+
+function updateThumbstick() {
+    const x = (heldKeys.has('KeyD') ? 1 : 0) - (heldKeys.has('KeyA') ? 1 : 0);
+    const y = (heldKeys.has('KeyS') ? 1 : 0) - (heldKeys.has('KeyW') ? 1 : 0);
+    setAxis(emulated[activeSide], XR_AXES.THUMBSTICK_X, x);
+    setAxis(emulated[activeSide], XR_AXES.THUMBSTICK_Y, y);
+}
+
+renderer.domElement.addEventListener('pointermove', (e) => {
+    pointer.set((e.clientX / window.innerWidth) * 2 - 1, -(e.clientY / window.innerHeight) * 2 + 1);
+});
+renderer.domElement.addEventListener('pointerdown', (e) => {
+    if (inputMode[activeSide] === 'hand') {
+        if (e.button === 0) pinching = true;
+        return;
+    }
+    if (MOUSE_BUTTONS[e.button]) setButton(emulated[activeSide], MOUSE_BUTTONS[e.button], true);
+});
+window.addEventListener('pointerup', (e) => {
+    if (e.button === 0) pinching = false;
+    if (MOUSE_BUTTONS[e.button]) setButton(emulated[activeSide], MOUSE_BUTTONS[e.button], false);
+});
+renderer.domElement.addEventListener('contextmenu', (e) => e.preventDefault());
+renderer.domElement.addEventListener('wheel', (e) => {
+    e.preventDefault();
+    handReach = THREE.MathUtils.clamp(handReach - e.deltaY * 0.001, HAND_REACH_MIN, HAND_REACH_MAX);
+}, { passive: false });
+
+window.addEventListener('keydown', (e) => {
+    if (e.repeat) return;
+    heldKeys.add(e.code);
+    if (e.code === 'KeyQ') {
+        releaseAll(activeSide);
+        pinching = false;
+        activeSide = activeSide === 'right' ? 'left' : 'right';
+    } else if (e.code === 'KeyH') {
+        releaseAll(activeSide);
+        pinching = false;
+        inputMode[activeSide] = inputMode[activeSide] === 'hand' ? 'controller' : 'hand';
+    } else if (KEY_BUTTONS[e.code]) {
+        setButton(emulated[activeSide], KEY_BUTTONS[e.code], true);
+    }
+    updateThumbstick();
+    updateStatus();
+});
+window.addEventListener('keyup', (e) => {
+    heldKeys.delete(e.code);
+    if (KEY_BUTTONS[e.code]) setButton(emulated[activeSide], KEY_BUTTONS[e.code], false);
+    updateThumbstick();
+});
+window.addEventListener('blur', () => {
+    heldKeys.clear();
+    pinching = false;
+    releaseAll('right');
+    releaseAll('left');
+});
+
+// ---------- Screens ----------
+// Same entry shape as vr.js so screenState.js can raycast them; every known screen counts as calibrated
+const screens = new Map();
+let screenLayout = EMPTY_SCREEN_LAYOUT;
+
+function getOrderedScreens() {
+    const order = (id) => {
+        const i = screenLayout.screens.findIndex((s) => s.screenId === id);
+        return i === -1 ? Infinity : i;
+    };
+    return Array.from(screens.values())
+        .filter((e) => e.screenWidth && e.screenHeight)
+        .sort((a, b) => order(a.screenId) - order(b.screenId));
+}
+
+// Calibrated pose from a screen's profile (see SCREEN_CALIBRATION), moved into the emulator's
+// head-relative space like vr.js moves saves between reference spaces; null without a usable profile
+function getProfilePose(profile) {
+    const isVector = (value, length) => Array.isArray(value) && value.length === length && value.every(Number.isFinite);
+    if (!profile || !isVector(profile.topLeftCorner, 3) || !isVector(profile.bottomRightCorner, 3) ||
+        !(profile.rectXDistance > 0) || !(profile.rectYDistance > 0)) {
+        return null;
+    }
+    const topLeft = new THREE.Vector3().fromArray(profile.topLeftCorner);
+    const bottomRight = new THREE.Vector3().fromArray(profile.bottomRightCorner);
+    const center = topLeft.clone().add(bottomRight).multiplyScalar(0.5);
+    if (isFloorSpace(profile.referenceSpace)) center.y -= EYE_HEIGHT;
+    // Older profiles have no orientation and were always upright
+    const quaternion = isVector(profile.quaternion, 4)
+        ? new THREE.Quaternion().fromArray(profile.quaternion).normalize()
+        : new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), -Math.atan2(bottomRight.z - topLeft.z, bottomRight.x - topLeft.x));
+    return { center, quaternion, width: profile.rectXDistance, height: profile.rectYDistance };
+}
+
+function placeScreen(entry, center, quaternion, width, height) {
+    const right = new THREE.Vector3(1, 0, 0).applyQuaternion(quaternion);
+    const up = new THREE.Vector3(0, 1, 0).applyQuaternion(quaternion);
+    const halfDiagonal = right.multiplyScalar(width / 2).add(up.multiplyScalar(-height / 2));
+    entry.rectXDistance = width;
+    entry.rectYDistance = height;
+    entry.topLeftCorner = center.clone().sub(halfDiagonal).toArray();
+    entry.bottomRightCorner = center.clone().add(halfDiagonal).toArray();
+    entry.screenQuaternion = quaternion.toArray();
+    if (!entry.screenRect) {
+        entry.screenRect = new THREE.Mesh(
+            new THREE.PlaneGeometry(1, 1),
+            new THREE.MeshBasicMaterial({ color: 'white', transparent: true, opacity: 0.2, side: THREE.DoubleSide })
+        );
+        entry.screenRect.name = 'screenRect';
+        const outline = new THREE.LineSegments(
+            new THREE.EdgesGeometry(new THREE.PlaneGeometry(1, 1)),
+            new THREE.LineBasicMaterial({ color: 0xffffff })
+        );
+        outline.raycast = () => {};
+        entry.screenRect.add(outline);
+        scene.add(entry.screenRect);
+    }
+    entry.screenRect.scale.set(width, height, 1);
+    entry.screenRect.position.copy(center);
+    entry.screenRect.quaternion.copy(quaternion);
+    entry.screenRect.updateMatrixWorld(true);
+}
+
+// Place calibrated screens at their profile's pose, and the rest side by side on the virtual
+// wall in layout order, scaled to fit
+function layoutScreens() {
+    const ordered = [];
+    for (const entry of getOrderedScreens()) {
+        if (entry.profilePose) {
+            const { center, quaternion, width, height } = entry.profilePose;
+            placeScreen(entry, center, quaternion, width, height);
+        } else {
+            ordered.push(entry);
+        }
+    }
+    const totalWidth = ordered.reduce((sum, e) => sum + e.screenWidth, 0);
+    const maxHeight = ordered.reduce((max, e) => Math.max(max, e.screenHeight), 0);
+    if (!totalWidth || !maxHeight) return;
+    const metersPerPixel = Math.min(WALL_MAX_HEIGHT / maxHeight, WALL_MAX_WIDTH / totalWidth);
+    const top = (maxHeight * metersPerPixel) / 2;
+    let x = -(totalWidth * metersPerPixel) / 2;
+
+    for (const entry of ordered) {
+        const width = entry.screenWidth * metersPerPixel;
+        const height = entry.screenHeight * metersPerPixel;
+        placeScreen(entry, new THREE.Vector3(x + width / 2, top - height / 2, -WALL_DISTANCE), new THREE.Quaternion(), width, height);
+        x += width;
+    }
+}
+
+cm.on('SCREEN_CALIBRATION', (message) => {
+    const screenId = message.screenId || DEFAULT_SCREEN_ID;
+    let entry = screens.get(screenId);
+    if (!entry) {
+        entry = { screenId, screenWidth: null, screenHeight: null, screenRect: null, topLeftCorner: [0, 0, 0], bottomRightCorner: [0, 0, 0], screenQuaternion: [0, 0, 0, 1], rectXDistance: null, rectYDistance: null, profilePose: null };
+        screens.set(screenId, entry);
+    }
+    entry.screenWidth = message.screenWidth;
+    entry.screenHeight = message.screenHeight;
+    entry.profilePose = getProfilePose(message.profile);
+    layoutScreens();
+    updateStatus();
+});
+cm.on('SCREEN_DISCONNECTED', (message) => {
+    const screenId = (message && message.screenId) || DEFAULT_SCREEN_ID;
+    const entry = screens.get(screenId);
+    if (!entry) return;
+    if (entry.screenRect) scene.remove(entry.screenRect);
+    screens.delete(screenId);
+    layoutScreens();
+    updateStatus();
+});
+cm.on('SCREEN_LAYOUT', (message) => {
+    if (!message || !Array.isArray(message.screens)) return;
+    screenLayout = message;
+    layoutScreens();
+});
+
+// ---------- Settings / game ----------
+cm.on('CONFIG_UPDATE', (message) => {
+    if (!message) return;
+    gameAPI.updateSettings(message);
+    const system = message.system || {};
+    if (typeof system.activeGameId === 'string') {
+        const nextId = system.activeGameId;
+        if (nextId && nextId !== configActiveGameId) {
+            configActiveGameId = nextId;
+            gameAPI.setActiveGame(nextId, { vrContext: lastGameVRContext });
+            if (gameStartedVR && lastGameVRContext) {
+                try { void gameAPI.startVR(lastGameVRContext); } catch (e) { console.error('game startVR error', e); }
+            }
+        }
+    }
+});
+
+async function startGame() {
+    if (gameStartedVR) return;
+    gameStartedVR = true;
+    try {
+        const startCtx = {
+            scene, camera, renderer, player, controllers: getControllers(),
+            sendGameMessage: gameAPI.sendGameMessage,
+            request: gameAPI.request,
+            handleRequest: gameAPI.handleRequest,
+            now: gameAPI.now
+        };
+        lastGameVRContext = startCtx;
+        gameAPI.setActiveGame(configActiveGameId, { vrContext: lastGameVRContext });
+        await gameAPI.startVR(startCtx);
+    } catch (e) {
+        console.error('game startVR error', e);
+    }
+}
+
+// ---------- Frame loop ----------
+// Controllers in hand mode are absent, like on a headset that switched to hand tracking
+function getControllers() {
+    return {
+        right: inputMode.right === 'controller' ? emulated.right : null,
+        left: inputMode.left === 'controller' ? emulated.left : null
+    };
+}
+
+function updateLook(delta) {
+    const yaw = (heldKeys.has('ArrowLeft') ? 1 : 0) - (heldKeys.has('ArrowRight') ? 1 : 0);
+    const pitch = (heldKeys.has('ArrowUp') ? 1 : 0) - (heldKeys.has('ArrowDown') ? 1 : 0);
+    lookYaw += yaw * LOOK_SPEED * delta;
+    lookPitch = THREE.MathUtils.clamp(lookPitch + pitch * LOOK_SPEED * delta, -1.2, 1.2);
+    camera.rotation.set(lookPitch, lookYaw, 0, 'YXZ');
+    camera.updateMatrixWorld(true);
+}
+
+// Aim the active side at the mouse; the other side rests pointing straight ahead.
+// An emulated hand aims along the mouse ray itself rather than the headset's shoulder model
+// (handRay.js), so the cursor stays under the mouse.
+function updateEmulatedPoses(orderedScreens) {
+    const raycaster = new THREE.Raycaster();
+    raycaster.setFromCamera(pointer, camera);
+    const mouseHit = raycastScreens(raycaster.ray.origin, raycaster.ray.direction, orderedScreens, screenLayout);
+    const forward = new THREE.Vector3();
+    camera.getWorldDirection(forward);
+    const handState = { left: { tracked: false, joints: {} }, right: { tracked: false, joints: {} } };
+    const handRays = { left: null, right: null };
+
+    for (const side of ['right', 'left']) {
+        const controller = emulated[side];
+        const restPosition = camera.localToWorld(REST_OFFSETS[side].clone());
+        const active = side === activeSide;
+        if (inputMode[side] === 'hand') {
+            // The index finger tip sits `handReach` along the mouse ray (or ahead of the rest pose)
+            const direction = active ? raycaster.ray.direction.clone() : forward.clone();
+            const origin = active ? raycaster.ray.origin.clone() : restPosition;
+            const tip = origin.clone().add(direction.clone().multiplyScalar(handReach));
+            const orientation = new THREE.Quaternion().setFromRotationMatrix(
+                new THREE.Matrix4().lookAt(origin, tip, new THREE.Vector3(0, 1, 0))
+            );
+            handState[side] = createEmulatedHand(tip, orientation, active && pinching);
+            handRays[side] = { origin, direction, pinching: active && pinching, pinchStrength: active && pinching ? 1 : 0 };
+            controller.raySpace.visible = false;
+            controller.gripSpace.visible = false;
+            continue;
+        }
+        let target;
+        if (active && mouseHit.onScreen) target = mouseHit.hitPoint.clone();
+        else if (active) target = raycaster.ray.at(AIM_DISTANCE, new THREE.Vector3());
+        else target = restPosition.clone().add(forward.clone().multiplyScalar(AIM_DISTANCE));
+        aimController(controller, restPosition, target);
+        controller.raySpace.visible = true;
+        controller.gripSpace.visible = true;
+    }
+    return { handState, handRays };
+}
+
+function updateHandMarkers(handState) {
+    const used = new Set();
+    for (const side of ['left', 'right']) {
+        const h = handState[side];
+        if (!h.tracked) continue;
+        for (const [jointName, joint] of Object.entries(h.joints)) {
+            const key = `${side}:${jointName}`;
+            used.add(key);
+            let mesh = handMarkers.get(key);
+            if (!mesh) {
+                mesh = new THREE.Mesh(
+                    new THREE.SphereGeometry(joint.radius, 8, 6),
+                    new THREE.MeshBasicMaterial({ color: side === 'left' ? 0x00ffcc : 0xff00cc })
+                );
+                scene.add(mesh);
+                handMarkers.set(key, mesh);
+            }
+            mesh.visible = true;
+            mesh.position.set(joint.position[0], joint.position[1], joint.position[2]);
+        }
+    }
+    for (const [key, mesh] of handMarkers) {
+        if (!used.has(key)) mesh.visible = false;
+    }
+}
+
+const pointerTracker = createPointerTracker();
+const touchTracker = createTouchTracker();
+const clock = new THREE.Clock();
+function animate() {
+    const delta = clock.getDelta();
+    const time = clock.getElapsedTime();
+    updateLook(delta);
+
+    const orderedScreens = getOrderedScreens().filter((e) => e.screenRect);
+    const { handState, handRays } = updateEmulatedPoses(orderedScreens);
+    updateHandMarkers(handState);
+    const controllers = getControllers();
+    for (const controller of Object.values(controllers)) {
+        if (controller) controller.gamepad.update();
+    }
+
+    const screenState = computeScreenState(controllers, orderedScreens, screenLayout, handRays);
+    for (const side of ['right', 'left']) {
+        const s = screenState[side];
+        cursorMarkers[side].visible = !!s.onScreen;
+        if (s.onScreen) cursorMarkers[side].position.copy(s.hitPoint);
+    }
+
+    if (gameStartedVR) {
+        const primaryScreen = orderedScreens[0] || null;
+        try {
+            const ctx = {
+                scene, camera, renderer, player, controllers,
+                sendGameMessage: gameAPI.sendGameMessage,
+                request: gameAPI.request,
+                handleRequest: gameAPI.handleRequest,
+                now: gameAPI.now,
+                screenState,
+                screenMeta: primaryScreen ? buildScreenMeta(primaryScreen) : null,
+                screenRect: primaryScreen ? primaryScreen.screenRect : null,
+                screenMapping: getScreenMapping(primaryScreen),
+                screens: buildScreensContext(orderedScreens, screenLayout),
+                screenLayout,
+                handState
+            };
+            lastGameVRContext = ctx;
+            // Pointer and touch events as on the headset (see vr.js)
+            for (const event of pointerTracker.update(screenState, getPrimaryButtons(screenState, controllers))) {
+                gameAPI.dispatchPointerEvent(event, ctx);
+                cm.sendIfRegistered({ type: 'POINTER_EVENT', message: event });
+            }
+            for (const event of touchTracker.update(handState, orderedScreens, screenLayout, delta)) {
+                gameAPI.dispatchTouchEvent(event, ctx);
+                cm.sendIfRegistered({ type: 'TOUCH_EVENT', message: event });
+            }
+            gameAPI.updateVR(delta, time, ctx);
+        } catch (e) {
+            console.error('game updateVR error', e);
+        }
+    }
+
+    renderer.render(scene, camera);
+}
+renderer.setAnimationLoop(animate);
+
+// ---------- Status & help ----------
 const statusDisplay = document.createElement('div');
 statusDisplay.id = 'connection-status';
+Object.assign(statusDisplay.style, {
+    position: 'fixed', top: '8px', left: '8px', color: '#eee', font: '13px monospace', whiteSpace: 'pre', pointerEvents: 'none'
+});
 document.body.appendChild(statusDisplay);
 
+const HELP_TEXT = [
+    'Mouse: aim    Left click: trigger (pinch in hand mode)    Right click: squeeze',
+    'E / R: A / B buttons    F / G: trigger / squeeze    WASD: thumbstick',
+    'Q: switch left/right    H: controller/hand tracking    Wheel: hand reach    Arrows: look around'
+].join('\n');
+
 function updateStatus() {
     const state = cm.getConnectionState();
-    statusDisplay.textContent = `Connection Status: ${state.state}`;
+    const clock = cm.getClockSync();
+    const connection = `Connection Status: ${state.state}` + (state.room ? ` (room: ${state.room})` : '')
+        + (clock.synced ? ` | RTT ${Math.round(clock.rtt)} ms, clock offset ${Math.round(clock.offset)} ms` : '');
+    const input = `Emulating: ${activeSide} ${inputMode[activeSide]} | screens: ${screens.size}`;
+    statusDisplay.textContent = `${connection}\n${input}\n\n${HELP_TEXT}`;
 }
+updateStatus();
 
-// Register as desktop client
-cm.registerToServer('DESKTOP')
-    .then(updateStatus)
+// Register as an emulated VR client so games and screens treat this page like a headset
+cm.registerToServer('VR', { emulated: true })
+    .then(() => {
+        updateStatus();
+        void startGame();
+    })
     .catch((error) => {
         console.error('Failed to register:', error);
         updateStatus();
     });
 
-cm.handleEvent('CLOSE', updateStatus);
+cm.on('CLOSE', updateStatus);
+cm.on('RECONNECTING', updateStatus);
+cm.on('RECONNECTED', updateStatus);
+cm.on('CLOCK_SYNC', updateStatus);
@@ -0,0 +1,126 @@
+import * as THREE from 'three';
+import { GamepadWrapper } from 'gamepad-wrapper';
+
+// Stand-ins for the WebXR controllers and hands that vr.js hands to games, driven from code
+// instead of a headset (the desktop emulator feeds them mouse and keyboard input).
+//
+// The gamepad is a plain object laid out like an 'xr-standard' Gamepad and wrapped in the same
+// GamepadWrapper init.js uses, so getButton/getButtonDown/getAxis behave exactly as on a Quest.
+// Nothing here touches the DOM.
+
+// Button and axis order of the 'xr-standard' mapping
+const BUTTON_INDEX = { TRIGGER: 0, SQUEEZE: 1, TOUCHPAD: 2, THUMBSTICK: 3, BUTTON_1: 4, BUTTON_2: 5 };
+const AXIS_INDEX = { TOUCHPAD_X: 0, TOUCHPAD_Y: 1, THUMBSTICK_X: 2, THUMBSTICK_Y: 3 };
+
+// Joints reported for an emulated hand, offsets in meters from the index finger tip
+// in the hand's ray space (-z points along the ray)
+const OPEN_HAND_JOINTS = {
+    'wrist': [0.0, -0.02, 0.16],
+    'thumb-tip': [-0.05, -0.03, 0.06],
+    'index-finger-tip': [0.0, 0.0, 0.0],
+    'middle-finger-tip': [0.02, -0.005, 0.005],
+    'ring-finger-tip': [0.04, -0.01, 0.015],
+    'pinky-finger-tip': [0.06, -0.02, 0.035]
+};
+const PINCHED_THUMB_TIP = [-0.005, -0.005, 0.005];
+const JOINT_RADIUS = 0.008;
+
+/**
+ * Gamepad-like object with the 'xr-standard' layout
+ * @param {string} handedness - 'left' or 'right'
+ * @returns {Object} { id, mapping, connected, buttons, axes, hapticActuators }
+ */
+export function createEmulatedGamepad(handedness) {
+    return {
+        id: `emulated-${handedness}`,
+        mapping: 'xr-standard',
+        connected: true,
+        buttons: Object.keys(BUTTON_INDEX).map(() => ({ pressed: false, touched: false, value: 0 })),
+        axes: Object.keys(AXIS_INDEX).map(() => 0),
+        hapticActuators: []
+    };
+}
+
+/**
+ * Press or release a button; takes effect on the next gamepad.update()
+ * @param {Object} controller - Emulated controller
+ * @param {string} buttonId - XR_BUTTONS value, e.g. XR_BUTTONS.TRIGGER
+ * @param {boolean|number} value - true/false or an analog value from 0 to 1
+ */
+export function setButton(controller, buttonId, value) {
+    const button = controller.rawGamepad.buttons[BUTTON_INDEX[buttonId]];
+    if (!button) throw new Error(`Unknown button: ${buttonId}`);
+    const v = typeof value === 'number' ? THREE.MathUtils.clamp(value, 0, 1) : (value ? 1 : 0);
+    button.value = v;
+    button.pressed = v > 0;
+    button.touched = v > 0;
+}
+
+/**
+ * Set an axis value (-1 to 1)
+ * @param {Object} controller - Emulated controller
+ * @param {string} axisId - XR_AXES value, e.g. XR_AXES.THUMBSTICK_Y
+ * @param {number} value
+ */
+export function setAxis(controller, axisId, value) {
+    const idx = AXIS_INDEX[axisId];
+    if (idx === undefined) throw new Error(`Unknown axis: ${axisId}`);
+    controller.rawGamepad.axes[idx] = THREE.MathUtils.clamp(value, -1, 1);
+}
+
+/**
+ * Controller shaped like the entries of vr.js' `controllers` ({ raySpace, gripSpace, gamepad })
+ * @param {string} handedness - 'left' or 'right'
+ * @returns {Object} { handedness, raySpace, gripSpace, gamepad, rawGamepad }
+ */
+export function createEmulatedController(handedness) {
+    const raySpace = new THREE.Group();
+    const gripSpace = new THREE.Group();
+    raySpace.name = `emulated-${handedness}-ray`;
+    gripSpace.name = `emulated-${handedness}-grip`;
+    const rawGamepad = createEmulatedGamepad(handedness);
+    return { handedness, raySpace, gripSpace, gamepad: new GamepadWrapper(rawGamepad), rawGamepad };
+}
+
+/**
+ * Point a controller from a position towards a target; the grip follows the ray
+ * @param {Object} controller - Emulated controller
+ * @param {THREE.Vector3} position
+ * @param {THREE.Vector3} target
+ */
+export function aimController(controller, position, target) {
+    const { raySpace, gripSpace } = controller;
+    const m = new THREE.Matrix4().lookAt(position, target, new THREE.Vector3(0, 1, 0));
+    raySpace.position.copy(position);
+    raySpace.quaternion.setFromRotationMatrix(m);
+    raySpace.updateMatrixWorld(true);
+    gripSpace.position.copy(position);
+    gripSpace.quaternion.copy(raySpace.quaternion);
+    gripSpace.updateMatrixWorld(true);
+}
+
+/**
+ * Hand state for one side, in the shape vr.js builds from XRHand joint poses
+ * @param {THREE.Vector3} indexTip - Where the index finger tip is
+ * @param {THREE.Quaternion} orientation - Hand orientation (-z along the pointing direction)
+ * @param {boolean} pinching - Whether thumb and index finger touch
+ * @returns {Object} { tracked: true, joints: { [jointName]: { position: [x, y, z], radius } } }
+ */
+export function createEmulatedHand(indexTip, orientation, pinching) {
+    const joints = {};
+    for (const [jointName, offset] of Object.entries(OPEN_HAND_JOINTS)) {
+        const local = (jointName === 'thumb-tip' && pinching) ? PINCHED_THUMB_TIP : offset;
+        const p = new THREE.Vector3(...local).applyQuaternion(orientation).add(indexTip);
+        joints[jointName] = { position: [p.x, p.y, p.z], radius: JOINT_RADIUS };
+    }
+    return { tracked: true, joints };
+}
+
+export default {
+    createEmulatedGamepad,
+    createEmulatedController,
+    setButton,
+    setAxis,
+    aimController,
+    createEmulatedHand
+};
@@ -5,7 +5,16 @@ import { GAMES } from './games/index.js';
 const games = new Map();
 let activeGameId = null;
 let currentGame = null;
-let currentSettings = {}; // Current settings object passed to games
+let currentConfig = { system: {}, games: {} }; // Latest CONFIG_UPDATE: { system, games: { [gameId]: settings } }
+const NO_SETTINGS = Object.freeze({});
+
+// Request/response on top of GAME_EVENT: requests carry an id that the reply echoes back
+const RPC_REQUEST_EVENT = 'RPC_REQUEST';
+const RPC_RESPONSE_EVENT = 'RPC_RESPONSE';
+const DEFAULT_REQUEST_TIMEOUT_MS = 5000;
+const requestHandlers = new Map(); // method -> handler(payload, meta)
+const pendingRequests = new Map(); // request id -> { resolve, reject, timer, method }
+let requestCounter = 0;
 
 // Initialize games from registry
 for (const [id, { game }] of GAMES) {
@@ -17,29 +26,46 @@ export function getActiveGameId() {
 }
 
 /**
- * Update the current settings object
- * @param {Object} newSettings - New settings to merge
+ * Update the current config
+ * @param {Object} config - { system, games } from a CONFIG_UPDATE message (merged per namespace)
  */
-export function updateSettings(newSettings) {
-    if (!newSettings) return;
-    currentSettings = { ...currentSettings, ...newSettings };
+export function updateSettings(config) {
+    if (!config) return;
+    const games = { ...currentConfig.games };
+    for (const [gameId, values] of Object.entries(config.games || {})) {
+        games[gameId] = { ...(games[gameId] || {}), ...values };
+    }
+    currentConfig = { system: { ...currentConfig.system, ...(config.system || {}) }, games };
+}
+
+// Settings of the active game only, as passed to it in context.settings
+function getGameSettings() {
+    return currentConfig.games[activeGameId] || NO_SETTINGS;
 }
 
 /**
- * Get the current settings object
- * @returns {Object} Current settings
+ * Get the active game's settings
+ * @returns {Object} Current settings of the active game (its own keys only)
  */
 export function getCurrentSettings() {
-    return { ...currentSettings };
+    return { ...getGameSettings() };
+}
+
+/**
+ * Get the system-wide settings (activeGameId, screenGeometryMode, ...)
+ * @returns {Object}
+ */
+export function getSystemSettings() {
+    return { ...currentConfig.system };
 }
 
-export function setActiveGame(id, { vrContext = null, screenContext = null, settings = null } = {}) {
+export function setActiveGame(id, { vrContext = null, screenContext = null, config = null } = {}) {
     const nextId = String(id);
     if (activeGameId === nextId && currentGame) return;
 
-    // Update settings if provided
-    if (settings) {
-        updateSettings(settings);
+    // Update config if provided
+    if (config) {
+        updateSettings(config);
     }
 
     const prev = currentGame;
@@ -52,51 +78,182 @@ export function setActiveGame(id, { vrContext = null, screenContext = null, sett
         }
     }
 
+    // Request handlers belong to the game that registered them
+    requestHandlers.clear();
+
     activeGameId = nextId;
     currentGame = games.get(nextId) || null;
 }
 
-export function sendGameMessage(payload) {
-    cm.sendGameMessage(payload);
+/**
+ * Send a GAME_EVENT to the other clients
+ * @param {Object} payload - Message content delivered to onMessage
+ * @param {Object} options - { to } to pick recipients: 'all' (default), 'others', 'screens', 'vr',
+ *                            'desktop', { userID } or { screenId }; { screenId } alone keeps VR/desktop too
+ */
+export function sendGameMessage(payload, options) {
+    // Messages sent while the connection is being re-established are dropped
+    if (!cm.isRegistered()) return;
+    cm.sendGameMessage(payload, options);
+}
+
+/**
+ * Current time on the timeline shared by all clients (the server clock), in milliseconds.
+ * Compare it with `meta.sentAt` in onMessage to know how old a message is.
+ * @returns {number}
+ */
+export function now() {
+    return cm.serverNow();
+}
+
+/**
+ * Clock sync estimate for this client
+ * @returns {Object} { offset, rtt, synced } in milliseconds
+ */
+export function getClockSync() {
+    return cm.getClockSync();
+}
+
+/**
+ * Send a request to other clients and wait for the first reply
+ * @param {string|Object} target - Same values as sendGameMessage's `to` (e.g. 'screens', { userID })
+ * @param {string} method - Name registered with handleRequest on the receiving side
+ * @param {*} payload - Request data passed to the handler
+ * @param {Object} options - { timeout } in milliseconds (default 5000)
+ * @returns {Promise<*>} Resolves with the handler's result, rejects on error reply or timeout
+ */
+export function request(target, method, payload, { timeout = DEFAULT_REQUEST_TIMEOUT_MS } = {}) {
+    return new Promise((resolve, reject) => {
+        if (!cm.isRegistered()) {
+            reject(new Error(`Request "${method}" failed: not connected`));
+            return;
+        }
+        const id = `${cm.getConnectionState().userID || 'local'}:${++requestCounter}`;
+        const timer = setTimeout(() => {
+            pendingRequests.delete(id);
+            reject(new Error(`Request "${method}" timed out after ${timeout}ms`));
+        }, timeout);
+        pendingRequests.set(id, { resolve, reject, timer, method });
+        // Only a request addressed to a single client gets an error back when nobody handles it
+        const direct = !!target && typeof target === 'object';
+        cm.sendGameMessage({ event: RPC_REQUEST_EVENT, id, method, payload, direct }, { to: target });
+    });
+}
+
+/**
+ * Answer requests for a method. The handler may return a value or a Promise;
+ * throwing (or rejecting) sends an error reply to the requester.
+ * Handlers are cleared when the active game changes.
+ * @param {string} method - Request name
+ * @param {Function} handler - (payload, meta) => result
+ * @returns {Function} Call to remove the handler
+ */
+export function handleRequest(method, handler) {
+    requestHandlers.set(method, handler);
+    return () => {
+        if (requestHandlers.get(method) === handler) requestHandlers.delete(method);
+    };
+}
+
+async function answerRequest(msg, meta) {
+    const from = meta && meta.from;
+    if (!from || !from.userID) return;
+    const reply = (body) => {
+        if (!cm.isRegistered()) return;
+        cm.sendGameMessage({ event: RPC_RESPONSE_EVENT, id: msg.id, ...body }, { to: { userID: from.userID } });
+    };
+    const handler = requestHandlers.get(msg.method);
+    if (typeof handler !== 'function') {
+        if (msg.direct) reply({ ok: false, error: `No handler for request "${msg.method}"` });
+        return;
+    }
+    try {
+        const result = await handler(msg.payload, meta);
+        reply({ ok: true, result });
+    } catch (e) {
+        reply({ ok: false, error: (e && e.message) || String(e) });
+    }
+}
+
+function settleRequest(msg) {
+    const pending = pendingRequests.get(msg.id);
+    if (!pending) return; // Timed out, or a later reply to a request sent to several clients
+    pendingRequests.delete(msg.id);
+    clearTimeout(pending.timer);
+    if (msg.ok) pending.resolve(msg.result);
+    else pending.reject(new Error(msg.error || `Request "${pending.method}" failed`));
 }
 
-export function onMessage(message) {
+export function onMessage(message, meta = {}) {
     if (currentGame && typeof currentGame.onMessage === 'function') {
-        try { currentGame.onMessage(message); } catch (e) { console.error('game onMessage error', e); }
+        try { currentGame.onMessage(message, meta); } catch (e) { console.error('game onMessage error', e); }
+    }
+}
+
+/**
+ * Hand a pointer event (pointerEvents.js) to the current game's onPointerEvent
+ * @param {Object} event - Pointer event
+ * @param {Object} ctx - VR or screen context
+ */
+export function dispatchPointerEvent(event, ctx) {
+    if (currentGame && typeof currentGame.onPointerEvent === 'function') {
+        const contextWithSettings = { ...ctx, settings: getGameSettings() };
+        try { currentGame.onPointerEvent(event, contextWithSettings); } catch (e) { console.error('game onPointerEvent error', e); }
+    }
+}
+
+/**
+ * Hand a touch event (touchEvents.js) to the current game's onTouchEvent
+ * @param {Object} event - Touch event
+ * @param {Object} ctx - VR or screen context
+ */
+export function dispatchTouchEvent(event, ctx) {
+    if (currentGame && typeof currentGame.onTouchEvent === 'function') {
+        const contextWithSettings = { ...ctx, settings: getGameSettings() };
+        try { currentGame.onTouchEvent(event, contextWithSettings); } catch (e) { console.error('game onTouchEvent error', e); }
     }
 }
 
 export async function startVR(ctx) {
     if (currentGame && typeof currentGame.startVR === 'function') {
-        const contextWithSettings = { ...ctx, settings: currentSettings };
+        const contextWithSettings = { ...ctx, settings: getGameSettings() };
         try { await currentGame.startVR(contextWithSettings); } catch (e) { console.error('game startVR error', e); }
     }
 }
 
 export function updateVR(delta, time, ctx) {
     if (currentGame && typeof currentGame.updateVR === 'function') {
-        const contextWithSettings = { ...ctx, settings: currentSettings };
+        const contextWithSettings = { ...ctx, settings: getGameSettings() };
         try { currentGame.updateVR(delta, time, contextWithSettings); } catch (e) { console.error('game updateVR error', e); }
     }
 }
 
 export async function startScreen(ctx) {
     if (currentGame && typeof currentGame.startScreen === 'function') {
-        const contextWithSettings = { ...ctx, settings: currentSettings };
+        const contextWithSettings = { ...ctx, settings: getGameSettings() };
         try { await currentGame.startScreen(contextWithSettings); } catch (e) { console.error('game startScreen error', e); }
     }
 }
 
 export function updateScreen(delta, time, ctx) {
     if (currentGame && typeof currentGame.updateScreen === 'function') {
-        const contextWithSettings = { ...ctx, settings: currentSettings };
+        const contextWithSettings = { ...ctx, settings: getGameSettings() };
         try { currentGame.updateScreen(delta, time, contextWithSettings); } catch (e) { console.error('game updateScreen error', e); }
     }
 }
 
 // Forward incoming GAME_EVENT messages from the network to the current game
-cm.handleEvent('GAME_EVENT', (msg) => {
-    if (msg) onMessage(msg);
+cm.on('GAME_EVENT', (msg, _type, meta) => {
+    if (!msg) return;
+    if (msg.event === RPC_REQUEST_EVENT) {
+        void answerRequest(msg, meta);
+        return;
+    }
+    if (msg.event === RPC_RESPONSE_EVENT) {
+        settleRequest(msg);
+        return;
+    }
+    onMessage(msg, meta);
 });
 
 export default {
@@ -104,8 +261,15 @@ export default {
     getActiveGameId,
     updateSettings,
     getCurrentSettings,
+    getSystemSettings,
     sendGameMessage,
+    request,
+    handleRequest,
+    now,
+    getClockSync,
     onMessage,
+    dispatchPointerEvent,
+    dispatchTouchEvent,
     startVR,
     updateVR,
     startScreen,
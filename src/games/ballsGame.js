@@ -73,6 +73,9 @@ export const metadata = {
     ]
 };
 
+// Longest time a received ball state is extrapolated forward in VR
+const MAX_BALL_PREDICTION_SEC = 0.25;
+
 export default {
     // Instance variables here
     impulseMultiplierX: 500,
@@ -86,6 +89,7 @@ export default {
 
         this.latestPoint = {};
         this.latestBallsState = null;
+        this.latestBallsSentAt = null;
         this.prevControllerPositions = { right: null, left: null };
         this.prevGripPositions = { right: null, left: null };
         this.wasTouchingRay = { right: false, left: false };
@@ -160,80 +164,19 @@ export default {
             ? this.settings.handSwipeBallCooldownSec
             : 0.10;
 
+        // Ball positions come in the screen's canvas pixels; scale them in case its size changed since calibration
+        const mapping = context && context.screenMapping;
         const getWorldPointForCanvasXY = (canvasX, canvasY, screenWidth, screenHeight) => {
-            if (!context || !context.screenRect || !context.screenMeta) return null;
-            if (!screenWidth || !screenHeight) return null;
-            const targetUVx = canvasX / screenWidth;
-            const targetUVy = 1 - (canvasY / screenHeight);
-
-            let worldPoint = null;
-            context.screenRect.traverse((node) => {
-                if (node.isMesh && node.geometry && !worldPoint) {
-                    const geometry = node.geometry;
-                    const positionAttr = geometry.getAttribute('position');
-                    const uvAttr = geometry.getAttribute('uv');
-
-                    if (positionAttr && uvAttr) {
-                        const index = geometry.index;
-                        const faceCount = index ? index.count / 3 : positionAttr.count / 3;
-                        for (let i = 0; i < faceCount; i++) {
-                            const i0 = index ? index.getX(i * 3) : i * 3;
-                            const i1 = index ? index.getX(i * 3 + 1) : i * 3 + 1;
-                            const i2 = index ? index.getX(i * 3 + 2) : i * 3 + 2;
-
-                            const uv0 = new THREE.Vector2(uvAttr.getX(i0), uvAttr.getY(i0));
-                            const uv1 = new THREE.Vector2(uvAttr.getX(i1), uvAttr.getY(i1));
-                            const uv2 = new THREE.Vector2(uvAttr.getX(i2), uvAttr.getY(i2));
-
-                            const targetUV = new THREE.Vector2(targetUVx, targetUVy);
-                            const v0 = uv1.clone().sub(uv0);
-                            const v1 = uv2.clone().sub(uv0);
-                            const v2 = targetUV.clone().sub(uv0);
-
-                            const d00 = v0.dot(v0);
-                            const d01 = v0.dot(v1);
-                            const d11 = v1.dot(v1);
-                            const d20 = v2.dot(v0);
-                            const d21 = v2.dot(v1);
-
-                            const denom = d00 * d11 - d01 * d01;
-                            if (Math.abs(denom) < 0.0001) continue;
-
-                            const v = (d11 * d20 - d01 * d21) / denom;
-                            const w = (d00 * d21 - d01 * d20) / denom;
-                            const u = 1 - v - w;
-
-                            if (u >= -0.01 && v >= -0.01 && w >= -0.01) {
-                                const p0 = new THREE.Vector3(positionAttr.getX(i0), positionAttr.getY(i0), positionAttr.getZ(i0));
-                                const p1 = new THREE.Vector3(positionAttr.getX(i1), positionAttr.getY(i1), positionAttr.getZ(i1));
-                                const p2 = new THREE.Vector3(positionAttr.getX(i2), positionAttr.getY(i2), positionAttr.getZ(i2));
-
-                                const localPos = new THREE.Vector3()
-                                    .addScaledVector(p0, u)
-                                    .addScaledVector(p1, v)
-                                    .addScaledVector(p2, w);
-
-                                worldPoint = localPos.clone();
-                                node.localToWorld(worldPoint);
-                                break;
-                            }
-                        }
-                    }
-                }
-            });
-
-            if (!worldPoint) {
-                const local = new THREE.Vector3((targetUVx - 0.5) * context.screenMeta.rectXDistance, (0.5 - targetUVy) * context.screenMeta.rectYDistance, 0);
-                worldPoint = local.clone();
-                context.screenRect.localToWorld(worldPoint);
-            }
-
-            return worldPoint;
+            if (!mapping || !screenWidth || !screenHeight) return null;
+            return mapping.canvasToWorld(canvasX * mapping.screenWidth / screenWidth, canvasY * mapping.screenHeight / screenHeight);
         };
 
+        // Balls as they are on the screen right now: the last state moved forward by its age
+        const ballsState = this.getPredictedBallsState(context && context.now ? context.now() : null);
+
         const getBallWorldPoints = () => {
-            if (!this.latestBallsState) return null;
-            const state = this.latestBallsState;
+            if (!ballsState) return null;
+            const state = ballsState;
             if (!state || !Array.isArray(state.balls) || !state.screenWidth || !state.screenHeight) return null;
 
             const out = [];
@@ -251,8 +194,8 @@ export default {
         };
 
         // Multi-ball overlay rendering
-        if (this.latestBallsState && context && context.screenRect) {
-            const state = this.latestBallsState;
+        if (ballsState && context && context.screenRect) {
+            const state = ballsState;
             const balls = Array.isArray(state.balls) ? state.balls : [];
             const used = new Set();
 
@@ -278,10 +221,7 @@ export default {
                     mesh.position.copy(worldPoint);
                 }
 
-                // Approximate pixel->world scaling based on screen height.
-                const rectY = context.screenMeta && context.screenMeta.rectYDistance ? context.screenMeta.rectYDistance : 1;
-                const pxToMeters = rectY / (state.screenHeight || 1);
-                const rMeters = Math.max(0.005, rPx * pxToMeters);
+                const rMeters = Math.max(0.005, mapping ? mapping.pixelsToMeters(rPx * mapping.screenHeight / (state.screenHeight || 1)) : 0);
                 const base = 0.02;
                 mesh.scale.setScalar(rMeters / base);
                 mesh.visible = !!displayOverlayEnabled;
@@ -297,85 +237,7 @@ export default {
         // Keep legacy single-point overlay logic for crosshair, but for swipe targeting prefer the closest ball.
         if (this.latestPoint && context.screenRect) {
             const point = this.latestPoint;
-            const targetUVx = point.canvasX / point.screenWidth;
-            const targetUVy = 1 - (point.canvasY / point.screenHeight); // Note: flipped for Three.js UV space
-            
-            // Find the position on the curved screen mesh by sampling the geometry
-            let worldPoint = null;
-            context.screenRect.traverse((node) => {
-                if (node.isMesh && node.geometry && !worldPoint) {
-                    const geometry = node.geometry;
-                    const positionAttr = geometry.getAttribute('position');
-                    const uvAttr = geometry.getAttribute('uv');
-                    
-                    if (positionAttr && uvAttr) {
-                        // Find closest triangle by UV coordinates
-                        let closestDist = Infinity;
-                        let closestPos = new THREE.Vector3();
-                        
-                        const index = geometry.index;
-                        const faceCount = index ? index.count / 3 : positionAttr.count / 3;
-                        
-                        for (let i = 0; i < faceCount; i++) {
-                            const i0 = index ? index.getX(i * 3) : i * 3;
-                            const i1 = index ? index.getX(i * 3 + 1) : i * 3 + 1;
-                            const i2 = index ? index.getX(i * 3 + 2) : i * 3 + 2;
-                            
-                            const uv0 = new THREE.Vector2(uvAttr.getX(i0), uvAttr.getY(i0));
-                            const uv1 = new THREE.Vector2(uvAttr.getX(i1), uvAttr.getY(i1));
-                            const uv2 = new THREE.Vector2(uvAttr.getX(i2), uvAttr.getY(i2));
-                            
-                            // Check if target UV is inside this triangle
-                            const targetUV = new THREE.Vector2(targetUVx, targetUVy);
-                            const barycentric = new THREE.Vector3();
-                            
-                            // Simple barycentric coordinate calculation
-                            const v0 = uv1.clone().sub(uv0);
-                            const v1 = uv2.clone().sub(uv0);
-                            const v2 = targetUV.clone().sub(uv0);
-                            
-                            const d00 = v0.dot(v0);
-                            const d01 = v0.dot(v1);
-                            const d11 = v1.dot(v1);
-                            const d20 = v2.dot(v0);
-                            const d21 = v2.dot(v1);
-                            
-                            const denom = d00 * d11 - d01 * d01;
-                            if (Math.abs(denom) < 0.0001) continue;
-                            
-                            const v = (d11 * d20 - d01 * d21) / denom;
-                            const w = (d00 * d21 - d01 * d20) / denom;
-                            const u = 1 - v - w;
-                            
-                            // Check if point is inside triangle (with some tolerance)
-                            if (u >= -0.01 && v >= -0.01 && w >= -0.01) {
-                                const p0 = new THREE.Vector3(positionAttr.getX(i0), positionAttr.getY(i0), positionAttr.getZ(i0));
-                                const p1 = new THREE.Vector3(positionAttr.getX(i1), positionAttr.getY(i1), positionAttr.getZ(i1));
-                                const p2 = new THREE.Vector3(positionAttr.getX(i2), positionAttr.getY(i2), positionAttr.getZ(i2));
-                                
-                                // Interpolate position using barycentric coordinates
-                                const localPos = new THREE.Vector3()
-                                    .addScaledVector(p0, u)
-                                    .addScaledVector(p1, v)
-                                    .addScaledVector(p2, w);
-                                
-                                // Convert to world space
-                                worldPoint = localPos.clone();
-                                node.localToWorld(worldPoint);
-                                break;
-                            }
-                        }
-                    }
-                }
-            });
-            
-            // Fallback to flat plane calculation if geometry sampling fails
-            if (!worldPoint) {
-                const local = new THREE.Vector3((targetUVx - 0.5) * context.screenMeta.rectXDistance, (0.5 - targetUVy) * context.screenMeta.rectYDistance, 0);
-                worldPoint = local.clone();
-                context.screenRect.localToWorld(worldPoint);
-            }
-
+            const worldPoint = getWorldPointForCanvasXY(point.canvasX, point.canvasY, point.screenWidth, point.screenHeight);
 
             if (worldPoint) {
                 // Use first marker as the legacy ball marker if present
@@ -430,9 +292,15 @@ export default {
                 // If multi-ball state is available, we target the closest ball instead of always the legacy point (ball[0]).
                 const candidates = getBallWorldPoints();
 
-                // Precompute screen-aligned basis (shared by controllers + hand joints)
+                // Precompute screen-aligned basis (shared by controllers + hand joints).
+                // The calibrated orientation covers tilted and rolled screens; corners are the fallback.
                 let screenXDir = null;
-                if (context.screenMeta && context.screenMeta.topLeftCorner && context.screenMeta.bottomRightCorner) {
+                let screenYDirUp = new THREE.Vector3(0, 1, 0);
+                if (context.screenMeta && Array.isArray(context.screenMeta.quaternion)) {
+                    const q = new THREE.Quaternion().fromArray(context.screenMeta.quaternion);
+                    screenXDir = new THREE.Vector3(1, 0, 0).applyQuaternion(q);
+                    screenYDirUp = new THREE.Vector3(0, 1, 0).applyQuaternion(q);
+                } else if (context.screenMeta && context.screenMeta.topLeftCorner && context.screenMeta.bottomRightCorner) {
                     const tl = context.screenMeta.topLeftCorner;
                     const br = context.screenMeta.bottomRightCorner;
                     const dx = br[0] - tl[0];
@@ -445,7 +313,6 @@ export default {
                     context.screenRect.getWorldQuaternion(q);
                     screenXDir = new THREE.Vector3(1, 0, 0).applyQuaternion(q).normalize();
                 }
-                const screenYDirUp = new THREE.Vector3(0, 1, 0);
 
                 const resolveTouch = (probePos, ballWorldPoint) => {
                     const segment = ballWorldPoint.clone().sub(headsetPos);
@@ -513,7 +380,7 @@ export default {
                                         ballId: targetBallId,
                                         forceX,
                                         forceY
-                                    });
+                                    }, { to: 'screens' });
                                     }
                                 }
                             }
@@ -569,7 +436,7 @@ export default {
                                         ballId: targetBallId,
                                         forceX,
                                         forceY
-                                    });
+                                    }, { to: 'screens' });
                                 }
                             }
 
@@ -673,12 +540,13 @@ export default {
         }
 
         // Send balls state to VR
+        const toVR = { to: 'vr' };
         context.sendGameMessage({
             event: 'BALLS_STATE',
             screenWidth: canvas.width,
             screenHeight: canvas.height,
-            balls: this.balls.map((b) => ({ id: b.id, x: b.x, y: b.y, radius: b.radius, color: b.color }))
-        });
+            balls: this.balls.map((b) => ({ id: b.id, x: b.x, y: b.y, vx: b.vx, vy: b.vy, radius: b.radius, color: b.color }))
+        }, toVR);
 
         // Backwards compatibility: first ball only
         const b0 = this.balls[0];
@@ -689,10 +557,27 @@ export default {
                 canvasY: b0.y,
                 screenWidth: canvas.width,
                 screenHeight: canvas.height
-            });
+            }, toVR);
         }
     },
 
+    // Extrapolate the last BALLS_STATE by the time it spent in transit (capped, since walls
+    // and swipes make longer predictions wrong)
+    getPredictedBallsState(now) {
+        const state = this.latestBallsState;
+        if (!state || !Array.isArray(state.balls)) return state;
+        if (!Number.isFinite(now) || !Number.isFinite(this.latestBallsSentAt)) return state;
+        const age = Math.min(MAX_BALL_PREDICTION_SEC, Math.max(0, (now - this.latestBallsSentAt) / 1000));
+        if (age === 0) return state;
+        return {
+            ...state,
+            balls: state.balls.map((b) => {
+                if (!b || typeof b.vx !== 'number' || typeof b.vy !== 'number') return b;
+                return { ...b, x: b.x + b.vx * age, y: b.y + b.vy * age };
+            })
+        };
+    },
+
     disposeVR(context) {
         if (context && context.scene) {
             const remove = (obj) => {
@@ -723,6 +608,7 @@ export default {
 
         this.latestPoint = {};
         this.latestBallsState = null;
+        this.latestBallsSentAt = null;
         this.prevControllerPositions = { right: null, left: null };
         this.prevGripPositions = { right: null, left: null };
         this.wasTouchingRay = { right: false, left: false };
@@ -746,7 +632,7 @@ export default {
 
         Handle messages sent via `sendGameMessage` here as you like.
     */
-    onMessage(msg) {
+    onMessage(msg, meta) {
         if (!msg) return;
 
         if (msg.event === 'BALL_POSITION') {
@@ -755,6 +641,7 @@ export default {
 
         if (msg.event === 'BALLS_STATE') {
             this.latestBallsState = msg;
+            this.latestBallsSentAt = meta && Number.isFinite(meta.sentAt) ? meta.sentAt : null;
             // Keep legacy point in sync with ball[0]
             if (msg.balls && msg.balls[0]) {
                 const b0 = msg.balls[0];
@@ -774,9 +661,6 @@ export default {
 
             target.vx += msg.forceX * this.impulseMultiplierX * swipeForceMultiplier;
             target.vy += msg.forceY * this.impulseMultiplierY * swipeForceMultiplier;
-            console.log('Applied force:', msg.forceX, msg.forceY, 'ballId=', targetId);
         }
-
-        console.log('game onMessage received', msg);
     }
 };
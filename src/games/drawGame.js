@@ -58,7 +58,7 @@ function hexToInt(hex) {
 export const metadata = {
     id: 'draw',
     name: 'Draw',
-    description: 'Draw on screen with pinch gesture or controller trigger',
+    description: 'Draw on screen with pinch gesture, controller trigger or by touching it',
     settings: [
         {
             key: 'drawColorHex',
@@ -87,7 +87,7 @@ export const metadata = {
             default: 0.22,
             min: 0,
             max: 1,
-            step: 0.05,
+            step: 0.01,
             tab: 'draw',
             applyTo: 'vr',
             description: 'Drawing stroke opacity'
@@ -162,7 +162,7 @@ export default {
                                         r: thicknessPx,
                                         color: colorInt !== null ? colorInt : 0x111111,
                                         alpha
-                                    });
+                                    }, { to: 'screens' });
                                 }
                             }
                         }
@@ -221,10 +221,26 @@ export default {
                 r: thicknessPx,
                 color: colorInt !== null ? colorInt : 0x111111,
                 alpha
-            });
+            }, { to: 'screens' });
         }
     },
 
+    // Fingertips on the physical screen draw directly; pressing harder draws a thicker line
+    onTouchEvent(event, context) {
+        if (!this._vr || !event || event.type === 'touchend') return;
+        const settings = (context && context.settings) || this.settings || {};
+        const thicknessPx = settings.drawThicknessPx !== undefined ? settings.drawThicknessPx : 20;
+        const colorInt = hexToInt(settings.drawColorHex !== undefined ? settings.drawColorHex : '#111111');
+        context.sendGameMessage({
+            event: 'DRAW',
+            x: event.canvasX,
+            y: event.canvasY,
+            r: thicknessPx * (0.5 + 0.5 * event.pressure),
+            color: colorInt !== null ? colorInt : 0x111111,
+            alpha: settings.drawAlpha !== undefined ? settings.drawAlpha : 0.22
+        }, { to: { screenId: event.screenId } });
+    },
+
     async startScreen(context) {
         this.settings = context.settings || {};
         
@@ -38,8 +38,8 @@ export default {
     /**
      * Called once when VR client starts (after calibration complete)
      * @param {Object} context - { scene, camera, renderer, player, controllers, 
-     *                             sendGameMessage, screenState, screenMeta, screenRect,
-     *                             handState, settings }
+     *                             sendGameMessage, request, handleRequest, now, screenState, screenMeta, screenRect, screenMapping,
+     *                             screens, screenLayout, handState, settings }
      */
     async startVR(context) {
         this._vr = {};
@@ -66,7 +66,7 @@ export default {
 
     /**
      * Called once when screen client starts
-     * @param {Object} context - { canvas, sendGameMessage, settings }
+     * @param {Object} context - { canvas, sendGameMessage, request, handleRequest, now, settings, screenId, screenLayout, viewport }
      */
     async startScreen(context) {
         this._screen = {};
@@ -94,7 +94,29 @@ export default {
     /**
      * Receives messages sent via sendGameMessage from any client
      * @param {Object} msg - Message object with custom properties
+     * @param {Object} meta - { from, sentAt, serverTime, receivedAt, latency }; from is { userID, clientType, screenId }
+     *                        of the sender, times are on the shared timeline (see context.now())
+     */
+    onMessage(msg, meta) {
+    },
+
+    /**
+     * Pointer events from the headset's controller and hand rays (see src/pointerEvents.js).
+     * Called in VR with the VR context, and on the screen the event happened on with the screen context.
+     * @param {Object} event - { type, pointerId, pointerType, screenId, canvasX, canvasY, virtualX, virtualY, pressed };
+     *                         type is 'pointerenter', 'pointermove', 'pointerdown', 'pointerup' or 'pointerleave'
+     * @param {Object} context - VR or screen context
+     */
+    onPointerEvent(event, context) {
+    },
+
+    /**
+     * Fingertips touching the physical screen (see src/touchEvents.js), one touchId per fingertip.
+     * Called in VR with the VR context, and on the screen being touched with the screen context.
+     * @param {Object} event - { type, touchId, side, finger, screenId, canvasX, canvasY, virtualX, virtualY, pressure, distance, touches };
+     *                         type is 'touchstart', 'touchmove' or 'touchend'
+     * @param {Object} context - VR or screen context
      */
-    onMessage(msg) {
+    onTouchEvent(event, context) {
     }
 };
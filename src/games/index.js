@@ -17,6 +17,8 @@ export const DEFAULT_GAME_ID = 'balls';
 // System-wide settings (not game-specific)
 export const SYSTEM_SETTINGS = {
     screenGeometryMode: { key: 'screenGeometryMode', type: 'string', default: 'curved', validValues: ['flat', 'curved'] },
+    screenCurveRadius: { key: 'screenCurveRadius', type: 'number', default: 0 },
+    screenCurveArcDegrees: { key: 'screenCurveArcDegrees', type: 'number', default: 110 },
     handJointsDebugEnabled: { key: 'handJointsDebugEnabled', type: 'boolean', default: false }
 };
 
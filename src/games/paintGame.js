@@ -27,25 +27,6 @@ export default {
         }
     },
 
-    updateVR(_delta, _time, context) {
-        if (!context || !context.screenState) return;
-
-        // Emit PAINT events when controller rays intersect the screen.
-        for (const side of ['left', 'right']) {
-            const st = context.screenState[side];
-            if (!st || !st.onScreen) continue;
-
-            context.sendGameMessage({
-                event: 'PAINT',
-                x: st.canvasX,
-                y: st.canvasY,
-                r: side === 'left' ? 40 : 60,
-                color: side === 'left' ? 0x00aaff : 0xff00aa,
-                alpha: 0.12
-            });
-        }
-    },
-
     async startScreen(context) {
         this.settings = context.settings || {};
         
@@ -81,28 +62,24 @@ export default {
         }
     },
 
-    onMessage(msg) {
-        if (!msg) return;
-        if (msg.event === 'PAINT') {
-            if (!this._screen) this._screen = { strokes: [], lastSize: { w: 0, h: 0 } };
-            if (!Array.isArray(this._screen.strokes)) this._screen.strokes = [];
-
-            const x = typeof msg.x === 'number' ? msg.x : null;
-            const y = typeof msg.y === 'number' ? msg.y : null;
-            if (x === null || y === null) return;
-
-            this._screen.strokes.push({
-                x,
-                y,
-                r: typeof msg.r === 'number' ? msg.r : 50,
-                color: typeof msg.color === 'number' ? msg.color : 0x000000,
-                alpha: typeof msg.alpha === 'number' ? msg.alpha : 0.1
-            });
-
-            // Cap memory.
-            if (this._screen.strokes.length > 2000) {
-                this._screen.strokes.splice(0, this._screen.strokes.length - 2000);
-            }
+    // Paint wherever a ray lands or moves on this screen (pointer events come from the VR side)
+    onPointerEvent(event) {
+        if (!event || !this._screen) return;
+        if (event.type !== 'pointerenter' && event.type !== 'pointermove') return;
+        if (typeof event.canvasX !== 'number' || typeof event.canvasY !== 'number') return;
+
+        const left = event.pointerId === 'left';
+        this._screen.strokes.push({
+            x: event.canvasX,
+            y: event.canvasY,
+            r: left ? 40 : 60,
+            color: left ? 0x00aaff : 0xff00aa,
+            alpha: 0.12
+        });
+
+        // Cap memory.
+        if (this._screen.strokes.length > 2000) {
+            this._screen.strokes.splice(0, this._screen.strokes.length - 2000);
         }
     },
 
@@ -44,6 +44,7 @@ export const metadata = {
 const SPHERE_RADIUS = 0.02;
 const SHOT_FADE_TIME = 0.6;
 const TARGET_RADIUS_PERCENT = 0.06;
+const HIT_EFFECT_TIME = 0.4;
 
 export default {
     // VR state
@@ -66,7 +67,9 @@ export default {
             activeSpheres: [],
             sphereMaterial: new THREE.MeshBasicMaterial({ color: colorInt }),
             playerId: playerId,
-            sendMessage: context.sendGameMessage
+            sendMessage: context.sendGameMessage,
+            request: context.request,
+            hitEffects: []
         };
         
         console.log('Tutorial game VR started for player:', playerId);
@@ -87,10 +90,25 @@ export default {
             if (controller.gamepad.getButtonDown(XR_BUTTONS.TRIGGER)) {
                 this.spawnSphere(controller, context);
             }
+
+            // Squeeze asks the screen for the current leaderboard
+            if (controller.gamepad.getButtonDown(XR_BUTTONS.SQUEEZE)) {
+                this.logLeaderboard();
+            }
         });
         
         // Update all active spheres
         this.updateSpheres(delta, context);
+        this.updateHitEffects(delta, scene);
+    },
+
+    logLeaderboard() {
+        this._vr.request('screens', 'getLeaderboard')
+            .then((entries) => {
+                const rank = entries.findIndex((entry) => entry.id === this._vr.playerId);
+                console.log('Leaderboard:', entries, rank >= 0 ? `(you are #${rank + 1})` : '(no hits yet)');
+            })
+            .catch((error) => console.warn('Leaderboard request failed:', error.message));
     },
 
     spawnSphere(controller, context) {
@@ -157,13 +175,14 @@ export default {
                         const canvasX = Math.round(uv.x * screenMeta.screenWidth);
                         const canvasY = Math.round((1 - uv.y) * screenMeta.screenHeight);
                         
-                        // Send shot message to screen
-                        this._vr.sendMessage({
-                            event: 'SHOT',
-                            canvasX: canvasX,
-                            canvasY: canvasY,
-                            player: this._vr.playerId
-                        });
+                        // Ask the screen that was hit (only that one, or every screen would score it)
+                        // whether the shot hit a target; only play the hit effect if it did
+                        const hitPoint = intersects[0].point.clone();
+                        this._vr.request({ screenId: screenMeta.screenId }, 'shot', { canvasX, canvasY, player: this._vr.playerId })
+                            .then((result) => {
+                                if (result && result.hit && this._vr) this.spawnHitEffect(hitPoint, scene);
+                            })
+                            .catch((error) => console.warn('Shot request failed:', error.message));
                         
                         // Remove sphere after hit
                         toRemove.push(index);
@@ -182,6 +201,34 @@ export default {
         }
     },
 
+    spawnHitEffect(position, scene) {
+        const mesh = new THREE.Mesh(
+            new THREE.RingGeometry(0.02, 0.03, 24),
+            new THREE.MeshBasicMaterial({ color: 0x44ff66, transparent: true, side: THREE.DoubleSide })
+        );
+        mesh.position.copy(position);
+        scene.add(mesh);
+        this._vr.hitEffects.push({ mesh, life: HIT_EFFECT_TIME });
+    },
+
+    updateHitEffects(delta, scene) {
+        for (let i = this._vr.hitEffects.length - 1; i >= 0; i--) {
+            const effect = this._vr.hitEffects[i];
+            effect.life -= delta;
+            if (effect.life <= 0) {
+                scene.remove(effect.mesh);
+                effect.mesh.geometry.dispose();
+                effect.mesh.material.dispose();
+                this._vr.hitEffects.splice(i, 1);
+                continue;
+            }
+            // Grow and fade out
+            const t = 1 - effect.life / HIT_EFFECT_TIME;
+            effect.mesh.scale.setScalar(1 + t * 3);
+            effect.mesh.material.opacity = 1 - t;
+        }
+    },
+
     disposeVR(context) {
         // Clean up VR resources
         if (this._vr && this._vr.activeSpheres) {
@@ -194,6 +241,13 @@ export default {
                 }
             });
         }
+        if (this._vr && this._vr.hitEffects) {
+            this._vr.hitEffects.forEach(effect => {
+                if (effect.mesh.parent) effect.mesh.parent.remove(effect.mesh);
+                effect.mesh.geometry.dispose();
+                effect.mesh.material.dispose();
+            });
+        }
         if (this._vr && this._vr.sphereMaterial) {
             this._vr.sphereMaterial.dispose();
         }
@@ -202,7 +256,7 @@ export default {
 
     // Screen lifecycle
     async startScreen(context) {
-        const { canvas, settings, sendGameMessage } = context;
+        const { canvas, settings, sendGameMessage, handleRequest } = context;
         
         this._screen = {
             canvas: canvas,
@@ -217,6 +271,13 @@ export default {
             targetImage: new Image()
         };
         
+        // Answer requests from VR players
+        handleRequest('shot', ({ canvasX, canvasY, player }) => {
+            if (!this._screen) throw new Error('Screen not running');
+            return { hit: this.registerShot(canvasX, canvasY, player) };
+        });
+        handleRequest('getLeaderboard', () => (this._screen ? this.getLeaderboardEntries() : []));
+        
         // Create targets based on settings
         for (let i = 0; i < settings.targetCount; i++) {
             this.createTarget();
@@ -329,13 +390,17 @@ export default {
         }
     },
 
-    drawLeaderboard(ctx) {
-        ctx.save();
-        
+    getLeaderboardEntries() {
         // Convert scores to sorted array
-        const entries = Object.entries(this._screen.scores)
+        return Object.entries(this._screen.scores)
             .map(([id, score]) => ({ id, score }))
             .sort((a, b) => b.score - a.score);  // Highest first
+    },
+
+    drawLeaderboard(ctx) {
+        ctx.save();
+        
+        const entries = this.getLeaderboardEntries();
         
         if (entries.length === 0) {
             ctx.restore();
@@ -415,8 +480,9 @@ export default {
                 this.repositionTarget(target);
                 
                 console.log('Hit! Player', playerId, 'scored. Total:', this._screen.scores[playerId]);
-                break;  // Only hit one target per shot
+                return true;  // Only hit one target per shot
             }
         }
+        return false;
     }
 };
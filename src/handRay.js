@@ -0,0 +1,138 @@
+import * as THREE from 'three';
+
+// Aim rays for tracked hands, so hand tracking points at screens the way a controller does.
+//
+// The ray starts at the index knuckle and points from an estimated shoulder through the hand,
+// the model headsets use for their own hand pointers. The knuckle barely moves when the fingers
+// pinch, and the long shoulder-to-hand baseline keeps finger and wrist jitter from swinging the
+// ray. The shoulder sits at a fixed offset from the head, turned with the head's yaw only.
+// Rays are smoothed over a few frames; pinch state comes from the thumb and index tip distance.
+
+// Pinch closes below the start distance and opens again beyond the end distance
+export const PINCH_START_DISTANCE = 0.02;
+export const PINCH_END_DISTANCE = 0.035;
+const PINCH_OPEN_DISTANCE = 0.08; // pinchStrength is 0 from here on
+
+const SHOULDER_DROP = 0.15; // Below the eyes
+const SHOULDER_OFFSET = 0.18; // To the side of the head
+const SMOOTHING_SECONDS = 0.05;
+
+function getJoint(hand, jointName) {
+    const joint = hand && hand.joints && hand.joints[jointName];
+    const p = joint && joint.position;
+    return Array.isArray(p) && p.length >= 3 ? new THREE.Vector3(p[0], p[1], p[2]) : null;
+}
+
+/**
+ * Estimated shoulder position
+ * @param {string} side - 'left' or 'right'
+ * @param {THREE.Vector3} headPosition
+ * @param {THREE.Vector3} headForward - Where the head looks; only its horizontal part is used
+ * @returns {THREE.Vector3}
+ */
+export function getShoulderPosition(side, headPosition, headForward) {
+    const forward = new THREE.Vector3(headForward.x, 0, headForward.z);
+    if (forward.lengthSq() < 1e-8) forward.set(0, 0, -1);
+    forward.normalize();
+    const right = new THREE.Vector3().crossVectors(forward, new THREE.Vector3(0, 1, 0));
+    return headPosition.clone()
+        .addScaledVector(right, side === 'left' ? -SHOULDER_OFFSET : SHOULDER_OFFSET)
+        .add(new THREE.Vector3(0, -SHOULDER_DROP, 0));
+}
+
+/**
+ * Unsmoothed aim ray of a hand: from the index knuckle, away from the shoulder through the
+ * point between wrist and knuckle
+ * @param {string} side - 'left' or 'right'
+ * @param {Object} hand - handState[side] ({ tracked, joints })
+ * @param {THREE.Vector3} headPosition
+ * @param {THREE.Vector3} headForward
+ * @returns {Object|null} { origin, direction }, or null when the joints are missing
+ */
+export function computeHandRay(side, hand, headPosition, headForward) {
+    if (!hand || !hand.tracked) return null;
+    const wrist = getJoint(hand, 'wrist');
+    if (!wrist) return null;
+    const knuckle = getJoint(hand, 'index-finger-phalanx-proximal') || wrist;
+    const aimPoint = wrist.clone().lerp(knuckle, 0.5);
+    const direction = aimPoint.sub(getShoulderPosition(side, headPosition, headForward));
+    if (direction.lengthSq() < 1e-8) return null;
+    return { origin: knuckle, direction: direction.normalize() };
+}
+
+/**
+ * How far a pinch has closed
+ * @param {Object} hand - handState[side]
+ * @returns {Object|null} { distance, strength } with strength 1 when the tips touch, 0 when open; null without the tips
+ */
+export function getPinch(hand) {
+    const indexTip = getJoint(hand, 'index-finger-tip');
+    const thumbTip = getJoint(hand, 'thumb-tip');
+    if (!indexTip || !thumbTip) return null;
+    const distance = indexTip.distanceTo(thumbTip);
+    const strength = 1 - THREE.MathUtils.clamp((distance - PINCH_START_DISTANCE) / (PINCH_OPEN_DISTANCE - PINCH_START_DISTANCE), 0, 1);
+    return { distance, strength };
+}
+
+/**
+ * Smoothed aim rays and pinch state for both hands
+ * @returns {Object} { update(handState, camera, delta), reset() }
+ */
+export function createHandRays() {
+    const state = { left: null, right: null }; // { origin, direction, pinching }
+
+    /**
+     * Call once per frame
+     * @param {Object|null} handState - From vr.js ({ left, right } with tracked and joints)
+     * @param {THREE.Camera} camera - Head pose
+     * @param {number} delta - Seconds since the last frame
+     * @returns {Object} { left, right }, each null (not tracked) or { origin, direction, pinching, pinchStrength }
+     */
+    function update(handState, camera, delta) {
+        const headPosition = camera.getWorldPosition(new THREE.Vector3());
+        const headForward = camera.getWorldDirection(new THREE.Vector3());
+        const alpha = 1 - Math.exp(-Math.max(delta, 0) / SMOOTHING_SECONDS);
+        const rays = { left: null, right: null };
+        for (const side of ['left', 'right']) {
+            const hand = handState && handState[side];
+            const ray = computeHandRay(side, hand, headPosition, headForward);
+            if (!ray) {
+                state[side] = null;
+                continue;
+            }
+            const pinch = getPinch(hand);
+            const previous = state[side];
+            const wasPinching = !!(previous && previous.pinching);
+            const pinching = !!pinch && pinch.distance < (wasPinching ? PINCH_END_DISTANCE : PINCH_START_DISTANCE);
+            if (previous) {
+                // Ease towards the new pose; a newly tracked hand starts where it is
+                ray.origin = previous.origin.clone().lerp(ray.origin, alpha);
+                ray.direction = previous.direction.clone().lerp(ray.direction, alpha).normalize();
+            }
+            state[side] = { origin: ray.origin, direction: ray.direction, pinching };
+            rays[side] = {
+                origin: ray.origin.clone(),
+                direction: ray.direction.clone(),
+                pinching,
+                pinchStrength: pinch ? pinch.strength : 0
+            };
+        }
+        return rays;
+    }
+
+    function reset() {
+        state.left = null;
+        state.right = null;
+    }
+
+    return { update, reset };
+}
+
+export default {
+    PINCH_START_DISTANCE,
+    PINCH_END_DISTANCE,
+    getShoulderPosition,
+    computeHandRay,
+    getPinch,
+    createHandRays
+};
@@ -1,13 +1,16 @@
-if (window.location.search.includes('settings')) {
-    window.location.href = '/settings';
+// Keep the query string (e.g. ?room=lab2) when redirecting
+const search = window.location.search;
+
+if (new URLSearchParams(search).has('settings')) {
+    window.location.href = '/settings' + search;
 } else if (navigator.xr) {
     navigator.xr.isSessionSupported('immersive-ar').then(supported => {
         if (supported) {
-            window.location.href = '/vr';
+            window.location.href = '/vr' + search;
         } else {
-            window.location.href = '/desktop';
+            window.location.href = '/desktop' + search;
         }
     });
 } else {
-    window.location.href = '/desktop';
+    window.location.href = '/desktop' + search;
 }
\ No newline at end of file
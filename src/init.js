@@ -2,6 +2,7 @@ import * as THREE from 'three';
 import { GamepadWrapper } from 'gamepad-wrapper';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { ARButton } from 'three/addons/webxr/ARButton.js';
+import { XR_OPTIONAL_FEATURES } from './xrSpaces.js';
 
 // Initialize WebXR scene with camera, renderer, and controllers
 export async function init(setupScene = () => {}, onFrame = () => {}) {
@@ -97,6 +98,7 @@ export async function init(setupScene = () => {}, onFrame = () => {}) {
     }
     renderer.setAnimationLoop(animate);
 
-    const arButton = ARButton.createButton(renderer, { requiredFeatures: ['local'], optionalFeatures: ['hand-tracking'] });
+    // ARButton always starts in 'local'; vr.js moves to a floor space when one is granted (see xrSpaces.js)
+    const arButton = ARButton.createButton(renderer, { requiredFeatures: ['local'], optionalFeatures: ['hand-tracking', ...XR_OPTIONAL_FEATURES] });
     document.body.appendChild(arButton);
 }
\ No newline at end of file
@@ -0,0 +1,110 @@
+import { XR_BUTTONS } from 'gamepad-wrapper';
+
+// Pointer events built from the per-frame screenState, in the spirit of DOM pointer events, so
+// games do not have to track edges themselves. Each side's ray (controller or tracked hand) is one
+// pointer and its primary button is the trigger, or the pinch for a hand:
+//   pointerenter  the ray lands on a screen (or moves to another one)
+//   pointermove   it moves to another canvas pixel
+//   pointerdown   the primary button goes down while on the screen
+//   pointerup     it goes up again
+//   pointerleave  the ray leaves the screen
+// A held button counts as pressed on the screen the ray is on: entering with it held sends
+// pointerdown right after pointerenter, and leaving sends pointerup before pointerleave, so
+// every pointerdown is matched by a pointerup on the same screen.
+//
+// Event: { type, pointerId ('left' or 'right'), pointerType ('controller' or 'hand'), screenId,
+//   canvasX, canvasY, virtualX, virtualY, pressed }, pressed being the button state before the event.
+
+export const POINTER_EVENT_TYPES = ['pointerenter', 'pointermove', 'pointerdown', 'pointerup', 'pointerleave'];
+
+/**
+ * Primary button of each side: the pinch for hands, the trigger for controllers
+ * @param {Object} screenState - From computeScreenState
+ * @param {Object} controllers - { left, right }
+ * @returns {Object} { left, right } booleans
+ */
+export function getPrimaryButtons(screenState, controllers) {
+    const buttons = { left: false, right: false };
+    for (const side of ['left', 'right']) {
+        const st = screenState && screenState[side];
+        if (st && st.inputType === 'hand') {
+            buttons[side] = !!st.pinching;
+            continue;
+        }
+        const gamepad = controllers && controllers[side] && controllers[side].gamepad;
+        buttons[side] = !!(gamepad && gamepad.getButton(XR_BUTTONS.TRIGGER));
+    }
+    return buttons;
+}
+
+function makeEvent(type, side, pointer, pressed) {
+    return {
+        type,
+        pointerId: side,
+        pointerType: pointer.pointerType,
+        screenId: pointer.screenId,
+        canvasX: pointer.canvasX,
+        canvasY: pointer.canvasY,
+        virtualX: pointer.virtualX,
+        virtualY: pointer.virtualY,
+        pressed
+    };
+}
+
+/**
+ * Turns successive screenStates into pointer events
+ * @returns {Object} { update(screenState, buttons) }
+ */
+export function createPointerTracker() {
+    const pointers = { left: null, right: null }; // Last on-screen state of each side, null when off every screen
+
+    /**
+     * Call once per frame
+     * @param {Object|null} screenState - From computeScreenState; null makes every pointer leave
+     * @param {Object|null} buttons - { left, right } primary button state (see getPrimaryButtons)
+     * @returns {Array} Events in order
+     */
+    function update(screenState, buttons) {
+        const events = [];
+        for (const side of ['right', 'left']) {
+            const st = screenState && screenState[side];
+            const previous = pointers[side];
+            const current = st && st.onScreen ? {
+                pointerType: st.inputType || 'controller',
+                screenId: st.screenId,
+                canvasX: st.canvasX,
+                canvasY: st.canvasY,
+                virtualX: st.virtualX ?? null,
+                virtualY: st.virtualY ?? null,
+                pressed: !!(buttons && buttons[side])
+            } : null;
+            const sameTarget = !!(previous && current && previous.screenId === current.screenId && previous.pointerType === current.pointerType);
+
+            if (previous && !sameTarget) {
+                if (previous.pressed) events.push(makeEvent('pointerup', side, previous, true));
+                events.push(makeEvent('pointerleave', side, previous, false));
+            }
+            if (current && !sameTarget) {
+                events.push(makeEvent('pointerenter', side, current, false));
+                if (current.pressed) events.push(makeEvent('pointerdown', side, current, false));
+            } else if (current) {
+                if (current.canvasX !== previous.canvasX || current.canvasY !== previous.canvasY) {
+                    events.push(makeEvent('pointermove', side, current, previous.pressed));
+                }
+                if (current.pressed !== previous.pressed) {
+                    events.push(makeEvent(current.pressed ? 'pointerdown' : 'pointerup', side, current, previous.pressed));
+                }
+            }
+            pointers[side] = current;
+        }
+        return events;
+    }
+
+    return { update };
+}
+
+export default {
+    POINTER_EVENT_TYPES,
+    getPrimaryButtons,
+    createPointerTracker
+};
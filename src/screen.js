@@ -1,6 +1,8 @@
 import * as cm from './clientManager.js';
 import * as gameAPI from './gameAPI.js';
 import { DEFAULT_GAME_ID } from './games/index.js';
+import { DEFAULT_SCREEN_ID, EMPTY_SCREEN_LAYOUT, getScreenViewport } from './screenLayout.js';
+import { createCalibrationOverlay } from './calibrationOverlay.js';
 
 document.body.style.margin = '0';
 document.body.style.padding = '0';
@@ -10,14 +12,21 @@ document.documentElement.style.overflow = 'hidden';
 let configActiveGameId = DEFAULT_GAME_ID;
 let lastGameScreenContext = null;
 
-cm.registerToServer('SCREEN')
+// Screen identity for multi-screen setups, e.g. /screen?screen=left&tile=0
+const urlParams = new URLSearchParams(window.location.search);
+const screenId = urlParams.get('screen') || DEFAULT_SCREEN_ID;
+const tileParam = Number.parseInt(urlParams.get('tile'), 10);
+const screenTile = Number.isFinite(tileParam) ? tileParam : null;
+let screenLayout = EMPTY_SCREEN_LAYOUT;
+
+cm.registerToServer('SCREEN', { screenId, tile: screenTile })
     .then(() => {
         sendScreenCalibration();
         // Start the screen-side game (if provided)
         try {
-            const startCtx = { canvas: targetCanvas, sendGameMessage: gameAPI.sendGameMessage, committedCalibration };
+            const startCtx = buildScreenContext();
             lastGameScreenContext = startCtx;
-            gameAPI.setActiveGame(configActiveGameId, { screenContext: lastGameScreenContext, settings: gameAPI.getCurrentSettings() });
+            gameAPI.setActiveGame(configActiveGameId, { screenContext: lastGameScreenContext });
             gameAPI.startScreen(startCtx);
         } catch (e) {
             console.error('gameAPI startScreen error', e);
@@ -34,6 +43,11 @@ targetCanvas.height = window.innerHeight;
 targetCanvas.style.backgroundColor = 'white';
 document.body.appendChild(targetCanvas);
 
+// Calibration guide (grid, corner markers, pointer crosshair, accuracy check target), drawn over the game
+const targetImage = new Image();
+targetImage.src = '/assets/target.png';
+const calibrationOverlay = createCalibrationOverlay(document.body, { targetImage });
+
 function resizeCanvasToWindow() {
     const width = window.innerWidth;
     const height = window.innerHeight;
@@ -65,11 +79,22 @@ window.addEventListener('resize', () => {
     });
 });
 
-const targetImage = new Image();
-targetImage.src = '/assets/target.png';
-
 let committedCalibration = null;
 
+function buildScreenContext() {
+    return {
+        canvas: targetCanvas,
+        sendGameMessage: gameAPI.sendGameMessage,
+        request: gameAPI.request,
+        handleRequest: gameAPI.handleRequest,
+        now: gameAPI.now,
+        committedCalibration,
+        screenId,
+        screenLayout,
+        viewport: getScreenViewport(screenLayout, screenId)
+    };
+}
+
 function handleNewClient(message) {
     const { type, userID } = message;
     if (type === 'VR') {
@@ -83,20 +108,23 @@ function handleClientDisconnect(message) {
     console.log('Client disconnected:', userID);
 }
 
-cm.handleEvent('NEW_CLIENT', handleNewClient);
-cm.handleEvent('CLIENT_DISCONNECTED', handleClientDisconnect);
-cm.handleEvent('CONFIG_UPDATE', (message) => {
+cm.on('NEW_CLIENT', handleNewClient);
+cm.on('CLIENT_DISCONNECTED', handleClientDisconnect);
+// After a reconnect the server may have restarted or the window resized, so report the size again
+cm.on('RECONNECTED', sendScreenCalibration);
+cm.on('CONFIG_UPDATE', (message) => {
     if (!message) return;
 
     // Update all settings in gameAPI
     gameAPI.updateSettings(message);
+    const system = message.system || {};
 
     // Handle active game change
-    if (typeof message.activeGameId === 'string') {
-        const nextId = message.activeGameId;
+    if (typeof system.activeGameId === 'string') {
+        const nextId = system.activeGameId;
         if (nextId && nextId !== configActiveGameId) {
             configActiveGameId = nextId;
-            gameAPI.setActiveGame(nextId, { screenContext: lastGameScreenContext, settings: gameAPI.getCurrentSettings() });
+            gameAPI.setActiveGame(nextId, { screenContext: lastGameScreenContext });
             if (lastGameScreenContext) {
                 try { void gameAPI.startScreen(lastGameScreenContext); } catch (e) { console.error('gameAPI startScreen error', e); }
             }
@@ -104,9 +132,31 @@ cm.handleEvent('CONFIG_UPDATE', (message) => {
     }
 });
 
-cm.handleEvent('CALIBRATION_COMMIT', (message) => {
+cm.on('CALIBRATION_COMMIT', (message) => {
     console.log('Screen received CALIBRATION_COMMIT (ignored overlay):', message);
     committedCalibration = message;
+    if (lastGameScreenContext) lastGameScreenContext.committedCalibration = message;
+});
+
+cm.on('POINTER_EVENT', (message) => {
+    if (message) gameAPI.dispatchPointerEvent(message, buildScreenContext());
+});
+
+cm.on('TOUCH_EVENT', (message) => {
+    if (message) gameAPI.dispatchTouchEvent(message, buildScreenContext());
+});
+
+cm.on('CALIBRATION_GUIDE', (message) => {
+    calibrationOverlay.setGuide(message);
+});
+
+cm.on('SCREEN_LAYOUT', (message) => {
+    if (!message || !Array.isArray(message.screens)) return;
+    screenLayout = message;
+    if (lastGameScreenContext) {
+        lastGameScreenContext.screenLayout = screenLayout;
+        lastGameScreenContext.viewport = getScreenViewport(screenLayout, screenId);
+    }
 });
 
 // Optional per-frame screen update (no-op if game doesn't implement it)
@@ -117,8 +167,9 @@ function __screenTick(t) {
     
     // Automatically handle canvas resizing
     resizeCanvasToWindow();
+    calibrationOverlay.resize();
     
-    try { gameAPI.updateScreen(delta, t / 1000, { canvas: targetCanvas, sendGameMessage: gameAPI.sendGameMessage }); } catch (e) { /* ignore */ }
+    try { gameAPI.updateScreen(delta, t / 1000, buildScreenContext()); } catch (e) { /* ignore */ }
     requestAnimationFrame(__screenTick);
 }
 requestAnimationFrame(__screenTick);
\ No newline at end of file
@@ -0,0 +1,107 @@
+import * as THREE from 'three';
+
+// Fits a screen rectangle to physical corner positions touched in the headset
+// (touch calibration in vr.js). Nothing here touches the DOM or the scene.
+//
+// Corners are named as on the canvas, seen from in front of the screen: topLeft, topRight,
+// bottomRight, bottomLeft. Three corners are enough; a fourth averages out touch error.
+
+export const CORNER_ORDER = ['topLeft', 'topRight', 'bottomRight', 'bottomLeft'];
+
+// Where each corner sits in units of (width, height) from the center, +X right and +Y up
+const CORNER_OFFSETS = {
+    topLeft: [-0.5, 0.5],
+    topRight: [0.5, 0.5],
+    bottomRight: [0.5, -0.5],
+    bottomLeft: [-0.5, -0.5]
+};
+
+// Edges as [from, to]: horizontal ones run left to right, vertical ones bottom to top
+const HORIZONTAL_EDGES = [['topLeft', 'topRight'], ['bottomLeft', 'bottomRight']];
+const VERTICAL_EDGES = [['bottomLeft', 'topLeft'], ['bottomRight', 'topRight']];
+
+function toVector3(p) {
+    return p instanceof THREE.Vector3 ? p.clone() : new THREE.Vector3(p[0], p[1], p[2]);
+}
+
+// Sum of the edge vectors present in the touched points, and their mean length
+function sumEdges(points, edges) {
+    const sum = new THREE.Vector3();
+    let length = 0;
+    let count = 0;
+    for (const [from, to] of edges) {
+        if (!points[from] || !points[to]) continue;
+        const edge = points[to].clone().sub(points[from]);
+        sum.add(edge);
+        length += edge.length();
+        count++;
+    }
+    return count ? { direction: sum, length: length / count } : null;
+}
+
+/**
+ * Best-fit rectangle through touched screen corners
+ * @param {Object} touched - { topLeft, topRight, bottomRight, bottomLeft }, each THREE.Vector3 or [x, y, z]; any three or all four
+ * @param {number} [aspectRatio] - Canvas width / height; when given the fitted size keeps it
+ * @returns {Object|null} { center, quaternion, width, height, error } or null with too few corners.
+ *   quaternion has local +X along the top edge, +Y up the screen and +Z out of its front (as in vr.js);
+ *   error is the RMS distance in meters from the touched points to the fitted corners
+ */
+export function fitScreenRect(touched, aspectRatio) {
+    const points = {};
+    for (const corner of CORNER_ORDER) {
+        if (touched && touched[corner]) points[corner] = toVector3(touched[corner]);
+    }
+    const horizontal = sumEdges(points, HORIZONTAL_EDGES);
+    const vertical = sumEdges(points, VERTICAL_EDGES);
+    if (!horizontal || !vertical) return null;
+
+    const right = horizontal.direction.normalize();
+    const up = vertical.direction.normalize();
+    if (Math.abs(right.dot(up)) > 0.9) return null;
+
+    // Touched edges are never exactly square: split the error evenly between the two axes
+    // by rotating both about their bisector until they are perpendicular
+    const bisector = right.clone().add(up).normalize();
+    const antiBisector = right.clone().sub(up).normalize();
+    const fittedRight = bisector.clone().add(antiBisector).normalize();
+    const fittedUp = bisector.clone().sub(antiBisector).normalize();
+    const normal = new THREE.Vector3().crossVectors(fittedRight, fittedUp).normalize();
+
+    let width = horizontal.length;
+    let height = vertical.length;
+    if (aspectRatio > 0) {
+        width = (width + height * aspectRatio) / 2;
+        height = width / aspectRatio;
+    }
+
+    const center = new THREE.Vector3();
+    const corners = Object.keys(points);
+    for (const corner of corners) {
+        const [ox, oy] = CORNER_OFFSETS[corner];
+        center.add(points[corner].clone()
+            .sub(fittedRight.clone().multiplyScalar(ox * width))
+            .sub(fittedUp.clone().multiplyScalar(oy * height)));
+    }
+    center.divideScalar(corners.length);
+
+    const quaternion = new THREE.Quaternion().setFromRotationMatrix(
+        new THREE.Matrix4().makeBasis(fittedRight, fittedUp, normal)
+    );
+
+    let squaredError = 0;
+    for (const corner of corners) {
+        const [ox, oy] = CORNER_OFFSETS[corner];
+        const fitted = center.clone()
+            .add(fittedRight.clone().multiplyScalar(ox * width))
+            .add(fittedUp.clone().multiplyScalar(oy * height));
+        squaredError += fitted.distanceToSquared(points[corner]);
+    }
+
+    return { center, quaternion, width, height, error: Math.sqrt(squaredError / corners.length) };
+}
+
+export default {
+    CORNER_ORDER,
+    fitScreenRect
+};
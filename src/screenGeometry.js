@@ -0,0 +1,91 @@
+import * as THREE from 'three';
+
+// Meshes for the VR screen rectangle (screenRect in vr.js), built in the screen's own frame:
+// +X along the top edge, +Y up the screen, +Z out of its front, origin halfway between the
+// calibrated corners. Both meshes are 1 x 1 and vr.js scales them by the calibrated width and
+// height, so a curved mesh only has to be rebuilt when its arc angle changes.
+//
+// A curved screen is a section of a cylinder around the screen's vertical axis. Its left and right
+// edges pass through the calibrated corners and its middle bows away from the viewer, like a
+// curved monitor or LED wall. U runs along the arc, so equal steps on the physical panel are equal
+// steps in canvas pixels all the way to the edges.
+
+export const MAX_ARC_DEGREES = 180;
+const SEGMENTS_PER_RADIAN = 24;
+
+/**
+ * Arc angle of a curved screen from the curvature settings
+ * @param {number} width - Straight-line width between the left and right edges (rectXDistance)
+ * @param {Object} curve
+ * @param {number} [curve.radius] - Cylinder radius in meters; used when above 0
+ * @param {number} [curve.arcDegrees] - Angle the screen spans, used when no radius is set
+ * @returns {number} Arc angle in radians, 0 for a flat screen
+ */
+export function getCurveArcAngle(width, { radius = 0, arcDegrees = 0 } = {}) {
+    const maxAngle = THREE.MathUtils.degToRad(MAX_ARC_DEGREES);
+    if (radius > 0) {
+        if (!(width > 0)) return 0;
+        // A radius tighter than half the width cannot reach both edges: bend into a half cylinder
+        return radius * 2 <= width ? maxAngle : 2 * Math.asin(width / (2 * radius));
+    }
+    return THREE.MathUtils.clamp(THREE.MathUtils.degToRad(arcDegrees || 0), 0, maxAngle);
+}
+
+/**
+ * Unit curved screen: chord 1 between the edges, height 1
+ * @param {number} arcAngle - Radians, above 0 (see getCurveArcAngle)
+ * @returns {THREE.BufferGeometry} Indexed geometry with normals facing +Z and UVs over the canvas
+ */
+export function createCurvedScreenGeometry(arcAngle) {
+    const half = arcAngle / 2;
+    const radius = 0.5 / Math.sin(half);
+    // Cylinder axis sits in front of the screen so the edges land on z = 0 and the middle on -sagitta
+    const axisZ = radius * Math.cos(half);
+    const segments = Math.max(2, Math.ceil(arcAngle * SEGMENTS_PER_RADIAN));
+
+    const positions = [];
+    const normals = [];
+    const uvs = [];
+    const indices = [];
+    for (let i = 0; i <= segments; i++) {
+        const u = i / segments;
+        const angle = -half + u * arcAngle;
+        const x = radius * Math.sin(angle);
+        const z = axisZ - radius * Math.cos(angle);
+        // Normal points back toward the axis, i.e. out of the screen's front
+        const nx = -Math.sin(angle);
+        const nz = Math.cos(angle);
+        for (const y of [-0.5, 0.5]) {
+            positions.push(x, y, z);
+            normals.push(nx, 0, nz);
+            uvs.push(u, y + 0.5);
+        }
+    }
+    for (let i = 0; i < segments; i++) {
+        const a = i * 2;
+        indices.push(a, a + 2, a + 1, a + 1, a + 2, a + 3);
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setIndex(indices);
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+    geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+    return geometry;
+}
+
+/**
+ * Geometry for a screen: a plane when flat, otherwise a cylinder section
+ * @param {number} arcAngle - Radians; 0 for flat
+ * @returns {THREE.BufferGeometry}
+ */
+export function createScreenGeometry(arcAngle) {
+    return arcAngle > 0 ? createCurvedScreenGeometry(arcAngle) : new THREE.PlaneGeometry(1, 1);
+}
+
+export default {
+    MAX_ARC_DEGREES,
+    getCurveArcAngle,
+    createCurvedScreenGeometry,
+    createScreenGeometry
+};
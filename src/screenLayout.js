@@ -0,0 +1,52 @@
+// Helpers for working with the multi-screen layout broadcast by the server.
+//
+// Every SCREEN client is a tile of one virtual canvas. Tiles are placed side by side
+// (left to right) in `tile` order, so games can either draw per screen using local
+// canvas coordinates or treat all screens as one wide canvas using virtual coordinates.
+
+export const DEFAULT_SCREEN_ID = 'main';
+
+export const EMPTY_SCREEN_LAYOUT = { width: 0, height: 0, screens: [] };
+
+/**
+ * Get the viewport of a screen inside the virtual canvas
+ * @param {Object} layout - Layout from a SCREEN_LAYOUT message
+ * @param {string} screenId - Screen identifier
+ * @returns {Object|null} { screenId, x, y, width, height } or null if unknown
+ */
+export function getScreenViewport(layout, screenId) {
+    if (!layout || !Array.isArray(layout.screens)) return null;
+    return layout.screens.find((s) => s.screenId === screenId) || null;
+}
+
+/**
+ * Convert local canvas coordinates of one screen into virtual canvas coordinates
+ * @returns {Object|null} { x, y } or null if the screen is not part of the layout
+ */
+export function screenToVirtual(layout, screenId, canvasX, canvasY) {
+    const viewport = getScreenViewport(layout, screenId);
+    if (!viewport) return null;
+    return { x: viewport.x + canvasX, y: viewport.y + canvasY };
+}
+
+/**
+ * Find which screen shows a virtual canvas point and convert it to local coordinates
+ * @returns {Object|null} { screenId, canvasX, canvasY } or null if no screen covers the point
+ */
+export function virtualToScreen(layout, x, y) {
+    if (!layout || !Array.isArray(layout.screens)) return null;
+    for (const s of layout.screens) {
+        if (x >= s.x && x < s.x + s.width && y >= s.y && y < s.y + s.height) {
+            return { screenId: s.screenId, canvasX: x - s.x, canvasY: y - s.y };
+        }
+    }
+    return null;
+}
+
+export default {
+    DEFAULT_SCREEN_ID,
+    EMPTY_SCREEN_LAYOUT,
+    getScreenViewport,
+    screenToVirtual,
+    virtualToScreen
+};
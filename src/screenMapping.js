@@ -0,0 +1,150 @@
+import * as THREE from 'three';
+
+// Canvas <-> world mapping for a calibrated screen (context.screenMapping and screens[i].mapping).
+//
+// screenRect is always one of the 1 x 1 meshes from screenGeometry.js, scaled by the calibrated
+// size: a plane, or a cylinder section with U spread evenly along the arc. So instead of searching
+// the mesh triangles for a UV, the mapping inverts that shape directly: everything that depends on
+// the screen pose is worked out once when the mapping is created, and each lookup is a handful of
+// multiplications. getScreenMapping keeps the mapping on the screen entry and only builds a new one
+// when the screen moves, is resized or changes between flat and curved, so the per-frame VR context
+// and touch tracking reuse it.
+//
+// Canvas coordinates are pixels of the screen's own canvas, (0, 0) top left, as in screenState.
+
+/**
+ * Mapping for one screen
+ * @param {Object} entry - Screen entry ({ screenId, screenRect, screenWidth, screenHeight, screenRectArc });
+ *   screenRectArc is the arc angle the mesh was built with (0 or missing when flat)
+ * @returns {Object|null} { screenId, screenWidth, screenHeight, canvasToWorld, worldToCanvas, canvasToSurfaceNormal,
+ *   pixelsToMeters }, or null without a mesh or canvas size
+ */
+export function createScreenMapping(entry) {
+    if (!entry || !entry.screenRect || !entry.screenWidth || !entry.screenHeight) return null;
+    const { screenId, screenRect, screenWidth, screenHeight } = entry;
+
+    screenRect.updateMatrixWorld();
+    const matrix = screenRect.matrixWorld.clone();
+    const inverse = matrix.clone().invert();
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+    const scale = new THREE.Vector3();
+    matrix.decompose(position, quaternion, scale);
+
+    // Unit cylinder of createCurvedScreenGeometry: chord 1, axis axisZ in front of the edges
+    const arcAngle = entry.screenRectArc > 0 ? entry.screenRectArc : 0;
+    const half = arcAngle / 2;
+    const radius = arcAngle > 0 ? 0.5 / Math.sin(half) : Infinity;
+    const axisZ = arcAngle > 0 ? radius * Math.cos(half) : 0;
+
+    // Physical size of one canvas pixel; on a curve U runs along the arc, so width is the arc length
+    const surfaceWidth = (arcAngle > 0 ? radius * arcAngle : 1) * scale.x;
+    const metersPerPixelX = surfaceWidth / screenWidth;
+    const metersPerPixelY = scale.y / screenHeight;
+
+    const toUV = (canvasX, canvasY) => ({ u: canvasX / screenWidth, v: 1 - canvasY / screenHeight });
+
+    /**
+     * Point on the screen surface under a canvas pixel
+     * @param {number} canvasX
+     * @param {number} canvasY
+     * @param {THREE.Vector3} [target] - Written and returned instead of a new vector
+     * @returns {THREE.Vector3} World position
+     */
+    function canvasToWorld(canvasX, canvasY, target = new THREE.Vector3()) {
+        const { u, v } = toUV(canvasX, canvasY);
+        if (arcAngle > 0) {
+            const angle = -half + u * arcAngle;
+            target.set(radius * Math.sin(angle), v - 0.5, axisZ - radius * Math.cos(angle));
+        } else {
+            target.set(u - 0.5, v - 0.5, 0);
+        }
+        return target.applyMatrix4(matrix);
+    }
+
+    /**
+     * Surface normal under a canvas pixel, pointing out of the screen's front
+     * @param {number} canvasX
+     * @param {number} canvasY
+     * @param {THREE.Vector3} [target] - Written and returned instead of a new vector
+     * @returns {THREE.Vector3} Unit world direction
+     */
+    function canvasToSurfaceNormal(canvasX, canvasY, target = new THREE.Vector3()) {
+        if (arcAngle > 0) {
+            const angle = -half + toUV(canvasX, canvasY).u * arcAngle;
+            target.set(-Math.sin(angle), 0, Math.cos(angle));
+        } else {
+            target.set(0, 0, 1);
+        }
+        return target.applyQuaternion(quaternion);
+    }
+
+    /**
+     * Where a world point lies over the screen: the canvas pixel straight below it along the
+     * surface normal, and how far in front of the surface it is
+     * @param {THREE.Vector3} point - World position
+     * @returns {Object} { canvasX, canvasY, u, v, distance, onScreen }; canvasX/Y are unrounded and
+     *   outside the canvas when the point is beside the screen, distance is in meters (negative behind it)
+     */
+    function worldToCanvas(point) {
+        const local = point.clone().applyMatrix4(inverse);
+        let u;
+        let distance;
+        if (arcAngle > 0) {
+            const angle = Math.atan2(local.x, axisZ - local.z);
+            u = (angle + half) / arcAngle;
+            distance = (radius - Math.hypot(local.x, axisZ - local.z)) * scale.x;
+        } else {
+            u = local.x + 0.5;
+            distance = local.z * scale.z;
+        }
+        const v = local.y + 0.5;
+        return {
+            canvasX: u * screenWidth,
+            canvasY: (1 - v) * screenHeight,
+            u,
+            v,
+            distance,
+            onScreen: u >= 0 && u <= 1 && v >= 0 && v <= 1
+        };
+    }
+
+    /**
+     * Physical length of a number of canvas pixels
+     * @param {number} pixels
+     * @param {string} [axis] - 'x' (along the top edge) or 'y' (up the side); the average of both when omitted
+     * @returns {number} Meters
+     */
+    function pixelsToMeters(pixels, axis) {
+        if (axis === 'x') return pixels * metersPerPixelX;
+        if (axis === 'y') return pixels * metersPerPixelY;
+        return pixels * (metersPerPixelX + metersPerPixelY) / 2;
+    }
+
+    return { screenId, screenWidth, screenHeight, canvasToWorld, worldToCanvas, canvasToSurfaceNormal, pixelsToMeters };
+}
+
+/**
+ * Mapping for one screen, reused until its pose, size or geometry changes
+ * @param {Object} entry - As for createScreenMapping; the mapping is cached on it as entry.mappingCache
+ * @returns {Object|null} Same as createScreenMapping
+ */
+export function getScreenMapping(entry) {
+    if (!entry || !entry.screenRect || !entry.screenWidth || !entry.screenHeight) return null;
+    const { screenId, screenRect, screenWidth, screenHeight } = entry;
+    const arcAngle = entry.screenRectArc > 0 ? entry.screenRectArc : 0;
+    screenRect.updateMatrixWorld();
+    const cached = entry.mappingCache;
+    if (cached && cached.screenId === screenId && cached.screenRect === screenRect && cached.screenWidth === screenWidth &&
+        cached.screenHeight === screenHeight && cached.arcAngle === arcAngle && cached.matrix.equals(screenRect.matrixWorld)) {
+        return cached.mapping;
+    }
+    const mapping = createScreenMapping(entry);
+    entry.mappingCache = { screenId, screenRect, screenWidth, screenHeight, arcAngle, matrix: screenRect.matrixWorld.clone(), mapping };
+    return mapping;
+}
+
+export default {
+    createScreenMapping,
+    getScreenMapping
+};
@@ -0,0 +1,131 @@
+import * as THREE from 'three';
+import { getScreenViewport, screenToVirtual } from './screenLayout.js';
+import { getScreenMapping } from './screenMapping.js';
+
+// Per-frame screen data handed to games in the VR context (screenState, screenMeta, screens).
+// Shared by vr.js and the desktop emulator so both produce exactly the same shapes.
+//
+// A screen entry is { screenId, screenRect, screenWidth, screenHeight, topLeftCorner,
+// bottomRightCorner, screenQuaternion, rectXDistance, rectYDistance }; screenRect is the mesh
+// raycasts hit, with UVs running left to right and bottom to top over the screen's canvas.
+// screenQuaternion is the screen's full orientation: local +X along the top edge, +Y up the
+// screen and +Z out of its front.
+
+/**
+ * Snapshot of a screen's size and placement (context.screenMeta)
+ * @param {Object} entry - Screen entry
+ * @returns {Object} { screenId, screenWidth, screenHeight, topLeftCorner, bottomRightCorner, center, quaternion, rectXDistance, rectYDistance }
+ */
+export function buildScreenMeta(entry) {
+    const tl = entry.topLeftCorner;
+    const br = entry.bottomRightCorner;
+    return {
+        screenId: entry.screenId,
+        screenWidth: entry.screenWidth,
+        screenHeight: entry.screenHeight,
+        topLeftCorner: [...tl],
+        bottomRightCorner: [...br],
+        center: [(tl[0] + br[0]) / 2, (tl[1] + br[1]) / 2, (tl[2] + br[2]) / 2],
+        quaternion: entry.screenQuaternion ? [...entry.screenQuaternion] : [0, 0, 0, 1],
+        rectXDistance: entry.rectXDistance,
+        rectYDistance: entry.rectYDistance
+    };
+}
+
+/**
+ * Where a ray hits the screens, as canvas and virtual canvas coordinates
+ * @param {THREE.Vector3} origin - Ray origin
+ * @param {THREE.Vector3} direction - Normalized ray direction
+ * @param {Array} screens - Calibrated screen entries
+ * @param {Object} layout - Layout from a SCREEN_LAYOUT message
+ * @returns {Object} { onScreen: false } or { onScreen, screenId, canvasX, canvasY, virtualX, virtualY, uv, hitPoint }
+ */
+export function raycastScreens(origin, direction, screens, layout) {
+    const raycaster = new THREE.Raycaster();
+    raycaster.set(origin, direction);
+    // Closest hit across all screens; intersect recursively through Group children (for loaded .glb)
+    let best = null;
+    for (const entry of screens) {
+        const intersects = raycaster.intersectObject(entry.screenRect, true);
+        if (intersects.length > 0 && (!best || intersects[0].distance < best.hit.distance)) {
+            best = { entry, hit: intersects[0] };
+        }
+    }
+    if (!best) return { onScreen: false };
+
+    const uv = best.hit.uv;
+    if (!uv) {
+        console.warn('No UV data on curved mesh intersection');
+        return { onScreen: false };
+    }
+    const canvasX = uv.x * best.entry.screenWidth;
+    const canvasY = (1 - uv.y) * best.entry.screenHeight;
+    if (isNaN(canvasX) || isNaN(canvasY)) return { onScreen: false };
+
+    const virtual = screenToVirtual(layout, best.entry.screenId, canvasX, canvasY);
+    return {
+        onScreen: true,
+        screenId: best.entry.screenId,
+        canvasX: Math.round(canvasX),
+        canvasY: Math.round(canvasY),
+        virtualX: virtual ? Math.round(virtual.x) : null,
+        virtualY: virtual ? Math.round(virtual.y) : null,
+        uv,
+        hitPoint: best.hit.point
+    };
+}
+
+/**
+ * Screen intersection of each side's ray (context.screenState). A tracked hand's aim ray
+ * (handRay.js) takes the place of that side's controller.
+ * @param {Object} controllers - { left, right }, each null or { raySpace, ... }
+ * @param {Array} screens - Calibrated screen entries
+ * @param {Object} layout - Layout from a SCREEN_LAYOUT message
+ * @param {Object} [handRays] - { left, right }, each null or { origin, direction, pinching, pinchStrength }
+ * @returns {Object} { right, left }: raycastScreens results plus inputType ('controller' or 'hand');
+ *   hand entries also carry pinching and pinchStrength. A side with neither is just { onScreen: false }
+ */
+export function computeScreenState(controllers, screens, layout, handRays = null) {
+    const state = { right: { onScreen: false }, left: { onScreen: false } };
+    for (const side of ['right', 'left']) {
+        const hand = handRays && handRays[side];
+        if (hand) {
+            state[side] = {
+                ...raycastScreens(hand.origin, hand.direction, screens, layout),
+                inputType: 'hand',
+                pinching: hand.pinching,
+                pinchStrength: hand.pinchStrength
+            };
+            continue;
+        }
+        const controller = controllers && controllers[side];
+        if (!controller || !controller.raySpace) continue;
+        const { raySpace } = controller;
+        const rayDirection = new THREE.Vector3(0, 0, -1).applyQuaternion(raySpace.quaternion);
+        state[side] = { ...raycastScreens(raySpace.position, rayDirection, screens, layout), inputType: 'controller' };
+    }
+    return state;
+}
+
+/**
+ * Per-screen list for multi-screen games (context.screens)
+ * @param {Array} screens - Calibrated screen entries in layout order
+ * @param {Object} layout - Layout from a SCREEN_LAYOUT message
+ * @returns {Array} [{ screenId, screenRect, screenMeta, viewport, mapping }], mapping from screenMapping.js
+ */
+export function buildScreensContext(screens, layout) {
+    return screens.map((entry) => ({
+        screenId: entry.screenId,
+        screenRect: entry.screenRect,
+        screenMeta: buildScreenMeta(entry),
+        viewport: getScreenViewport(layout, entry.screenId),
+        mapping: getScreenMapping(entry)
+    }));
+}
+
+export default {
+    buildScreenMeta,
+    raycastScreens,
+    computeScreenState,
+    buildScreensContext
+};
@@ -1,5 +1,5 @@
-import { GAMES } from './games/index.js';
-import { SYSTEM_SETTINGS_METADATA } from './systemSettings.js';
+import { getAllSettingsMetadata, getConfigValue, validateConfigUpdate } from './settingsSchema.js';
+import { describeAccuracyTest, drawAccuracyHeatmap } from './accuracyTest.js';
 
 function el(tag, attrs = {}, children = []) {
   const node = document.createElement(tag);
@@ -12,24 +12,150 @@ function el(tag, attrs = {}, children = []) {
   return node;
 }
 
+// Settings are scoped per room: /settings?room=lab2 edits the config of room "lab2"
+const room = new URLSearchParams(window.location.search).get('room');
+
+function apiUrl(path) {
+  return room ? `${path}?room=${encodeURIComponent(room)}` : path;
+}
+
 async function fetchConfig() {
-  const res = await fetch('/api/config', { headers: { 'Accept': 'application/json' } });
+  const res = await fetch(apiUrl('/api/config'), { headers: { 'Accept': 'application/json' } });
   if (!res.ok) throw new Error(`Failed to load config: ${res.status}`);
   return res.json();
 }
 
-async function applyConfig(next) {
-  const res = await fetch('/api/config', {
-    method: 'POST',
+async function sendJson(method, path, body) {
+  const res = await fetch(apiUrl(path), {
+    method,
     headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
-    body: JSON.stringify(next)
+    body: body === undefined ? undefined : JSON.stringify(body)
   });
-  if (!res.ok) throw new Error(`Failed to apply config: ${res.status}`);
+  if (res.status === 400) {
+    // Validation failed on the server: surface the per-field messages
+    const data = await res.json().catch(() => ({}));
+    const error = new Error(data.error || 'Invalid settings');
+    error.fieldErrors = data.errors || {};
+    throw error;
+  }
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || `${method} ${path} failed: ${res.status}`);
+  }
   return res.json();
 }
 
+function applyConfig(next) {
+  return sendJson('POST', '/api/config', next);
+}
+
+function resetConfig() {
+  return sendJson('POST', '/api/config/reset');
+}
+
+// Presets are shared by all rooms; loading one applies it to this page's room
+function presetPath(name) {
+  return `/api/presets/${encodeURIComponent(name)}`;
+}
+
+async function listPresets() {
+  const res = await fetch('/api/presets', { headers: { 'Accept': 'application/json' } });
+  if (!res.ok) throw new Error(`Failed to load presets: ${res.status}`);
+  return res.json();
+}
+
+async function fetchPreset(name) {
+  const res = await fetch(presetPath(name), { headers: { 'Accept': 'application/json' } });
+  if (!res.ok) throw new Error(`Failed to load preset "${name}": ${res.status}`);
+  return res.json();
+}
+
+function savePreset(name) {
+  return sendJson('POST', '/api/presets', { name });
+}
+
+function importPreset(name, config) {
+  return sendJson('PUT', presetPath(name), { config });
+}
+
+function loadPreset(name) {
+  return sendJson('POST', `${presetPath(name)}/load`);
+}
+
+function deletePreset(name) {
+  return sendJson('DELETE', presetPath(name));
+}
+
+// Calibration profiles are stored per room and screen id when a headset presses Ready
+function calibrationPath(screenId, action = '') {
+  return apiUrl(`/api/calibrations/${encodeURIComponent(screenId)}${action}`);
+}
+
+async function listCalibrations() {
+  const res = await fetch(apiUrl('/api/calibrations'), { headers: { 'Accept': 'application/json' } });
+  if (!res.ok) throw new Error(`Failed to load calibrations: ${res.status}`);
+  return res.json();
+}
+
+function renameCalibration(screenId, name) {
+  return sendJson('PUT', calibrationPath(screenId), { name });
+}
+
+function deleteCalibration(screenId) {
+  return sendJson('DELETE', calibrationPath(screenId));
+}
+
+// Runs on the room's headsets; the result shows up in listCalibrations() once the user is done
+function startAccuracyTest(screenId) {
+  return sendJson('POST', calibrationPath(screenId, '/test'));
+}
+
+const ACCURACY_POLL_MS = 3000;
+const ACCURACY_POLL_LIMIT = 100;
+
+function accuracyTestTime(profile) {
+  return profile && profile.accuracyTest ? profile.accuracyTest.testedAt : null;
+}
+
+// Last accuracy test of a profile: summary line and heatmap
+function accuracyReport(profile) {
+  const report = profile.accuracyTest;
+  const summary = el('div', { text: `Accuracy test: ${describeAccuracyTest(report)} (tested ${new Date(report.testedAt).toLocaleString()})` });
+  const box = el('div', {}, [summary]);
+  box.style.marginLeft = '24px';
+  box.style.marginTop = '6px';
+  const screenWidth = profile.screenWidth || 1920;
+  const screenHeight = profile.screenHeight || 1080;
+  const canvas = el('canvas');
+  canvas.width = 320;
+  canvas.height = Math.round(320 * screenHeight / screenWidth);
+  canvas.style.border = '1px solid #ccc';
+  canvas.style.marginTop = '6px';
+  drawAccuracyHeatmap(canvas.getContext('2d'), report, { width: canvas.width, height: canvas.height, screenWidth, screenHeight });
+  box.append(canvas);
+  return box;
+}
+
+function describeCalibration(profile) {
+  const parts = [`screen "${profile.screenId}"`];
+  if (profile.screenWidth && profile.screenHeight) parts.push(`${profile.screenWidth}x${profile.screenHeight}`);
+  if (typeof profile.errorPx === 'number') parts.push(`${profile.errorPx} px off`);
+  if (profile.savedAt) parts.push(`saved ${new Date(profile.savedAt).toLocaleString()}`);
+  return parts.join(', ');
+}
+
+function downloadJson(filename, data) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = el('a', { href: url, download: filename });
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
 async function clearDraw() {
-  const res = await fetch('/api/draw/clear', {
+  const res = await fetch(apiUrl('/api/draw/clear'), {
     method: 'POST',
     headers: { 'Accept': 'application/json' }
   });
@@ -37,21 +163,6 @@ async function clearDraw() {
   return res.json();
 }
 
-/**
- * Gather all settings metadata from system and all games
- */
-function getAllSettingsMetadata() {
-  const allSettings = [...SYSTEM_SETTINGS_METADATA];
-  
-  for (const [gameId, { metadata }] of GAMES) {
-    if (metadata.settings && metadata.settings.length > 0) {
-      allSettings.push(...metadata.settings);
-    }
-  }
-  
-  return allSettings;
-}
-
 /**
  * Group settings by tab
  */
@@ -65,6 +176,28 @@ function groupSettingsByTab(settings) {
   return grouped;
 }
 
+/**
+ * Show a config value in a setting's input (falls back to the metadata default)
+ */
+function setInputValue(setting, input, value) {
+  switch (setting.type) {
+    case 'boolean':
+      input.checked = typeof value === 'boolean' ? value : (setting.default || false);
+      break;
+    case 'number':
+      input.value = String(typeof value === 'number' ? value : (setting.default || 0));
+      break;
+    case 'color':
+      input.value = typeof value === 'string' ? value : (setting.default || '#000000');
+      break;
+    case 'select':
+      input.value = typeof value === 'string' ? value : (setting.default || '');
+      break;
+    default:
+      input.value = String(value !== undefined ? value : (setting.default || ''));
+  }
+}
+
 /**
  * Create an input control for a setting based on its type
  */
@@ -76,69 +209,47 @@ function createInputControl(setting, config) {
   row.style.marginTop = '12px';
 
   const label = el('label', { text: setting.label + ':' });
-  label.htmlFor = setting.key;
+  label.htmlFor = setting.path;
 
   let input;
   
   switch (setting.type) {
     case 'boolean':
-      input = el('input', { id: setting.key, type: 'checkbox' });
-      if (typeof config?.[setting.key] === 'boolean') {
-        input.checked = config[setting.key];
-      } else {
-        input.checked = setting.default || false;
-      }
+      input = el('input', { id: setting.path, type: 'checkbox' });
       break;
       
     case 'number':
       input = el('input', { 
-        id: setting.key, 
+        id: setting.path, 
         type: 'number',
         step: String(setting.step || 1),
         min: setting.min !== undefined ? String(setting.min) : undefined,
         max: setting.max !== undefined ? String(setting.max) : undefined
       });
       input.style.width = '120px';
-      if (typeof config?.[setting.key] === 'number') {
-        input.value = String(config[setting.key]);
-      } else {
-        input.value = String(setting.default || 0);
-      }
       break;
       
     case 'color':
-      input = el('input', { id: setting.key, type: 'color' });
-      if (typeof config?.[setting.key] === 'string') {
-        input.value = config[setting.key];
-      } else {
-        input.value = setting.default || '#000000';
-      }
+      input = el('input', { id: setting.path, type: 'color' });
       break;
       
     case 'select':
-      input = el('select', { id: setting.key });
+      input = el('select', { id: setting.path });
       const options = setting.options || [];
       for (const optValue of options) {
         const optLabel = typeof optValue === 'object' ? optValue.label : optValue;
         const optVal = typeof optValue === 'object' ? optValue.value : optValue;
         input.appendChild(el('option', { value: optVal, text: optLabel }));
       }
-      if (typeof config?.[setting.key] === 'string') {
-        input.value = config[setting.key];
-      } else {
-        input.value = setting.default || '';
-      }
       break;
       
     default:
-      input = el('input', { id: setting.key, type: 'text' });
-      if (config?.[setting.key] !== undefined) {
-        input.value = String(config[setting.key]);
-      } else {
-        input.value = String(setting.default || '');
-      }
+      input = el('input', { id: setting.path, type: 'text' });
   }
 
+  // Settings are addressed by path ('system.key' / 'games.<id>.key') since games may share keys
+  setInputValue(setting, input, getConfigValue(config, setting.path));
+
   row.append(label, input);
   
   // Add description if present
@@ -148,15 +259,21 @@ function createInputControl(setting, config) {
     desc.style.opacity = '0.7';
     row.appendChild(desc);
   }
+
+  // Validation message, filled in when applying fails for this field
+  const error = el('span', { text: '' });
+  error.style.color = '#c00';
+  error.style.fontSize = '0.9em';
+  row.appendChild(error);
   
-  return { row, input };
+  return { row, input, error };
 }
 
 async function main() {
   document.body.style.fontFamily = 'system-ui, -apple-system, Segoe UI, Roboto, sans-serif';
   document.body.style.margin = '24px';
 
-  const title = el('h1', { text: 'Settings' });
+  const title = el('h1', { text: room ? `Settings (room: ${room})` : 'Settings' });
   const status = el('div', { text: '' });
   status.style.marginTop = '12px';
 
@@ -192,6 +309,7 @@ async function main() {
   const tabButtons = {};
   const tabPanels = {};
   const inputsByKey = {};
+  const errorsByKey = {};
   
   // Create tab buttons and panels
   for (const tabName of tabNames) {
@@ -205,9 +323,10 @@ async function main() {
     
     // Create inputs for this tab
     for (const setting of settingsByTab[tabName]) {
-      const { row, input } = createInputControl(setting, config);
+      const { row, input, error } = createInputControl(setting, config);
       panel.appendChild(row);
-      inputsByKey[setting.key] = input;
+      inputsByKey[setting.path] = input;
+      errorsByKey[setting.path] = error;
     }
   }
   
@@ -265,46 +384,307 @@ async function main() {
   const applyBtn = el('button', { type: 'button', text: 'Apply' });
   actionBar.appendChild(applyBtn);
 
+  // Presets: named setups stored on the server, plus JSON export/import and factory reset
+  const presetsPanel = el('div');
+  presetsPanel.style.marginTop = '24px';
+  presetsPanel.style.paddingTop = '12px';
+  presetsPanel.style.borderTop = '1px solid #ccc';
+
+  const presetRow = (...children) => {
+    const row = el('div', {}, children);
+    row.style.display = 'flex';
+    row.style.gap = '12px';
+    row.style.alignItems = 'center';
+    row.style.marginTop = '12px';
+    return row;
+  };
+
+  const presetSelect = el('select', { id: 'preset-select' });
+  presetSelect.style.minWidth = '200px';
+  const loadPresetBtn = el('button', { type: 'button', text: 'Load' });
+  const exportPresetBtn = el('button', { type: 'button', text: 'Export' });
+  const deletePresetBtn = el('button', { type: 'button', text: 'Delete' });
+  const presetNameInput = el('input', { type: 'text', placeholder: 'Preset name, e.g. demo day' });
+  presetNameInput.style.width = '220px';
+  const savePresetBtn = el('button', { type: 'button', text: 'Save current as preset' });
+  const importInput = el('input', { type: 'file', accept: 'application/json,.json' });
+  importInput.style.display = 'none';
+  const importPresetBtn = el('button', { type: 'button', text: 'Import preset...' });
+  const resetBtn = el('button', { type: 'button', text: 'Reset to factory defaults' });
+
+  presetsPanel.append(
+    el('h2', { text: 'Presets' }),
+    presetRow(el('label', { text: 'Preset:' }), presetSelect, loadPresetBtn, exportPresetBtn, deletePresetBtn),
+    presetRow(presetNameInput, savePresetBtn),
+    presetRow(importPresetBtn, importInput, resetBtn)
+  );
+
   // Assemble page
   document.body.append(title, tabsBar, actionBar);
   for (const tabName of tabNames) {
     document.body.appendChild(tabPanels[tabName]);
   }
-  document.body.append(hint, status);
+  // Calibration profiles: one per screen, listed with rename and delete
+  const calibrationsPanel = el('div');
+  calibrationsPanel.style.marginTop = '24px';
+  calibrationsPanel.style.paddingTop = '12px';
+  calibrationsPanel.style.borderTop = '1px solid #ccc';
+  const calibrationList = el('div', { id: 'calibration-list' });
+  calibrationsPanel.append(
+    el('h2', { text: 'Screen Calibrations' }),
+    el('p', { text: 'Saved whenever a headset presses Ready, and offered to any headset when that screen connects.' }),
+    calibrationList
+  );
+
+  document.body.append(hint, status, presetsPanel, calibrationsPanel);
 
   // Set initial tab
   if (tabNames.length > 0) {
     setActiveTab(tabNames[0]);
   }
 
-  // Apply button handler
-  applyBtn.addEventListener('click', async () => {
+  // Show per-field errors next to their inputs and jump to the first tab that has one
+  const showFieldErrors = (fieldErrors) => {
+    for (const [key, error] of Object.entries(errorsByKey)) {
+      error.textContent = fieldErrors[key] || '';
+      inputsByKey[key].style.outline = fieldErrors[key] ? '2px solid #c00' : '';
+    }
+    const firstInvalid = allSettings.find((setting) => fieldErrors[setting.path]);
+    if (firstInvalid) setActiveTab(firstInvalid.tab || 'general');
+  };
+
+  // Refresh every input after the config changed on the server (preset loaded, reset)
+  const showConfig = (nextConfig) => {
+    config = nextConfig;
+    for (const setting of allSettings) {
+      const input = inputsByKey[setting.path];
+      if (input) setInputValue(setting, input, getConfigValue(config, setting.path));
+    }
+    showFieldErrors({});
+  };
+
+  // Send the form's values to the server; false (with the reason in the status line) when nothing was applied
+  const applyForm = async () => {
     status.textContent = 'Applying...';
+    showFieldErrors({});
     try {
-      const next = {};
+      const next = { system: {}, games: {} };
       
       for (const setting of allSettings) {
-        const input = inputsByKey[setting.key];
+        const input = inputsByKey[setting.path];
         if (!input) continue;
+
+        let target = next.system;
+        if (setting.gameId) {
+          if (!next.games[setting.gameId]) next.games[setting.gameId] = {};
+          target = next.games[setting.gameId];
+        }
         
         switch (setting.type) {
           case 'boolean':
-            next[setting.key] = input.checked;
+            target[setting.key] = input.checked;
             break;
           case 'number':
-            next[setting.key] = Number(input.value);
+            target[setting.key] = Number(input.value);
             break;
           default:
-            next[setting.key] = input.value;
+            target[setting.key] = input.value;
         }
       }
 
+      // Same checks as the server, so most mistakes are caught before sending
+      const { errors } = validateConfigUpdate(next, config);
+      if (Object.keys(errors).length > 0) {
+        showFieldErrors(errors);
+        status.textContent = 'Some settings are invalid, see the highlighted fields.';
+        return false;
+      }
+
       const updated = await applyConfig(next);
-      status.textContent = `Applied settings successfully. Active game: ${updated.activeGameId}`;
+      config = updated;
+      status.textContent = `Applied settings successfully. Active game: ${updated.system.activeGameId}`;
+      return true;
+    } catch (e) {
+      if (e.fieldErrors) {
+        showFieldErrors(e.fieldErrors);
+        status.textContent = 'The server rejected some settings, see the highlighted fields.';
+      } else {
+        status.textContent = String(e);
+      }
+      return false;
+    }
+  };
+
+  const refreshPresets = async (selected) => {
+    try {
+      const presets = await listPresets();
+      presetSelect.replaceChildren(...presets.map((preset) => el('option', { value: preset.name, text: preset.name })));
+      if (selected) presetSelect.value = selected;
+    } catch (e) {
+      status.textContent = String(e);
+    }
+    const empty = presetSelect.options.length === 0;
+    loadPresetBtn.disabled = exportPresetBtn.disabled = deletePresetBtn.disabled = empty;
+  };
+
+  loadPresetBtn.addEventListener('click', async () => {
+    const name = presetSelect.value;
+    if (!name) return;
+    status.textContent = `Loading preset "${name}"...`;
+    try {
+      const result = await loadPreset(name);
+      showConfig(result.config);
+      const skipped = Object.keys(result.skipped || {});
+      status.textContent = `Loaded preset "${name}".` + (skipped.length ? ` Skipped invalid settings: ${skipped.join(', ')}` : '');
+    } catch (e) {
+      status.textContent = String(e);
+    }
+  });
+
+  exportPresetBtn.addEventListener('click', async () => {
+    const name = presetSelect.value;
+    if (!name) return;
+    try {
+      const preset = await fetchPreset(name);
+      downloadJson(`${name}.json`, { name, config: preset.config });
+    } catch (e) {
+      status.textContent = String(e);
+    }
+  });
+
+  deletePresetBtn.addEventListener('click', async () => {
+    const name = presetSelect.value;
+    if (!name || !window.confirm(`Delete preset "${name}"?`)) return;
+    try {
+      await deletePreset(name);
+      status.textContent = `Deleted preset "${name}".`;
+      await refreshPresets();
+    } catch (e) {
+      status.textContent = String(e);
+    }
+  });
+
+  savePresetBtn.addEventListener('click', async () => {
+    const name = presetNameInput.value.trim();
+    if (!name) {
+      status.textContent = 'Enter a preset name first.';
+      return;
+    }
+    // Presets store what the server has, so apply pending edits first
+    if (!(await applyForm())) return;
+    try {
+      await savePreset(name);
+      status.textContent = `Saved the applied settings as preset "${name}".`;
+      presetNameInput.value = '';
+      await refreshPresets(name);
+    } catch (e) {
+      status.textContent = String(e);
+    }
+  });
+
+  importPresetBtn.addEventListener('click', () => importInput.click());
+  importInput.addEventListener('change', async () => {
+    const file = importInput.files && importInput.files[0];
+    importInput.value = '';
+    if (!file) return;
+    try {
+      // Accepts an exported preset ({ name, config }) or a bare config file such as defaults.json
+      const data = JSON.parse(await file.text());
+      const config = data.config && typeof data.config === 'object' ? data.config : data;
+      const name = (typeof data.name === 'string' && data.name.trim()) || file.name.replace(/\.json$/i, '');
+      await importPreset(name, config);
+      status.textContent = `Imported preset "${name}". Load it to apply.`;
+      await refreshPresets(name);
+    } catch (e) {
+      const fields = e.fieldErrors ? ' ' + Object.entries(e.fieldErrors).map(([path, msg]) => `${path}: ${msg}`).join('; ') : '';
+      status.textContent = `Import failed: ${e.message}${fields}`;
+    }
+  });
+
+  resetBtn.addEventListener('click', async () => {
+    if (!window.confirm('Reset every setting to its factory default? Save a preset first if you want to keep the current setup.')) return;
+    try {
+      showConfig(await resetConfig());
+      status.textContent = 'Reset all settings to factory defaults.';
     } catch (e) {
       status.textContent = String(e);
     }
   });
+
+  void refreshPresets();
+
+  const refreshCalibrations = async () => {
+    let profiles = [];
+    try {
+      profiles = await listCalibrations();
+    } catch (e) {
+      status.textContent = String(e);
+    }
+    if (profiles.length === 0) {
+      calibrationList.replaceChildren(el('p', { text: 'No calibrations saved yet.' }));
+      return profiles;
+    }
+    calibrationList.replaceChildren(...profiles.map((profile) => {
+      const testBtn = el('button', { type: 'button', text: 'Run accuracy test' });
+      const renameBtn = el('button', { type: 'button', text: 'Rename' });
+      const deleteBtn = el('button', { type: 'button', text: 'Delete' });
+      renameBtn.addEventListener('click', async () => {
+        const name = window.prompt(`New name for the calibration of screen "${profile.screenId}":`, profile.name);
+        if (!name || !name.trim()) return;
+        try {
+          await renameCalibration(profile.screenId, name.trim());
+          status.textContent = `Renamed calibration to "${name.trim()}".`;
+          await refreshCalibrations();
+        } catch (e) {
+          status.textContent = String(e);
+        }
+      });
+      deleteBtn.addEventListener('click', async () => {
+        if (!window.confirm(`Delete the calibration "${profile.name}"? Headsets will have to calibrate screen "${profile.screenId}" again.`)) return;
+        try {
+          await deleteCalibration(profile.screenId);
+          status.textContent = `Deleted calibration "${profile.name}".`;
+          await refreshCalibrations();
+        } catch (e) {
+          status.textContent = String(e);
+        }
+      });
+      testBtn.addEventListener('click', async () => {
+        try {
+          await startAccuracyTest(profile.screenId);
+          status.textContent = `Accuracy test started on screen "${profile.screenId}": point at or touch each target in the headset.`;
+          waitForAccuracyTest(profile.screenId, accuracyTestTime(profile));
+        } catch (e) {
+          status.textContent = String(e);
+        }
+      });
+      const row = presetRow(el('strong', { text: profile.name }), el('span', { text: describeCalibration(profile) }), testBtn, renameBtn, deleteBtn);
+      return profile.accuracyTest ? el('div', {}, [row, accuracyReport(profile)]) : row;
+    }));
+    return profiles;
+  };
+  void refreshCalibrations();
+
+  // Poll until a new test result for the screen is stored (or give up after a few minutes)
+  let accuracyPoll = null;
+  const waitForAccuracyTest = (screenId, previousTestedAt) => {
+    clearInterval(accuracyPoll);
+    let polls = 0;
+    accuracyPoll = setInterval(async () => {
+      const profiles = await refreshCalibrations();
+      const profile = profiles.find((p) => p.screenId === screenId);
+      const testedAt = accuracyTestTime(profile);
+      if (testedAt && testedAt !== previousTestedAt) {
+        clearInterval(accuracyPoll);
+        status.textContent = `Accuracy test on screen "${screenId}" finished: ${describeAccuracyTest(profile.accuracyTest)}.`;
+      } else if (++polls >= ACCURACY_POLL_LIMIT) {
+        clearInterval(accuracyPoll);
+      }
+    }, ACCURACY_POLL_MS);
+  };
+
+  // Apply button handler
+  applyBtn.addEventListener('click', () => applyForm());
 }
 
 main();
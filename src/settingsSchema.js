@@ -0,0 +1,243 @@
+import { GAMES } from './games/index.js';
+import { SYSTEM_SETTINGS_METADATA } from './systemSettings.js';
+
+// Settings metadata, validation and the config format shared by the settings page and server.js
+// (the actual gate for POST /api/config), so this module must not touch the DOM.
+//
+// Config is namespaced so games cannot clash on keys:
+//     { system: { activeGameId, ... }, games: { [gameId]: { ...that game's settings } } }
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const STEP_TOLERANCE = 1e-6;
+
+/**
+ * Gather all settings metadata from system and all games.
+ * Every entry gets `gameId` (null for system settings) and `path`, e.g. 'system.activeGameId'
+ * or 'games.draw.drawAlpha', which identifies it uniquely even when games share a key.
+ * @returns {Array} Setting definitions
+ */
+export function getAllSettingsMetadata() {
+    const allSettings = SYSTEM_SETTINGS_METADATA.map((setting) => ({ ...setting, gameId: null, path: `system.${setting.key}` }));
+    for (const [gameId, { metadata }] of GAMES) {
+        if (metadata.settings && metadata.settings.length > 0) {
+            allSettings.push(...metadata.settings.map((setting) => ({ ...setting, gameId, path: `games.${gameId}.${setting.key}` })));
+        }
+    }
+    return allSettings;
+}
+
+/**
+ * Config built only from the defaults declared in metadata
+ * @returns {Object} { system, games }
+ */
+export function getFactoryDefaults() {
+    const config = { system: {}, games: {} };
+    for (const setting of SYSTEM_SETTINGS_METADATA) config.system[setting.key] = setting.default;
+    for (const [gameId, { metadata }] of GAMES) {
+        config.games[gameId] = {};
+        for (const setting of metadata.settings || []) config.games[gameId][setting.key] = setting.default;
+    }
+    return config;
+}
+
+/**
+ * Read the value at a setting path ('system.key' or 'games.<id>.key')
+ */
+export function getConfigValue(config, path) {
+    const [scope, ...rest] = path.split('.');
+    if (scope === 'system') return config?.system?.[rest[0]];
+    return config?.games?.[rest[0]]?.[rest[1]];
+}
+
+function cloneConfig(config) {
+    const games = {};
+    for (const [gameId, values] of Object.entries(config?.games || {})) games[gameId] = { ...values };
+    return { system: { ...(config?.system || {}) }, games };
+}
+
+/**
+ * Overlay stored values onto a base config. Only keys the base already has are taken
+ * (and only with the same type), so settings a game no longer declares drop out.
+ * @returns {Object} New { system, games }
+ */
+export function mergeConfig(base, overlay) {
+    const merged = cloneConfig(base);
+    const copy = (target, source) => {
+        if (!source) return;
+        for (const key of Object.keys(target)) {
+            if (key in source && typeof source[key] === typeof target[key]) target[key] = source[key];
+        }
+    };
+    copy(merged.system, overlay?.system);
+    for (const gameId of Object.keys(merged.games)) copy(merged.games[gameId], overlay?.games?.[gameId]);
+    return merged;
+}
+
+// Which games declare a (non-system) key
+function findGamesDeclaring(key) {
+    const ids = [];
+    for (const [gameId, { metadata }] of GAMES) {
+        if ((metadata.settings || []).some((setting) => setting.key === key)) ids.push(gameId);
+    }
+    return ids;
+}
+
+/**
+ * Bring a stored config file up to the namespaced format.
+ * Understands `{ systemDefaults, gameDefaults }` (the previous defaults.json layout)
+ * and a single flat object of keys, where each key goes to the system or the game(s) declaring it.
+ * @param {Object} raw - Parsed file contents
+ * @returns {Object} { config, migrated } - migrated is true if the input was in an old format
+ */
+export function migrateConfig(raw) {
+    if (!raw || typeof raw !== 'object') return { config: { system: {}, games: {} }, migrated: false };
+    if (raw.system || raw.games) return { config: cloneConfig(raw), migrated: false };
+    if (raw.systemDefaults || raw.gameDefaults) {
+        return { config: cloneConfig({ system: raw.systemDefaults, games: raw.gameDefaults }), migrated: true };
+    }
+    const config = { system: {}, games: {} };
+    const systemKeys = new Set(SYSTEM_SETTINGS_METADATA.map((setting) => setting.key));
+    for (const [key, value] of Object.entries(raw)) {
+        if (systemKeys.has(key)) {
+            config.system[key] = value;
+            continue;
+        }
+        for (const gameId of findGamesDeclaring(key)) {
+            if (!config.games[gameId]) config.games[gameId] = {};
+            config.games[gameId][key] = value;
+        }
+    }
+    return { config, migrated: true };
+}
+
+function getOptionValues(setting) {
+    return (setting.options || []).map((opt) => (typeof opt === 'object' ? opt.value : opt));
+}
+
+/**
+ * Check one value against its setting definition
+ * @param {Object} setting - Setting metadata (type, min, max, step, options)
+ * @param {*} value - Proposed value
+ * @returns {Object} { value } with the normalized value, or { error } describing the problem
+ */
+export function validateSetting(setting, value) {
+    switch (setting.type) {
+        case 'boolean':
+            if (typeof value !== 'boolean') return { error: 'Must be true or false' };
+            return { value };
+        case 'number': {
+            if (typeof value !== 'number' || !Number.isFinite(value)) return { error: 'Must be a number' };
+            if (setting.min !== undefined && value < setting.min) return { error: `Must be at least ${setting.min}` };
+            if (setting.max !== undefined && value > setting.max) return { error: `Must be at most ${setting.max}` };
+            if (setting.step) {
+                // Same rule as <input type="number">: steps are counted from min (or 0)
+                const steps = (value - (setting.min ?? 0)) / setting.step;
+                if (Math.abs(steps - Math.round(steps)) > STEP_TOLERANCE) return { error: `Must be a multiple of ${setting.step}` };
+            }
+            return { value };
+        }
+        case 'color':
+            if (typeof value !== 'string' || !COLOR_PATTERN.test(value)) return { error: 'Must be a color like #11aaff' };
+            return { value: value.toLowerCase() };
+        case 'select': {
+            const options = getOptionValues(setting);
+            const match = options.find((opt) => opt === value || (typeof value === 'string' && String(opt).toLowerCase() === value.toLowerCase()));
+            if (match === undefined) return { error: `Must be one of: ${options.join(', ')}` };
+            return { value: match };
+        }
+        default:
+            if (typeof value !== 'string') return { error: 'Must be text' };
+            return { value };
+    }
+}
+
+/**
+ * Validate a partial config update `{ system: {...}, games: { [gameId]: {...} } }`.
+ * For older callers, top-level keys are also accepted when they name a system setting
+ * or a key declared by exactly one game. Keys the current config does not have are ignored;
+ * keys without metadata keep the old rule (same type as the current value).
+ * @param {Object} update - Proposed changes
+ * @param {Object} current - Current { system, games } config
+ * @returns {Object} { values, errors } - normalized { system, games } to apply and { path: message } per invalid field
+ */
+export function validateConfigUpdate(update, current) {
+    const metadataByPath = new Map(getAllSettingsMetadata().map((setting) => [setting.path, setting]));
+    const values = { system: {}, games: {} };
+    const errors = {};
+
+    const check = (path, target, key, value, currentValue) => {
+        const setting = metadataByPath.get(path);
+        if (!setting) {
+            if (typeof value === typeof currentValue) target[key] = value;
+            else errors[path] = `Must be a ${typeof currentValue}`;
+            return;
+        }
+        const result = validateSetting(setting, value);
+        if (result.error) errors[path] = result.error;
+        else target[key] = result.value;
+    };
+
+    const checkSystem = (key, value) => {
+        if (!(key in (current.system || {}))) return;
+        check(`system.${key}`, values.system, key, value, current.system[key]);
+    };
+    const checkGame = (gameId, key, value) => {
+        const currentGame = current.games?.[gameId];
+        if (!currentGame || !(key in currentGame)) return;
+        if (!values.games[gameId]) values.games[gameId] = {};
+        check(`games.${gameId}.${key}`, values.games[gameId], key, value, currentGame[key]);
+    };
+
+    for (const [key, value] of Object.entries(update || {})) {
+        if (key === 'system' && value && typeof value === 'object') {
+            for (const [systemKey, systemValue] of Object.entries(value)) checkSystem(systemKey, systemValue);
+        } else if (key === 'games' && value && typeof value === 'object') {
+            for (const [gameId, gameValues] of Object.entries(value)) {
+                if (!gameValues || typeof gameValues !== 'object') continue;
+                for (const [gameKey, gameValue] of Object.entries(gameValues)) checkGame(gameId, gameKey, gameValue);
+            }
+        } else if (key in (current.system || {})) {
+            checkSystem(key, value);
+        } else {
+            // Flat key from an older client
+            const owners = Object.keys(current.games || {}).filter((gameId) => key in current.games[gameId]);
+            if (owners.length === 1) checkGame(owners[0], key, value);
+            else if (owners.length > 1) errors[key] = `Ambiguous setting, use one of: ${owners.map((id) => `games.${id}.${key}`).join(', ')}`;
+        }
+    }
+    for (const gameId of Object.keys(values.games)) {
+        if (Object.keys(values.games[gameId]).length === 0) delete values.games[gameId];
+    }
+    return { values, errors };
+}
+
+/**
+ * Apply validated values to a config in place
+ * @returns {boolean} Whether anything was applied
+ */
+export function applyConfigUpdate(config, values) {
+    let changed = false;
+    for (const [key, value] of Object.entries(values.system || {})) {
+        config.system[key] = value;
+        changed = true;
+    }
+    for (const [gameId, gameValues] of Object.entries(values.games || {})) {
+        if (!config.games[gameId]) config.games[gameId] = {};
+        for (const [key, value] of Object.entries(gameValues)) {
+            config.games[gameId][key] = value;
+            changed = true;
+        }
+    }
+    return changed;
+}
+
+export default {
+    getAllSettingsMetadata,
+    getFactoryDefaults,
+    getConfigValue,
+    mergeConfig,
+    migrateConfig,
+    validateSetting,
+    validateConfigUpdate,
+    applyConfigUpdate
+};
@@ -10,6 +10,10 @@ export const SYSTEM_DEFAULTS = {
     
     // Screen display geometry mode
     screenGeometryMode: 'curved', // 'flat' or 'curved'
+
+    // Curvature of curved screens: a radius in meters, or (radius 0) the arc angle they span
+    screenCurveRadius: 0,
+    screenCurveArcDegrees: 110,
     
     // Debug visualization for hand tracking joints
     handJointsDebugEnabled: false,
@@ -38,6 +42,27 @@ export const SYSTEM_SETTINGS_METADATA = [
         tab: 'system',
         description: 'Display mode for the 2D screen'
     },
+    {
+        key: 'screenCurveRadius',
+        label: 'Curve Radius (m)',
+        type: 'number',
+        default: 0,
+        min: 0,
+        step: 0.1,
+        tab: 'system',
+        description: 'Radius of curved screens in meters, e.g. 1.8 for a 1800R monitor (0 = use the arc angle)'
+    },
+    {
+        key: 'screenCurveArcDegrees',
+        label: 'Curve Arc (degrees)',
+        type: 'number',
+        default: 110,
+        min: 1,
+        max: 180,
+        step: 1,
+        tab: 'system',
+        description: 'Angle a curved screen spans when no radius is set'
+    },
     {
         key: 'handJointsDebugEnabled',
         label: 'Show Hand Joints (Debug)',
@@ -0,0 +1,172 @@
+import * as THREE from 'three';
+import { screenToVirtual } from './screenLayout.js';
+import { getScreenMapping } from './screenMapping.js';
+
+// Touch events from tracked fingertips pressed against the physical screens, so any calibrated
+// monitor works as a touchscreen. Every fingertip is one touch point:
+//   touchstart  the fingertip reaches the screen surface
+//   touchmove   it slides to another canvas pixel while touching
+//   touchend    it lifts off, leaves the screen or stops being tracked
+//
+// A fingertip's distance is measured along the surface normal from the skin (joint center minus
+// joint radius), on the flat plane or the cylinder of a curved screen (see screenMapping.js).
+// Contact needs the tip within TOUCH_START_DISTANCE for TOUCH_START_SECONDS and ends once it has
+// been beyond TOUCH_END_DISTANCE for TOUCH_END_SECONDS, which rides out hand tracking and
+// calibration jitter of about a centimeter. A fingertip further than MAX_PENETRATION behind the
+// surface is reaching around the screen, not touching it. Pressure rises from 0 at the start
+// distance to 1 at FULL_PRESSURE_DEPTH behind it.
+//
+// Event: { type, touchId ('<side>-<finger>'), side, finger, screenId, canvasX, canvasY, virtualX,
+//   virtualY, pressure, distance, touches }, touches being how many fingertips touch after this frame.
+
+export const TOUCH_EVENT_TYPES = ['touchstart', 'touchmove', 'touchend'];
+
+export const TOUCH_START_DISTANCE = 0.01;
+export const TOUCH_END_DISTANCE = 0.02;
+const TOUCH_START_SECONDS = 0.03;
+const TOUCH_END_SECONDS = 0.05;
+const MAX_PENETRATION = 0.05;
+const FULL_PRESSURE_DEPTH = 0.02;
+
+const FINGERS = { thumb: 'thumb-tip', index: 'index-finger-tip', middle: 'middle-finger-tip', ring: 'ring-finger-tip', pinky: 'pinky-finger-tip' };
+
+// Closest screen a fingertip is over, within reach of its surface
+function findContact(position, radius, mappings) {
+    let best = null;
+    for (const mapping of mappings) {
+        const contact = mapping.worldToCanvas(position);
+        if (!contact.onScreen) continue;
+        const gap = contact.distance - radius;
+        if (gap < -MAX_PENETRATION) continue;
+        if (!best || gap < best.distance) best = { mapping, canvasX: contact.canvasX, canvasY: contact.canvasY, distance: gap };
+    }
+    return best;
+}
+
+/**
+ * Turns fingertip positions into debounced touch events
+ * @returns {Object} { update(handState, screens, layout, delta) }
+ */
+export function createTouchTracker() {
+    // Per touchId: { touching, screenId, canvasX, canvasY, ..., startedFor, liftedFor }
+    const points = new Map();
+
+    function makeEvent(type, touchId, point) {
+        return {
+            type,
+            touchId,
+            side: point.side,
+            finger: point.finger,
+            screenId: point.screenId,
+            canvasX: point.canvasX,
+            canvasY: point.canvasY,
+            virtualX: point.virtualX,
+            virtualY: point.virtualY,
+            pressure: point.pressure,
+            distance: point.distance,
+            touches: 0
+        };
+    }
+
+    /**
+     * Call once per frame
+     * @param {Object|null} handState - { left, right } with tracked and joints; null ends every touch at once
+     * @param {Array} screens - Calibrated screen entries
+     * @param {Object} layout - Layout from a SCREEN_LAYOUT message
+     * @param {number} delta - Seconds since the last frame
+     * @returns {Array} Events in order
+     */
+    function update(handState, screens, layout, delta) {
+        const events = [];
+        if (!handState) {
+            endAll(events);
+            return events;
+        }
+        const mappings = (screens || []).map(getScreenMapping).filter(Boolean);
+        for (const side of ['right', 'left']) {
+            const hand = handState[side];
+            for (const [finger, jointName] of Object.entries(FINGERS)) {
+                const touchId = `${side}-${finger}`;
+                const joint = hand && hand.tracked && hand.joints && hand.joints[jointName];
+                const p = joint && joint.position;
+                const contact = Array.isArray(p) && mappings.length > 0
+                    ? findContact(new THREE.Vector3(p[0], p[1], p[2]), joint.radius || 0, mappings)
+                    : null;
+                const point = points.get(touchId) || { side, finger, touching: false, startedFor: 0, liftedFor: 0 };
+                points.set(touchId, point);
+
+                // Sliding onto another screen ends the touch there and starts a new one right away
+                if (point.touching && contact && contact.mapping.screenId !== point.screenId && contact.distance < TOUCH_START_DISTANCE) {
+                    events.push(makeEvent('touchend', touchId, point));
+                    point.touching = false;
+                    point.startedFor = TOUCH_START_SECONDS;
+                }
+
+                if (!point.touching) {
+                    const near = !!contact && contact.distance < TOUCH_START_DISTANCE;
+                    point.startedFor = near ? point.startedFor + delta : 0;
+                    if (!near || point.startedFor < TOUCH_START_SECONDS) continue;
+                    point.touching = true;
+                    point.liftedFor = 0;
+                    Object.assign(point, describeContact(contact, layout));
+                    events.push(makeEvent('touchstart', touchId, point));
+                    continue;
+                }
+
+                const held = !!contact && contact.distance < TOUCH_END_DISTANCE;
+                if (!held) {
+                    // Lifted (or lost): hold still for a moment in case it comes back
+                    point.liftedFor += delta;
+                    if (point.liftedFor < TOUCH_END_SECONDS) continue;
+                    events.push(makeEvent('touchend', touchId, point));
+                    point.touching = false;
+                    point.startedFor = 0;
+                    continue;
+                }
+                point.liftedFor = 0;
+                const previousX = point.canvasX;
+                const previousY = point.canvasY;
+                Object.assign(point, describeContact(contact, layout));
+                if (point.canvasX !== previousX || point.canvasY !== previousY) {
+                    events.push(makeEvent('touchmove', touchId, point));
+                }
+            }
+        }
+        const touches = Array.from(points.values()).filter((point) => point.touching).length;
+        for (const event of events) event.touches = touches;
+        return events;
+    }
+
+    function endAll(events) {
+        for (const [touchId, point] of points) {
+            if (point.touching) events.push(makeEvent('touchend', touchId, point));
+            point.touching = false;
+            point.startedFor = 0;
+        }
+    }
+
+    return { update };
+}
+
+function describeContact(contact, layout) {
+    const { mapping, distance } = contact;
+    const canvasX = Math.round(contact.canvasX);
+    const canvasY = Math.round(contact.canvasY);
+    const virtual = layout ? screenToVirtual(layout, mapping.screenId, canvasX, canvasY) : null;
+    return {
+        screenId: mapping.screenId,
+        canvasX,
+        canvasY,
+        virtualX: virtual ? Math.round(virtual.x) : null,
+        virtualY: virtual ? Math.round(virtual.y) : null,
+        pressure: THREE.MathUtils.clamp((TOUCH_START_DISTANCE - distance) / (TOUCH_START_DISTANCE + FULL_PRESSURE_DEPTH), 0, 1),
+        distance
+    };
+}
+
+export default {
+    TOUCH_EVENT_TYPES,
+    TOUCH_START_DISTANCE,
+    TOUCH_END_DISTANCE,
+    createTouchTracker
+};
@@ -6,8 +6,20 @@ import { Text } from 'troika-three-text';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import * as gameAPI from './gameAPI.js';
 import { DEFAULT_GAME_ID } from './games/index.js';
+import { DEFAULT_SCREEN_ID, EMPTY_SCREEN_LAYOUT } from './screenLayout.js';
+import { buildScreenMeta, buildScreensContext, computeScreenState, raycastScreens } from './screenState.js';
+import { CORNER_ORDER, fitScreenRect } from './screenFit.js';
+import { createAnchorStore, isFloorSpace, useBestReferenceSpace } from './xrSpaces.js';
+import { createScreenGeometry, getCurveArcAngle } from './screenGeometry.js';
+import { getTestPoints, summarizeAccuracyTest, describeAccuracyTest } from './accuracyTest.js';
+import { createVRMenu } from './vrMenu.js';
+import { createHandRays, PINCH_START_DISTANCE, PINCH_END_DISTANCE } from './handRay.js';
+import { createPointerTracker, getPrimaryButtons } from './pointerEvents.js';
+import { createTouchTracker } from './touchEvents.js';
+import { getScreenMapping } from './screenMapping.js';
 
 let configScreenMode = 'curved';
+let configScreenCurve = { radius: 0, arcDegrees: 110 };
 let configHandJointsDebugEnabled = false;
 let configActiveGameId = DEFAULT_GAME_ID;
 let lastGameVRContext = null;
@@ -16,9 +28,14 @@ function getActiveScreenMode() {
     return configScreenMode;
 }
 
-function setScreenRectOpacity(opacity) {
-    if (!screenRect) return;
-    screenRect.traverse((node) => {
+// Arc angle the active screen's mesh should have (0 when flat), see screenGeometry.js
+function getScreenArcAngle() {
+    return getActiveScreenMode() === 'flat' ? 0 : getCurveArcAngle(rectXDistance, configScreenCurve);
+}
+
+function setScreenRectOpacity(rect, opacity) {
+    if (!rect) return;
+    rect.traverse((node) => {
         if (!node.isMesh || !node.material) return;
         const mats = Array.isArray(node.material) ? node.material : [node.material];
         mats.forEach((m) => {
@@ -33,24 +50,25 @@ function setScreenRectOpacity(opacity) {
 // Redirect to desktop if XR not supported
 if (navigator.xr) {
     navigator.xr.isSessionSupported('immersive-ar').then(supported => {
-        if (!supported) window.location.href = '/desktop';
+        if (!supported) window.location.href = '/desktop' + window.location.search;
     });
 } else {
-    window.location.href = '/desktop';
+    window.location.href = '/desktop' + window.location.search;
 }
 
-cm.handleEvent('CONFIG_UPDATE', (message) => {
+cm.on('CONFIG_UPDATE', (message) => {
     if (!message) return;
 
     // Update all settings in gameAPI
     gameAPI.updateSettings(message);
+    const system = message.system || {};
 
     // Handle active game change
-    if (typeof message.activeGameId === 'string') {
-        const nextId = message.activeGameId;
+    if (typeof system.activeGameId === 'string') {
+        const nextId = system.activeGameId;
         if (nextId && nextId !== configActiveGameId) {
             configActiveGameId = nextId;
-            gameAPI.setActiveGame(nextId, { vrContext: lastGameVRContext, settings: gameAPI.getCurrentSettings() });
+            gameAPI.setActiveGame(nextId, { vrContext: lastGameVRContext });
             if (gameStartedVR && lastGameVRContext) {
                 try { void gameAPI.startVR(lastGameVRContext); } catch (e) { console.error('game startVR error', e); }
             }
@@ -58,26 +76,34 @@ cm.handleEvent('CONFIG_UPDATE', (message) => {
     }
 
     // Handle screen geometry mode change
-    if (typeof message.screenGeometryMode === 'string') {
-        const next = String(message.screenGeometryMode).toLowerCase();
+    if (typeof system.screenGeometryMode === 'string') {
+        const next = String(system.screenGeometryMode).toLowerCase();
         if (next === 'flat' || next === 'curved') {
             const prev = configScreenMode;
             configScreenMode = next;
             if (prev !== next) {
-                // Rebuild screenRect on mode change.
-                if (screenRect && screenRect.parent) screenRect.parent.remove(screenRect);
-                screenRect = null;
-                cachedMeshDimensions = null;
-                widgetsSpawned = false;
-                if (sceneVar && calibrated) addScreenRect(sceneVar);
+                // Rebuild every screenRect on mode change.
+                rebuildScreenRects();
             }
         }
     }
 
+    // Handle curvature change
+    const nextCurve = {
+        radius: typeof system.screenCurveRadius === 'number' ? system.screenCurveRadius : configScreenCurve.radius,
+        arcDegrees: typeof system.screenCurveArcDegrees === 'number' ? system.screenCurveArcDegrees : configScreenCurve.arcDegrees
+    };
+    if (nextCurve.radius !== configScreenCurve.radius || nextCurve.arcDegrees !== configScreenCurve.arcDegrees) {
+        configScreenCurve = nextCurve;
+        if (configScreenMode === 'curved') rebuildScreenRects();
+    }
+
     // Handle hand joints debug setting
-    if (typeof message.handJointsDebugEnabled === 'boolean') {
-        configHandJointsDebugEnabled = message.handJointsDebugEnabled;
+    if (typeof system.handJointsDebugEnabled === 'boolean') {
+        configHandJointsDebugEnabled = system.handJointsDebugEnabled;
     }
+
+    if (vrMenu) vrMenu.refresh();
 });
 
 // ---------- Scene & state ----------
@@ -89,8 +115,6 @@ let handDebugGroup = null;
 let handDebugMeshes = new Map();
 let statusDisplay;
 
-let lastScreenRectOverlayEnabled = null;
-
 const EYE_HEIGHT = 1.6;
 
 // Calibration / rect state
@@ -99,17 +123,26 @@ let screenHeight = null;
 let aspectRatio = null;
 let topLeftCorner = [-0.5, 1.6, -2.0];
 let bottomRightCorner = [1.0, 0.8, -2.0];
+let screenQuaternion = [0, 0, 0, 1]; // Screen orientation, see "Screen pose" below
 let rectXDistance = null;
 let rectYDistance = null;
 let calibrated = false;
-let fineTuneMode = true;
-let selectedCorner = 'topLeft';
-let cornerDistance = 2.0;
+let fineTuneMode = true; // Thumbstick nudging and undo are on while calibrating (see "Fine adjustment")
 let gameStartedVR = false;
 let hasTriedLoadingCalibration = false;
 
+// Multi-screen state: every registered SCREEN gets its own calibration entry keyed by screenId.
+// The calibration variables above always describe the active screen (the one the widgets edit);
+// activateScreen() stashes them into its entry and loads another screen's values.
+const screens = new Map();
+let activeScreenId = null;
+let screenLayout = EMPTY_SCREEN_LAYOUT;
+
 // Latest per-frame screen intersection state (populated each frame)
 let latestScreenState = { right: { onScreen: false }, left: { onScreen: false } };
+const handAim = createHandRays(); // Aim rays of tracked hands, which point at screens in place of their controllers
+const pointerTracker = createPointerTracker(); // Pointer events from latestScreenState (pointerEvents.js)
+const touchTracker = createTouchTracker(); // Fingertips touching the physical screens (touchEvents.js)
 // Latest screen metadata snapshot
 let latestScreenMeta = { screenWidth: null, screenHeight: null, topLeftCorner: [...topLeftCorner], bottomRightCorner: [...bottomRightCorner], rectXDistance: null, rectYDistance: null };
 
@@ -122,8 +155,7 @@ let loader = null;
 let widgetGroup = null;
 let readyButton = null;
 let widgetTemplates = { scaleCube: null };
-let curvedScreenTemplate = null;
-let cachedMeshDimensions = null; // Cache original mesh dimensions to avoid recalculating bbox
+let screenRectArc = null; // Arc angle the active screenRect's geometry was built with
 let widgetsSpawned = false;
 let grabbedWidget = null;
 let grabState = null;
@@ -132,6 +164,40 @@ let hoveredWidgetHit = null;
 let moveHandle = null;
 let rotateHandleLeft = null;
 let rotateHandleRight = null;
+let pitchHandle = null;
+let rollHandle = null;
+let touchButton = null;
+
+// Touch calibration state (see "Touch calibration" below)
+let touchCalibration = null; // { touched: { [corner]: THREE.Vector3 }, nextCorner, confirming: { left, right }, cursors }
+let touchMarkers = null;
+
+// Accuracy check run by Ready (see "Calibration guide, check and commit" below)
+let calibrationCheck = null; // { target: { canvasX, canvasY }, label }
+let lastGuideKey = null; // Guide state last sent to the screen, null while no guide is showing
+let lastGuidePointer = null;
+let lastGuidePointerAt = 0;
+const pendingGuideEnds = new Map(); // screenId -> CALIBRATION_GUIDE end not sent while reconnecting
+let pendingTestResult = null; // ACCURACY_TEST_RESULT not sent while reconnecting
+const pendingCommits = new Map(); // screenId -> CALIBRATION_COMMIT not sent while reconnecting
+
+// Fine adjustment (see "Fine adjustment" below)
+const nudgeRepeat = new Map(); // 'side:axis' -> { direction, heldFor, nextAt }
+let lastNudgeAt = 0;
+let undoStack = []; // Pose snapshots { screenId, topLeftCorner, bottomRightCorner, screenQuaternion }
+
+// Accuracy test on a calibrated screen (see "Accuracy test" below)
+let accuracyTest = null; // { screenId, points, samples, touching: { left, right }, label }
+
+// In-headset menu (see "Menu" below)
+let vrMenu = null;
+const menuPinching = { left: false, right: false };
+const palmUpSince = { left: 0, right: 0 }; // Seconds each palm has been up, null once it has toggled the menu
+
+// Reference space and anchors (see "Reference space & anchors" below)
+let referenceSpaceType = 'local';
+let referenceSpaceReady = false; // Anchor poses wait until the session has settled on its space
+const screenAnchors = createAnchorStore();
 
 // ---------- Utilities ----------
 function applyColorToMesh(object, hexColor) {
@@ -158,12 +224,211 @@ function restoreColorFromUserData(object) {
     });
 }
 
-function rotatePointAroundY(point, center, angle) {
-    const p = point.clone().sub(center);
-    const cos = Math.cos(angle), sin = Math.sin(angle);
-    const x = p.x * cos - p.z * sin;
-    const z = p.x * sin + p.z * cos;
-    return new THREE.Vector3(x, p.y, z).add(center);
+// ---------- Multi-screen helpers ----------
+function createScreenEntry(screenId) {
+    return {
+        screenId,
+        screenWidth: null,
+        screenHeight: null,
+        aspectRatio: null,
+        topLeftCorner: [-0.5, 1.6, -2.0],
+        bottomRightCorner: [1.0, 0.8, -2.0],
+        screenQuaternion: [0, 0, 0, 1],
+        rectXDistance: null,
+        rectYDistance: null,
+        calibrated: false,
+        screenRect: null,
+        screenRectArc: null,
+        mappingCache: null, // See getScreenMapping
+        hasTriedLoadingCalibration: false,
+        ghostRect: null,
+        ghostVisible: null,
+        anchorSeeded: false
+    };
+}
+
+function stashActiveScreen() {
+    const entry = activeScreenId !== null ? screens.get(activeScreenId) : null;
+    if (!entry) return;
+    Object.assign(entry, {
+        screenWidth, screenHeight, aspectRatio,
+        topLeftCorner, bottomRightCorner, screenQuaternion, rectXDistance, rectYDistance,
+        calibrated, screenRect, screenRectArc, hasTriedLoadingCalibration
+    });
+}
+
+function resetActiveScreenGlobals() {
+    screenWidth = null;
+    screenHeight = null;
+    aspectRatio = null;
+    topLeftCorner = [-0.5, 1.6, -2.0];
+    bottomRightCorner = [1.0, 0.8, -2.0];
+    screenQuaternion = [0, 0, 0, 1];
+    rectXDistance = null;
+    rectYDistance = null;
+    calibrated = false;
+    fineTuneMode = true;
+    screenRect = null;
+    screenRectArc = null;
+    hasTriedLoadingCalibration = false;
+}
+
+function activateScreen(screenId) {
+    stashActiveScreen();
+    const entry = screens.get(screenId);
+    if (!entry) {
+        activeScreenId = null;
+        resetActiveScreenGlobals();
+        return;
+    }
+    activeScreenId = screenId;
+    ({
+        screenWidth, screenHeight, aspectRatio,
+        topLeftCorner, bottomRightCorner, screenQuaternion, rectXDistance, rectYDistance,
+        calibrated, screenRect, screenRectArc, hasTriedLoadingCalibration
+    } = entry);
+}
+
+// Run fn with another screen temporarily active (e.g. to rebuild its rect), then restore.
+function withScreen(screenId, fn) {
+    const prev = activeScreenId;
+    if (prev === screenId) return fn();
+    activateScreen(screenId);
+    try {
+        return fn();
+    } finally {
+        activateScreen(prev);
+    }
+}
+
+// Calibrated screens in layout order (left to right)
+function getCalibratedScreens() {
+    stashActiveScreen();
+    const order = (id) => {
+        const i = screenLayout.screens.findIndex((s) => s.screenId === id);
+        return i === -1 ? Infinity : i;
+    };
+    return Array.from(screens.values())
+        .filter((e) => e.calibrated && e.screenRect && e.screenWidth && e.screenHeight)
+        .sort((a, b) => order(a.screenId) - order(b.screenId));
+}
+
+// Move the calibration widgets to the next screen that still needs calibrating.
+function beginNextScreenCalibration() {
+    stashActiveScreen();
+    for (const entry of screens.values()) {
+        if (entry.calibrated || !entry.screenWidth || !entry.screenHeight) continue;
+        activateScreen(entry.screenId);
+        fineTuneMode = true;
+        widgetsSpawned = false;
+        handleCalibration({ screenId: entry.screenId, screenWidth: entry.screenWidth, screenHeight: entry.screenHeight, profile: entry.profile });
+        return true;
+    }
+    return false;
+}
+
+function rebuildScreenRects() {
+    stashActiveScreen();
+    for (const entry of screens.values()) {
+        if (entry.screenRect && entry.screenRect.parent) entry.screenRect.parent.remove(entry.screenRect);
+        entry.screenRect = null;
+        entry.screenRectArc = null;
+    }
+    screenRect = null;
+    screenRectArc = null;
+    widgetsSpawned = false;
+    if (!sceneVar) return;
+    for (const entry of screens.values()) {
+        if (entry.calibrated) withScreen(entry.screenId, () => addScreenRect(sceneVar));
+    }
+}
+
+// ---------- Screen pose ----------
+// A screen is its two corners plus screenQuaternion, the rotation of the flat rectangle:
+// local +X runs along the top edge (left to right), +Y up the screen and +Z out of its front.
+// rectXDistance/rectYDistance are the width/height measured along those axes, so a screen can be
+// yawed, tilted back or rolled. Calibrations saved before the quaternion existed were yaw-only
+// and get one from their corners.
+const WORLD_UP = new THREE.Vector3(0, 1, 0);
+
+function toVector3(array) {
+    return new THREE.Vector3(array[0], array[1], array[2]);
+}
+
+function getScreenQuaternion() {
+    return new THREE.Quaternion().fromArray(screenQuaternion);
+}
+
+function getScreenCenter() {
+    return toVector3(topLeftCorner).add(toVector3(bottomRightCorner)).multiplyScalar(0.5);
+}
+
+function getScreenAxes(quaternion = getScreenQuaternion()) {
+    return {
+        right: new THREE.Vector3(1, 0, 0).applyQuaternion(quaternion),
+        up: new THREE.Vector3(0, 1, 0).applyQuaternion(quaternion),
+        normal: new THREE.Vector3(0, 0, 1).applyQuaternion(quaternion)
+    };
+}
+
+// Yaw-only orientation of an upright screen with these corners
+function quaternionFromCorners(tl, br) {
+    const angle = Math.atan2(br[2] - tl[2], br[0] - tl[0]);
+    return new THREE.Quaternion().setFromAxisAngle(WORLD_UP, -angle).toArray();
+}
+
+// Width and height of the rect from its corners, measured along the screen's own axes
+function updateRectSizeFromCorners() {
+    const { right, up } = getScreenAxes();
+    const diagonal = toVector3(bottomRightCorner).sub(toVector3(topLeftCorner));
+    rectXDistance = diagonal.dot(right);
+    rectYDistance = -diagonal.dot(up);
+}
+
+// Place the corners from a center, orientation and size
+function setScreenPose(center, quaternion, width, height) {
+    screenQuaternion = quaternion.toArray();
+    const { right, up } = getScreenAxes(quaternion);
+    const halfDiagonal = right.multiplyScalar(width / 2).add(up.multiplyScalar(-height / 2));
+    topLeftCorner = center.clone().sub(halfDiagonal).toArray();
+    bottomRightCorner = center.clone().add(halfDiagonal).toArray();
+    rectXDistance = width;
+    rectYDistance = height;
+}
+
+// Real screens are almost always upright and level: within SNAP_VERTICAL_RADIANS of that, make it
+// exact. The screen's orientation is yaw, then pitch about its top edge, then roll (Euler 'YXZ').
+const SNAP_VERTICAL_RADIANS = THREE.MathUtils.degToRad(2);
+
+function snapToVertical() {
+    const euler = new THREE.Euler().setFromQuaternion(getScreenQuaternion(), 'YXZ');
+    let snapped = false;
+    if (euler.x !== 0 && Math.abs(euler.x) < SNAP_VERTICAL_RADIANS) { euler.x = 0; snapped = true; }
+    if (euler.z !== 0 && Math.abs(euler.z) < SNAP_VERTICAL_RADIANS) { euler.z = 0; snapped = true; }
+    if (!snapped) return false;
+    setScreenPose(getScreenCenter(), new THREE.Quaternion().setFromEuler(euler), rectXDistance, rectYDistance);
+    return true;
+}
+
+// Rotation widgets: yaw turns the screen about the vertical, pitch tilts it about its top edge
+// direction and roll spins it about its normal. Angles are measured in the plane (refA, refB),
+// with refA x refB = axis so a positive angle is a positive rotation about the axis.
+const ROTATE_WIDGET_TYPES = ['rotateY', 'rotateX', 'rotateZ'];
+
+function getRotationBasis(type, quaternion) {
+    const { right, up, normal } = getScreenAxes(quaternion);
+    if (type === 'rotateX') return { axis: right, refA: up, refB: normal };
+    if (type === 'rotateZ') return { axis: normal, refA: right, refB: up };
+    return { axis: WORLD_UP.clone(), refA: new THREE.Vector3(0, 0, 1), refB: new THREE.Vector3(1, 0, 0) };
+}
+
+function angleAroundAxis(point, center, basis) {
+    const rel = point.clone().sub(center);
+    return Math.atan2(rel.dot(basis.refB), rel.dot(basis.refA));
+}
+
+function rotatePointAroundCenter(point, center, quaternion) {
+    return point.clone().sub(center).applyQuaternion(quaternion).add(center);
 }
 
 // ---------- Widgets ----------
@@ -171,7 +436,6 @@ function loadWidgetTemplates() {
     if (!loader) loader = new GLTFLoader();
     const basePath = '/assets/';
     loader.load(basePath + 'scale_cube.glb', (gltf) => { widgetTemplates.scaleCube = gltf.scene.clone(); }, undefined, () => {});
-    loader.load(basePath + 'led_wall.glb', (gltf) => { curvedScreenTemplate = gltf.scene.clone(); }, undefined, (error) => { console.error('Failed to load led_wall.glb:', error); });
 }
 
 function highlightWidget(widget) {
@@ -193,6 +457,27 @@ function clearHighlight(widget) {
     });
 }
 
+// Flat labelled button; clicked with the ray and trigger like the other widgets
+function createButtonWidget(type, label, color, width) {
+    const button = new THREE.Group();
+    button.userData.type = type;
+    button.frustumCulled = false;
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(width, 0.10, 0.04), new THREE.MeshBasicMaterial({ color }));
+    mesh.frustumCulled = false;
+    button.add(mesh);
+    const text = new Text();
+    text.text = label;
+    text.anchorX = 'center';
+    text.anchorY = 'middle';
+    text.fontSize = 0.055;
+    text.color = 0xffffff;
+    text.frustumCulled = false;
+    text.position.set(0, 0, 0.03);
+    text.sync();
+    button.add(text);
+    return button;
+}
+
 function spawnWidgets(scene) {
     if (!widgetGroup || widgetsSpawned) return;
     widgetsSpawned = true;
@@ -226,27 +511,15 @@ function spawnWidgets(scene) {
     applyColorToMesh(moveHandle, 0x0066ff);
     widgetGroup.add(moveHandle);
 
-    readyButton = new THREE.Group();
-    readyButton.userData.type = 'ready';
-    readyButton.frustumCulled = false;
-    const readyGeom = new THREE.BoxGeometry(0.28, 0.10, 0.04);
-    const readyMat = new THREE.MeshBasicMaterial({ color: 0x00aa00 });
-    const readyMesh = new THREE.Mesh(readyGeom, readyMat);
-    readyMesh.frustumCulled = false;
-    readyButton.add(readyMesh);
-    const readyText = new Text();
-    readyText.text = 'Ready?';
-    readyText.anchorX = 'center';
-    readyText.anchorY = 'middle';
-    readyText.fontSize = 0.055;
-    readyText.color = 0xffffff;
-    readyText.frustumCulled = false;
-    readyText.position.set(0, 0, 0.03);
-    readyText.sync();
-    readyButton.add(readyText);
+    readyButton = createButtonWidget('ready', 'Ready?', 0x00aa00, 0.28);
     readyButton.position.copy(center);
     widgetGroup.add(readyButton);
 
+    // Switches to touching the physical corners instead of dragging widgets
+    touchButton = createButtonWidget('touch', 'Touch corners', 0x7744cc, 0.44);
+    touchButton.position.copy(center);
+    widgetGroup.add(touchButton);
+
     const rotateBarGeometry = new THREE.BoxGeometry(0.06, 0.26, 0.06);
     const rotateBarMaterial = new THREE.MeshBasicMaterial({ color: 0xffff00 });
     rotateHandleLeft = new THREE.Mesh(rotateBarGeometry, rotateBarMaterial);
@@ -263,6 +536,21 @@ function spawnWidgets(scene) {
     applyColorToMesh(rotateHandleRight, 0xffff00);
     widgetGroup.add(rotateHandleRight);
 
+    // Tilt (pitch) bar above the top edge, roll knob off the top-right corner
+    const pitchBarGeometry = new THREE.BoxGeometry(0.26, 0.06, 0.06);
+    pitchHandle = new THREE.Mesh(pitchBarGeometry, new THREE.MeshBasicMaterial({ color: 0x00ffff }));
+    pitchHandle.scale.setScalar(baseScale * 5);
+    pitchHandle.userData.type = 'rotateX';
+    applyColorToMesh(pitchHandle, 0x00ffff);
+    widgetGroup.add(pitchHandle);
+
+    rollHandle = new THREE.Mesh(new THREE.SphereGeometry(0.05, 16, 12), new THREE.MeshBasicMaterial({ color: 0xff00ff }));
+    rollHandle.scale.setScalar(baseScale * 5);
+    rollHandle.userData.type = 'rotateZ';
+    applyColorToMesh(rollHandle, 0xff00ff);
+    widgetGroup.add(rollHandle);
+
+    if (touchCalibration) setAdjustWidgetsVisible(false);
     widgetGroup.visible = true;
 }
 
@@ -273,9 +561,10 @@ function updateWidgetPositions() {
     screenRect.getWorldQuaternion(screenQ);
     
     // Use the actual corner coordinates (not bbox which changes with rotation)
-    const tl = new THREE.Vector3(topLeftCorner[0], topLeftCorner[1], topLeftCorner[2]);
-    const br = new THREE.Vector3(bottomRightCorner[0], bottomRightCorner[1], bottomRightCorner[2]);
+    const tl = toVector3(topLeftCorner);
+    const br = toVector3(bottomRightCorner);
     const center = tl.clone().add(br).multiplyScalar(0.5);
+    const { right: screenRight, up: screenUp } = getScreenAxes();
     
     widgetGroup.children.forEach((child) => {
         if (child.userData && child.userData.type === 'scale') {
@@ -314,8 +603,8 @@ function updateWidgetPositions() {
 
     if (readyButton && rectYDistance !== null) {
         const worldPos = center.clone();
-        // Offset scales with the current calibrated screen size
-        worldPos.y -= rectYDistance * 0.6;
+        // Below the bottom edge (along the screen's own up axis); offset scales with the screen size
+        worldPos.add(screenUp.clone().multiplyScalar(-rectYDistance * 0.6));
         if (screenRect) {
             const normal = new THREE.Vector3(0, 0, 1).applyQuaternion(screenQ).normalize();
             const normalOffset = (typeof rectXDistance === 'number' && rectXDistance) ? (0.03 * (rectXDistance / 1.0)) : 0.03;
@@ -326,14 +615,17 @@ function updateWidgetPositions() {
         readyButton.position.copy(localPos);
 
         readyButton.quaternion.copy(screenQ);
+
+        if (touchButton) {
+            const touchPos = worldPos.clone().add(screenRight.clone().multiplyScalar(0.4));
+            widgetGroup.worldToLocal(touchPos);
+            touchButton.position.copy(touchPos);
+            touchButton.quaternion.copy(screenQ);
+        }
     }
 
     if ((rotateHandleLeft || rotateHandleRight) && rectXDistance !== null) {
-        const dx = bottomRightCorner[0] - topLeftCorner[0];
-        const dz = bottomRightCorner[2] - topLeftCorner[2];
-        const screenXDir = new THREE.Vector3(dx, 0, dz);
-        if (screenXDir.lengthSq() > 1e-8) screenXDir.normalize();
-
+        const screenXDir = screenRight;
         const normal = new THREE.Vector3(0, 0, 1).applyQuaternion(screenQ).normalize();
 
         const margin = 0.04;
@@ -358,6 +650,742 @@ function updateWidgetPositions() {
             rotateHandleRight.quaternion.copy(screenQ);
         }
     }
+
+    if ((pitchHandle || rollHandle) && rectXDistance !== null && rectYDistance !== null) {
+        const normal = new THREE.Vector3(0, 0, 1).applyQuaternion(screenQ).normalize();
+        const margin = 0.06;
+        const yOffset = (rectYDistance / 2) + margin;
+        const placeHandle = (handle, worldPos) => {
+            const localPos = worldPos.add(normal.clone().multiplyScalar(0.02));
+            widgetGroup.worldToLocal(localPos);
+            handle.position.copy(localPos);
+            handle.quaternion.copy(screenQ);
+        };
+        if (pitchHandle) {
+            placeHandle(pitchHandle, center.clone().add(screenUp.clone().multiplyScalar(yOffset)));
+        }
+        if (rollHandle) {
+            placeHandle(rollHandle, center.clone()
+                .add(screenRight.clone().multiplyScalar((rectXDistance / 2) + margin))
+                .add(screenUp.clone().multiplyScalar(yOffset)));
+        }
+    }
+}
+
+// ---------- Touch calibration ----------
+// Instead of dragging widgets, touch each physical screen corner with an index fingertip and pinch,
+// or with the controller tip and pull the trigger. The screen lights up the corner expected next
+// (CALIBRATION_GUIDE) and the rectangle is fitted once three corners are in; the fourth refines it.
+// Pinches use the same thresholds as the hand rays (handRay.js).
+
+// Move/scale/rotate widgets; the buttons stay visible in both modes
+function setAdjustWidgetsVisible(visible) {
+    if (!widgetGroup) return;
+    widgetGroup.children.forEach((child) => {
+        const type = child.userData && child.userData.type;
+        if (type !== 'ready' && type !== 'touch') child.visible = visible;
+    });
+}
+
+function startTouchCalibration() {
+    if (!sceneVar) return;
+    touchMarkers = new THREE.Group();
+    sceneVar.add(touchMarkers);
+    const cursors = {};
+    for (const side of ['left', 'right']) {
+        cursors[side] = new THREE.Mesh(new THREE.SphereGeometry(0.008, 12, 8), new THREE.MeshBasicMaterial({ color: 0xffffff }));
+        cursors[side].visible = false;
+        touchMarkers.add(cursors[side]);
+    }
+    pushCalibrationUndo();
+    // Start as confirming so the trigger that clicked the button (or a held pinch) must be released first
+    touchCalibration = { touched: {}, nextCorner: CORNER_ORDER[0], confirming: { left: true, right: true }, cursors };
+    setAdjustWidgetsVisible(false);
+}
+
+function endTouchCalibration() {
+    if (!touchCalibration) return;
+    touchCalibration = null;
+    if (touchMarkers && touchMarkers.parent) touchMarkers.parent.remove(touchMarkers);
+    touchMarkers = null;
+    setAdjustWidgetsVisible(true);
+}
+
+// Fingertip (preferred when the hand is tracked) or controller tip for one side,
+// with whether it is confirming: pinching, or holding the trigger
+function getTouchProbe(side, controllers, handState) {
+    const hand = handState && handState[side];
+    const indexTip = hand && hand.tracked && hand.joints['index-finger-tip'];
+    const thumbTip = hand && hand.tracked && hand.joints['thumb-tip'];
+    if (indexTip && thumbTip) {
+        const position = toVector3(indexTip.position);
+        const pinchDistance = position.distanceTo(toVector3(thumbTip.position));
+        // Hysteresis so a pinch held near the threshold does not record twice
+        const threshold = touchCalibration.confirming[side] ? PINCH_END_DISTANCE : PINCH_START_DISTANCE;
+        return { position, confirming: pinchDistance < threshold };
+    }
+    const controller = controllers[side];
+    if (controller && controller.gamepad && controller.raySpace) {
+        // The right trigger also clicks the Ready/Touch buttons; the button wins while the ray is on one
+        const onButton = side === 'right' && !!hoveredWidget;
+        return { position: controller.raySpace.position.clone(), confirming: !onButton && controller.gamepad.getButton(XR_BUTTONS.TRIGGER) };
+    }
+    return null;
+}
+
+function updateTouchCalibration(controllers, handState) {
+    for (const side of ['right', 'left']) {
+        if (!touchCalibration) return;
+        const probe = getTouchProbe(side, controllers, handState);
+        const cursor = touchCalibration.cursors[side];
+        cursor.visible = !!probe;
+        if (probe) cursor.position.copy(probe.position);
+
+        const confirming = !!(probe && probe.confirming);
+        const started = confirming && !touchCalibration.confirming[side];
+        touchCalibration.confirming[side] = confirming;
+        if (started) recordTouchedCorner(probe.position);
+    }
+}
+
+function recordTouchedCorner(position) {
+    const { touched } = touchCalibration;
+    touched[touchCalibration.nextCorner] = position;
+    const marker = new THREE.Mesh(new THREE.SphereGeometry(0.012, 12, 8), new THREE.MeshBasicMaterial({ color: 0x00ff66 }));
+    marker.position.copy(position);
+    touchMarkers.add(marker);
+    touchCalibration.nextCorner = CORNER_ORDER.find((corner) => !touched[corner]) || null;
+
+    const fit = fitScreenRect(touched, aspectRatio);
+    if (fit) {
+        setScreenPose(fit.center, fit.quaternion, fit.width, fit.height);
+        snapToVertical();
+        addScreenRect(sceneVar);
+        console.log(`Touch calibration: fitted ${Object.keys(touched).length} corners, RMS error ${(fit.error * 1000).toFixed(1)} mm`);
+    }
+    // All four in: back to the widgets for any fine-tuning, then Ready
+    if (!touchCalibration.nextCorner) endTouchCalibration();
+}
+
+// ---------- Calibration guide, check and commit ----------
+// While a screen is being calibrated the headset streams CALIBRATION_GUIDE messages to it:
+// the stage, touch progress and where the right controller ray meets the ghost plane, so the
+// screen can draw a crosshair at that spot and any misalignment shows against the real pixels.
+// Ready first runs an accuracy check: the screen shows a target, the user aims at the real one
+// and pulls the trigger, and the miss distance in canvas pixels goes out with CALIBRATION_COMMIT.
+const GUIDE_POINTER_INTERVAL_MS = 50;
+const CHECK_TARGET = [0.3, 0.35]; // Off-center so rotation and scale errors show up too
+
+// Canvas position where a ray meets the active screen's ghost plane, or null when it misses
+function getCalibrationPointer(raySpace) {
+    if (!screenRect || !screenWidth || !screenHeight) return null;
+    const direction = new THREE.Vector3(0, 0, -1).applyQuaternion(raySpace.quaternion).normalize();
+    const entry = { screenId: activeScreenId, screenRect, screenWidth, screenHeight };
+    const hit = raycastScreens(raySpace.position, direction, [entry], screenLayout);
+    return hit.onScreen ? { canvasX: Math.round(hit.canvasX), canvasY: Math.round(hit.canvasY) } : null;
+}
+
+// Send the guide when its state changed, and pointer moves at most every GUIDE_POINTER_INTERVAL_MS
+function updateCalibrationGuide(pointer) {
+    const stage = calibrationCheck ? 'check' : (touchCalibration ? 'touch' : 'adjust');
+    const guide = {
+        screenId: activeScreenId,
+        active: true,
+        stage,
+        corner: touchCalibration ? touchCalibration.nextCorner : null,
+        touched: touchCalibration ? Object.keys(touchCalibration.touched) : [],
+        target: calibrationCheck ? calibrationCheck.target : null
+    };
+    // No crosshair during the check, it would let the user correct their aim
+    const shownPointer = stage === 'check' ? null : pointer;
+    const key = JSON.stringify(guide);
+    const now = performance.now();
+    const pointerMoved = JSON.stringify(shownPointer) !== JSON.stringify(lastGuidePointer);
+    if (key === lastGuideKey && !(pointerMoved && now - lastGuidePointerAt >= GUIDE_POINTER_INTERVAL_MS)) return;
+    // While reconnecting nothing is recorded as sent, so the next frame tries again
+    if (!sendCalibrationGuide({ ...guide, pointer: shownPointer })) return;
+    lastGuideKey = key;
+    lastGuidePointer = shownPointer;
+    lastGuidePointerAt = now;
+}
+
+function endCalibrationGuide(result = null) {
+    if (lastGuideKey === null && !result) return;
+    lastGuideKey = null;
+    lastGuidePointer = null;
+    sendCalibrationGuide({ screenId: activeScreenId, active: false, result });
+}
+
+// Guide updates supersede a pending end for their screen; an end (which may carry the check or
+// test result) that could not be sent waits for RECONNECTED, as do calibration commits and
+// accuracy test results
+function sendCalibrationGuide(message) {
+    if (!cm.sendIfRegistered({ type: 'CALIBRATION_GUIDE', message })) {
+        if (!message.active) pendingGuideEnds.set(message.screenId, message);
+        return false;
+    }
+    pendingGuideEnds.delete(message.screenId);
+    return true;
+}
+
+function flushPendingCalibrationMessages() {
+    for (const message of Array.from(pendingCommits.values())) sendCalibrationCommit(message);
+    for (const message of Array.from(pendingGuideEnds.values())) sendCalibrationGuide(message);
+    if (pendingTestResult && cm.sendIfRegistered(pendingTestResult)) pendingTestResult = null;
+}
+
+function startCalibrationCheck() {
+    calibrationCheck = {
+        target: { canvasX: Math.round(screenWidth * CHECK_TARGET[0]), canvasY: Math.round(screenHeight * CHECK_TARGET[1]) },
+        label: null
+    };
+    if (hoveredWidget) { clearHighlight(hoveredWidget); hoveredWidget = null; }
+    if (widgetGroup) widgetGroup.visible = false;
+    if (sceneVar && readyButton) {
+        const label = createInstructionLabel('Aim at the target on the screen and pull the trigger\n(B to skip)');
+        readyButton.getWorldPosition(label.position);
+        readyButton.getWorldQuaternion(label.quaternion);
+        sceneVar.add(label);
+        calibrationCheck.label = label;
+    }
+}
+
+// Floating instructions in the headset; the caller places it and adds it to the scene
+function createInstructionLabel(text) {
+    const label = new Text();
+    label.text = text;
+    label.anchorX = 'center';
+    label.anchorY = 'middle';
+    label.textAlign = 'center';
+    label.fontSize = 0.04;
+    label.color = 0xffffff;
+    label.sync();
+    return label;
+}
+
+function removeInstructionLabel(label) {
+    if (!label) return;
+    if (label.parent) label.parent.remove(label);
+    label.dispose();
+}
+
+function endCalibrationCheck() {
+    if (!calibrationCheck) return;
+    removeInstructionLabel(calibrationCheck.label);
+    calibrationCheck = null;
+}
+
+// Miss distance between the shown target and where the ray meets the calibrated plane
+function measureCalibrationCheck(raySpace) {
+    const { target } = calibrationCheck;
+    const hit = getCalibrationPointer(raySpace);
+    if (!hit) return { errorPx: null, target, hit: null };
+    const errorPx = Math.hypot(hit.canvasX - target.canvasX, hit.canvasY - target.canvasY);
+    return { errorPx: Math.round(errorPx * 10) / 10, target, hit };
+}
+
+// Abandon touch mode, the check and the guide, e.g. when the active screen goes away
+function stopCalibrationInteraction() {
+    endTouchCalibration();
+    endCalibrationCheck();
+    endCalibrationGuide();
+}
+
+// The latest commit of a screen is kept until it got through, see sendCalibrationGuide
+function sendCalibrationCommit(message) {
+    if (cm.sendIfRegistered({ type: 'CALIBRATION_COMMIT', message })) {
+        pendingCommits.delete(message.screenId);
+    } else {
+        pendingCommits.set(message.screenId, message);
+    }
+}
+
+async function commitCalibration({ scene, camera, renderer, player, controllers }, accuracy) {
+    endTouchCalibration();
+    endCalibrationCheck();
+    clearCalibrationUndo();
+    sendCalibrationCommit({
+        screenId: activeScreenId,
+        topLeftCorner: [...topLeftCorner],
+        bottomRightCorner: [...bottomRightCorner],
+        center: getScreenCenter().toArray(),
+        quaternion: [...screenQuaternion],
+        rectXDistance,
+        rectYDistance,
+        accuracy,
+        referenceSpace: referenceSpaceType
+    });
+    endCalibrationGuide(accuracy || { errorPx: null, skipped: true });
+    if (accuracy) {
+        console.log(accuracy.errorPx === null
+            ? 'Calibration check: the ray missed the screen'
+            : `Calibration check: ${accuracy.errorPx} px from the target`);
+    }
+    calibrated = true;
+    saveCalibration();
+    anchorActiveScreen();
+    // Start the active game once calibration is committed
+    if (!gameStartedVR) {
+        gameStartedVR = true;
+        try {
+            const startCtx = {
+                scene, camera, renderer, player, controllers,
+                sendGameMessage: gameAPI.sendGameMessage,
+                request: gameAPI.request,
+                handleRequest: gameAPI.handleRequest,
+                now: gameAPI.now
+            };
+            lastGameVRContext = startCtx;
+            gameAPI.setActiveGame(configActiveGameId, { vrContext: lastGameVRContext });
+            await gameAPI.startVR(startCtx);
+        } catch (e) {
+            console.error('game startVR error', e);
+        }
+    }
+    fineTuneMode = false;
+    rayHelper.visible = false;
+    widgetsSpawned = false;
+    // Keep only the ready button visible
+    if (widgetGroup) {
+        widgetGroup.children.forEach((child) => {
+            if (child.userData && child.userData.type !== 'ready') {
+                child.visible = false;
+            }
+        });
+    }
+    if (readyButton) readyButton.visible = false;
+    if (widgetGroup) widgetGroup.visible = false;
+    if (!screenRect && aspectRatio) addScreenRect(scene);
+    if (screenRect) screenRect.visible = true;
+    // Continue with the next screen that still needs calibrating (if any)
+    beginNextScreenCalibration();
+}
+
+// ---------- Fine adjustment ----------
+// While calibrating, the thumbsticks nudge the whole rectangle in millimetre steps: a flick moves
+// one step, holding repeats, and after NUDGE_COARSE_AFTER seconds the steps get ten times larger.
+//   Left stick: move along the screen (left/right, up/down)
+//   Right stick: X turns the screen (yaw), Y moves it away/closer, or resizes it (keeping the
+//   aspect ratio) while the right grip is held
+// Each grab, burst of nudges or touch session is one undo step; B or Y undoes the last one.
+const NUDGE_DEADZONE = 0.5;
+const NUDGE_REPEAT_DELAY = 0.4;
+const NUDGE_REPEAT_INTERVAL = 0.05;
+const NUDGE_COARSE_AFTER = 1.5;
+const NUDGE_STEP_METERS = 0.001;
+const NUDGE_STEP_RADIANS = THREE.MathUtils.degToRad(0.1);
+const NUDGE_STEP_SCALE = 0.001; // Fraction of the current size
+const NUDGE_BURST_GAP_MS = 600; // Nudges closer together than this undo together
+const UNDO_LIMIT = 50;
+
+// Steps to apply this frame for one stick axis (signed; 0 most frames)
+function getNudgeSteps(key, value, delta) {
+    const direction = value > NUDGE_DEADZONE ? 1 : (value < -NUDGE_DEADZONE ? -1 : 0);
+    const state = nudgeRepeat.get(key);
+    if (!direction) {
+        nudgeRepeat.delete(key);
+        return 0;
+    }
+    if (!state || state.direction !== direction) {
+        nudgeRepeat.set(key, { direction, heldFor: 0, nextAt: NUDGE_REPEAT_DELAY });
+        return direction;
+    }
+    state.heldFor += delta;
+    if (state.heldFor < state.nextAt) return 0;
+    state.nextAt += NUDGE_REPEAT_INTERVAL;
+    return direction * (state.heldFor >= NUDGE_COARSE_AFTER ? 10 : 1);
+}
+
+function updateNudging(controllers, delta) {
+    const left = controllers.left && controllers.left.gamepad;
+    const right = controllers.right && controllers.right.gamepad;
+    if ((left && left.getButtonDown(XR_BUTTONS.BUTTON_2)) || (right && right.getButtonDown(XR_BUTTONS.BUTTON_2))) {
+        undoCalibrationEdit();
+        return;
+    }
+    // Stick Y is negative when pushed forward
+    const moveX = left ? getNudgeSteps('left:x', left.getAxis(XR_AXES.THUMBSTICK_X), delta) : 0;
+    const moveY = left ? getNudgeSteps('left:y', -left.getAxis(XR_AXES.THUMBSTICK_Y), delta) : 0;
+    const resizing = !!(right && right.getButton(XR_BUTTONS.SQUEEZE));
+    const turn = right ? getNudgeSteps('right:x', right.getAxis(XR_AXES.THUMBSTICK_X), delta) : 0;
+    const push = right ? getNudgeSteps(resizing ? 'right:scale' : 'right:depth', -right.getAxis(XR_AXES.THUMBSTICK_Y), delta) : 0;
+    if (!moveX && !moveY && !turn && !push) return;
+
+    const now = performance.now();
+    if (now - lastNudgeAt > NUDGE_BURST_GAP_MS) pushCalibrationUndo();
+    lastNudgeAt = now;
+
+    const quaternion = getScreenQuaternion();
+    const { right: screenRight, up, normal } = getScreenAxes(quaternion);
+    const center = getScreenCenter()
+        .addScaledVector(screenRight, moveX * NUDGE_STEP_METERS)
+        .addScaledVector(up, moveY * NUDGE_STEP_METERS);
+    let width = rectXDistance;
+    let height = rectYDistance;
+    if (resizing) {
+        const factor = Math.max(0.1, 1 + push * NUDGE_STEP_SCALE);
+        width *= factor;
+        height *= factor;
+    } else {
+        // Pushing the stick forward sends the screen away, against its normal
+        center.addScaledVector(normal, -push * NUDGE_STEP_METERS);
+    }
+    // Stick right turns the screen clockwise seen from above
+    const nextQuaternion = new THREE.Quaternion().setFromAxisAngle(WORLD_UP, -turn * NUDGE_STEP_RADIANS).multiply(quaternion);
+    setScreenPose(center, nextQuaternion, width, height);
+    if (sceneVar) addScreenRect(sceneVar);
+}
+
+function getPoseSnapshot() {
+    return {
+        screenId: activeScreenId,
+        topLeftCorner: [...topLeftCorner],
+        bottomRightCorner: [...bottomRightCorner],
+        screenQuaternion: [...screenQuaternion]
+    };
+}
+
+function isCurrentPose(snapshot) {
+    const current = getPoseSnapshot();
+    return ['topLeftCorner', 'bottomRightCorner', 'screenQuaternion'].every((key) =>
+        snapshot[key].every((value, i) => Math.abs(value - current[key][i]) < 1e-9));
+}
+
+// Remember the pose before an edit
+function pushCalibrationUndo() {
+    undoStack.push(getPoseSnapshot());
+    if (undoStack.length > UNDO_LIMIT) undoStack.shift();
+}
+
+// Go back to the last pose of the active screen that differs from the current one
+function undoCalibrationEdit() {
+    while (undoStack.length > 0) {
+        const snapshot = undoStack.pop();
+        if (snapshot.screenId !== activeScreenId || isCurrentPose(snapshot)) continue;
+        topLeftCorner = [...snapshot.topLeftCorner];
+        bottomRightCorner = [...snapshot.bottomRightCorner];
+        screenQuaternion = [...snapshot.screenQuaternion];
+        updateRectSizeFromCorners();
+        if (sceneVar) addScreenRect(sceneVar);
+        console.log(`Calibration edit undone (${undoStack.length} left)`);
+        return true;
+    }
+    return false;
+}
+
+function clearCalibrationUndo() {
+    undoStack = [];
+    nudgeRepeat.clear();
+}
+
+// ---------- Accuracy test ----------
+// Started from the settings page (ACCURACY_TEST) once a screen is calibrated: the screen shows one
+// dot at a time and the user points at it and pulls the trigger, or touches it with a fingertip.
+// Pointing records the canvas position latestScreenState computed, the same one games get.
+// Games pause while the test runs so the trigger only records dots; B skips a dot.
+const TEST_TOUCH_DISTANCE = 0.02;
+const TEST_TOUCH_RELEASE_DISTANCE = 0.04;
+
+function startAccuracyTest(message) {
+    const screenId = (message && message.screenId) || DEFAULT_SCREEN_ID;
+    stashActiveScreen();
+    const entry = screens.get(screenId);
+    if (!entry || !entry.calibrated || !entry.screenRect) {
+        console.warn(`Accuracy test: screen "${screenId}" is not calibrated on this headset yet`);
+        return;
+    }
+    endAccuracyTest();
+    accuracyTest = {
+        screenId,
+        points: getTestPoints(entry.screenWidth, entry.screenHeight),
+        samples: [],
+        // Start as touching so a trigger or fingertip already down must be released first
+        touching: { left: true, right: true },
+        label: null,
+        guideSentFor: null // samples.length when the current dot was last shown
+    };
+    if (sceneVar) {
+        // Below the tested screen, just in front of it
+        const label = createInstructionLabel('Point at each target and pull the trigger, or touch it\n(B to skip a target)');
+        withScreen(screenId, () => {
+            const { up, normal } = getScreenAxes();
+            label.position.copy(getScreenCenter())
+                .addScaledVector(up, -(rectYDistance / 2 + 0.08))
+                .addScaledVector(normal, 0.05);
+            label.quaternion.copy(getScreenQuaternion());
+        });
+        sceneVar.add(label);
+        accuracyTest.label = label;
+    }
+    sendAccuracyTestGuide();
+    console.log(`Accuracy test started on screen "${screenId}"`);
+}
+
+// Shows the current dot; updateAccuracyTest calls it again until it got through
+function sendAccuracyTestGuide() {
+    const { screenId, points, samples } = accuracyTest;
+    const sent = sendCalibrationGuide({
+        screenId,
+        active: true,
+        stage: 'test',
+        corner: null,
+        touched: [],
+        target: points[samples.length],
+        progress: { index: samples.length, total: points.length },
+        pointer: null
+    });
+    accuracyTest.guideSentFor = sent ? samples.length : null;
+}
+
+function endAccuracyTest(report = null) {
+    if (!accuracyTest) return;
+    const { screenId, label } = accuracyTest;
+    removeInstructionLabel(label);
+    accuracyTest = null;
+    sendCalibrationGuide({ screenId, active: false, result: report });
+}
+
+// Canvas position under a fingertip and how far it is from the screen, or null off the screen
+function getTestTouch(side, handState, entry) {
+    const hand = handState && handState[side];
+    const indexTip = hand && hand.tracked && hand.joints['index-finger-tip'];
+    if (!indexTip) return null;
+    const tip = toVector3(indexTip.position);
+    const { normal } = getScreenAxes(new THREE.Quaternion().fromArray(entry.screenQuaternion));
+    // Cast back at the screen from a little in front of the fingertip, so a finger slightly through it still counts
+    const origin = tip.clone().addScaledVector(normal, 0.1);
+    const hit = raycastScreens(origin, normal.clone().negate(), [entry], screenLayout);
+    if (!hit.onScreen) return null;
+    return { canvasX: hit.canvasX, canvasY: hit.canvasY, distance: Math.max(0, hit.hitPoint.distanceTo(origin) - 0.1) };
+}
+
+function updateAccuracyTest(controllers, handState) {
+    const entry = screens.get(accuracyTest.screenId);
+    if (!entry || !entry.screenRect) {
+        endAccuracyTest();
+        return;
+    }
+    if (accuracyTest.guideSentFor !== accuracyTest.samples.length) sendAccuracyTestGuide();
+    for (const side of ['right', 'left']) {
+        const controller = controllers[side];
+        const gamepad = controller && controller.gamepad;
+        if (gamepad && gamepad.getButtonDown(XR_BUTTONS.TRIGGER)) {
+            const state = latestScreenState[side];
+            const onTestScreen = state && state.onScreen && state.screenId === accuracyTest.screenId;
+            recordAccuracyTestSample(onTestScreen ? { canvasX: state.canvasX, canvasY: state.canvasY } : null, 'ray');
+            return;
+        }
+        if (gamepad && side === 'right' && gamepad.getButtonDown(XR_BUTTONS.BUTTON_2)) {
+            recordAccuracyTestSample(null, null);
+            return;
+        }
+        const touch = getTestTouch(side, handState, entry);
+        const threshold = accuracyTest.touching[side] ? TEST_TOUCH_RELEASE_DISTANCE : TEST_TOUCH_DISTANCE;
+        const touching = !!(touch && touch.distance < threshold);
+        const started = touching && !accuracyTest.touching[side];
+        accuracyTest.touching[side] = touching;
+        if (started) {
+            recordAccuracyTestSample({ canvasX: touch.canvasX, canvasY: touch.canvasY }, 'touch');
+            return;
+        }
+    }
+}
+
+function recordAccuracyTestSample(hit, method) {
+    const { screenId, points, samples } = accuracyTest;
+    samples.push({ target: points[samples.length], hit, method });
+    if (samples.length < points.length) {
+        sendAccuracyTestGuide();
+        return;
+    }
+    const report = summarizeAccuracyTest(samples);
+    const result = { type: 'ACCURACY_TEST_RESULT', message: { screenId, ...report } };
+    pendingTestResult = cm.sendIfRegistered(result) ? null : result;
+    console.log(`Accuracy test on screen "${screenId}": ${describeAccuracyTest(report)}`);
+    endAccuracyTest(report);
+}
+
+// ---------- Menu ----------
+// Game switcher and settings panel (vrMenu.js). X on the left controller opens and closes it, as
+// does holding either palm up for a second. While it is open the game and calibration wait, so the
+// trigger and pinches only drive the menu.
+const PALM_UP_MIN_Y = 0.8; // Vertical component of the palm normal (about 37 degrees from straight up)
+const PALM_UP_SECONDS = 1.0;
+
+function getMenuConfig() {
+    const activeGameId = gameAPI.getActiveGameId();
+    return { system: gameAPI.getSystemSettings(), games: { [activeGameId]: gameAPI.getCurrentSettings() } };
+}
+
+// The server validates the change and broadcasts CONFIG_UPDATE, which refreshes the menu
+async function applyMenuChange(update) {
+    const room = cm.getRoomName();
+    const res = await fetch(room ? `/api/config?room=${encodeURIComponent(room)}` : '/api/config', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+        body: JSON.stringify(update)
+    });
+    if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        const fieldError = data.errors && Object.values(data.errors)[0];
+        throw new Error(fieldError || data.error || `Saving failed (${res.status})`);
+    }
+}
+
+function isPalmUp(side, hand) {
+    const wrist = hand.joints['wrist'];
+    const index = hand.joints['index-finger-phalanx-proximal'];
+    const pinky = hand.joints['pinky-finger-phalanx-proximal'];
+    if (!wrist || !index || !pinky) return false;
+    const toIndex = toVector3(index.position).sub(toVector3(wrist.position));
+    const toPinky = toVector3(pinky.position).sub(toVector3(wrist.position));
+    // Index x pinky comes out of the right palm; the left hand is mirrored
+    const normal = side === 'right' ? toIndex.cross(toPinky) : toPinky.cross(toIndex);
+    return normal.normalize().y > PALM_UP_MIN_Y;
+}
+
+// Whether X was pressed or a palm has just been up long enough
+function getMenuToggle(controllers, handState, delta) {
+    const left = controllers.left && controllers.left.gamepad;
+    let toggle = !!(left && left.getButtonDown(XR_BUTTONS.BUTTON_1));
+    for (const side of ['left', 'right']) {
+        const hand = handState && handState[side];
+        if (!hand || !hand.tracked || !isPalmUp(side, hand)) {
+            palmUpSince[side] = 0;
+            continue;
+        }
+        // Lower the palm before it can toggle again
+        if (palmUpSince[side] === null) continue;
+        palmUpSince[side] += delta;
+        if (palmUpSince[side] >= PALM_UP_SECONDS) {
+            palmUpSince[side] = null;
+            toggle = true;
+        }
+    }
+    return toggle;
+}
+
+// Pinch point of each tracked hand, otherwise the controller ray
+function getMenuInput(controllers, handState) {
+    const rays = [];
+    const pinches = [];
+    for (const side of ['left', 'right']) {
+        const hand = handState && handState[side];
+        const indexTip = hand && hand.tracked && hand.joints['index-finger-tip'];
+        const thumbTip = hand && hand.tracked && hand.joints['thumb-tip'];
+        if (indexTip && thumbTip) {
+            const index = toVector3(indexTip.position);
+            const thumb = toVector3(thumbTip.position);
+            const threshold = menuPinching[side] ? PINCH_END_DISTANCE : PINCH_START_DISTANCE;
+            const pinching = index.distanceTo(thumb) < threshold;
+            pinches.push({ side, position: index.add(thumb).multiplyScalar(0.5), started: pinching && !menuPinching[side] });
+            menuPinching[side] = pinching;
+            continue;
+        }
+        menuPinching[side] = false;
+        const controller = controllers[side];
+        if (controller && controller.gamepad && controller.raySpace) {
+            const { gamepad, raySpace } = controller;
+            rays.push({
+                side,
+                origin: raySpace.position.clone(),
+                direction: new THREE.Vector3(0, 0, -1).applyQuaternion(raySpace.quaternion).normalize(),
+                pressed: gamepad.getButtonDown(XR_BUTTONS.TRIGGER)
+            });
+        }
+    }
+    return { rays, pinches };
+}
+
+// Returns whether the menu is open (and so owns the input this frame)
+function updateMenu(controllers, handState, camera, delta) {
+    if (!vrMenu) return false;
+    if (getMenuToggle(controllers, handState, delta)) {
+        if (vrMenu.isOpen()) {
+            vrMenu.close();
+        } else {
+            // A pinch that is already closed must open again before it presses anything
+            menuPinching.left = true;
+            menuPinching.right = true;
+            vrMenu.open(camera);
+        }
+    }
+    if (!vrMenu.isOpen()) return false;
+    vrMenu.update(getMenuInput(controllers, handState));
+    return true;
+}
+
+// ---------- Reference space & anchors ----------
+// Sessions start in 'local' and move to a floor space when the device grants one. Poses in a floor
+// space sit a head height above 'local' ones, so switching lifts everything placed so far, and
+// saves remember which space they were made in. On Ready the screen pose is pinned to an anchor
+// at its center; while a screen's anchor is tracked its pose follows it, so a calibration lands
+// back on the real screen after a restart instead of relative to where the new session began.
+function getEyeLevel(type) {
+    return isFloorSpace(type) ? EYE_HEIGHT : 0;
+}
+
+function setReferenceSpaceType(type) {
+    const dy = getEyeLevel(type) - getEyeLevel(referenceSpaceType);
+    referenceSpaceType = type;
+    referenceSpaceReady = true;
+    console.log(`Using the '${type}' reference space`);
+    if (floor) floor.position.y = getEyeLevel(type) - EYE_HEIGHT;
+    if (dy === 0) return;
+    stashActiveScreen();
+    for (const entry of screens.values()) {
+        withScreen(entry.screenId, () => {
+            setScreenPose(getScreenCenter().add(new THREE.Vector3(0, dy, 0)), getScreenQuaternion(), rectXDistance, rectYDistance);
+            if (screenRect && sceneVar) addScreenRect(sceneVar);
+        });
+    }
+    // Rebuilding other screens' rects moved the widgets onto them
+    if (screenRect) updateWidgetPositions();
+}
+
+// Pin the active screen's pose to a new anchor and save its handle with the calibration
+function anchorActiveScreen() {
+    const screenId = activeScreenId;
+    const entry = screens.get(screenId);
+    if (!entry) return;
+    entry.anchorSeeded = true;
+    screenAnchors.place(screenId, getScreenCenter(), getScreenQuaternion()).then((handle) => {
+        if (!handle || !screens.has(screenId)) return;
+        withScreen(screenId, () => saveCalibration(handle));
+    });
+}
+
+// Ask for the anchors of every saved calibration again, e.g. for a new session
+function restoreSavedAnchors() {
+    for (const entry of screens.values()) {
+        withScreen(entry.screenId, () => {
+            const stored = loadCalibration();
+            if (stored && stored.anchorHandle) screenAnchors.restore(entry.screenId, stored.anchorHandle);
+        });
+    }
+}
+
+// Calibrated screens follow their anchors; a screen still being calibrated takes its anchor's
+// pose once, as the starting point, so it does not fight the widgets
+function followScreenAnchors(scene, renderer, xrFrame) {
+    if (!referenceSpaceReady) return;
+    const referenceSpace = renderer.xr.getReferenceSpace ? renderer.xr.getReferenceSpace() : null;
+    const poses = screenAnchors.update(xrFrame, referenceSpace);
+    if (poses.size === 0) return;
+    stashActiveScreen();
+    let moved = false;
+    for (const [screenId, pose] of poses) {
+        const entry = screens.get(screenId);
+        if (!entry || !entry.rectXDistance || (!entry.calibrated && entry.anchorSeeded)) continue;
+        entry.anchorSeeded = true;
+        withScreen(screenId, () => {
+            if (pose.position.distanceTo(getScreenCenter()) < 1e-4 && pose.quaternion.angleTo(getScreenQuaternion()) < 1e-4) return;
+            moved = true;
+            setScreenPose(pose.position, pose.quaternion, rectXDistance, rectYDistance);
+            if (screenRect) addScreenRect(scene);
+        });
+    }
+    if (moved && screenRect) updateWidgetPositions();
 }
 
 // ---------- Scene setup ----------
@@ -374,7 +1402,7 @@ function setupScene({ scene, camera, renderer, player, controllers }) {
     const floorMaterial = new THREE.MeshBasicMaterial({color: 'black', transparent: true, opacity: 0.0 });
     floor = new THREE.Mesh(floorGeometry, floorMaterial);
     floor.rotateX(-Math.PI / 2);
-    floor.position.y = -EYE_HEIGHT;
+    floor.position.y = getEyeLevel(referenceSpaceType) - EYE_HEIGHT;
     scene.add(floor);
 
     const rayGeometry = new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(0,0,0), new THREE.Vector3(0,0,-3)]);
@@ -385,64 +1413,72 @@ function setupScene({ scene, camera, renderer, player, controllers }) {
     handDebugGroup = new THREE.Group();
     handDebugGroup.visible = false;
     scene.add(handDebugGroup);
+
+    vrMenu = createVRMenu({ getConfig: getMenuConfig, onChange: applyMenuChange });
+    scene.add(vrMenu.object);
+
+    renderer.xr.addEventListener('sessionstart', () => {
+        useBestReferenceSpace(renderer).then(setReferenceSpaceType);
+    });
+    renderer.xr.addEventListener('sessionend', () => {
+        vrMenu.close();
+        handAim.reset();
+        // Fingertips still on a screen lift off with the session
+        if (gameStartedVR) dispatchTouchEvents(null, [], lastGameVRContext, 0);
+        // The next session starts in 'local' again until it is upgraded
+        setReferenceSpaceType('local');
+        referenceSpaceReady = false;
+        // Anchors belong to the session; persistent ones are restored from the saves next time
+        screenAnchors.reset();
+        for (const entry of screens.values()) entry.anchorSeeded = false;
+        restoreSavedAnchors();
+    });
 }
 
 // ---------- Frame loop ----------
+// This frame's pointer events to the game, and each to the screen it happened on.
+// A null screenState ends every pointer (used while the game is paused). While reconnecting the
+// game still gets the events and the screens miss them.
+function dispatchPointerEvents(screenState, controllers, ctx) {
+    const events = pointerTracker.update(screenState, getPrimaryButtons(screenState, controllers));
+    for (const event of events) {
+        if (ctx) gameAPI.dispatchPointerEvent(event, ctx);
+        cm.sendIfRegistered({ type: 'POINTER_EVENT', message: event });
+    }
+}
+
+// Same for fingertip touches; a null handState ends every touch
+function dispatchTouchEvents(handState, screens, ctx, delta) {
+    const events = touchTracker.update(handState, screens, screenLayout, delta);
+    for (const event of events) {
+        if (ctx) gameAPI.dispatchTouchEvent(event, ctx);
+        cm.sendIfRegistered({ type: 'TOUCH_EVENT', message: event });
+    }
+}
+
 async function onFrame(delta, time, {scene, camera, renderer, player, controllers}, xrFrame) {
     // Hide the screenRect visualization when overlay is disabled (but keep it raycastable).
     // Always show it during calibration.
+    const calibratedScreens = getCalibratedScreens();
     {
         const settings = gameAPI.getCurrentSettings();
         const overlayOn = !!(settings.displayOverlayEnabled !== undefined ? settings.displayOverlayEnabled : true);
-        const shouldShowGhost = !calibrated || overlayOn;
-        if (screenRect && lastScreenRectOverlayEnabled !== shouldShowGhost) {
-            setScreenRectOpacity(shouldShowGhost ? 0.2 : 0.0);
-            lastScreenRectOverlayEnabled = shouldShowGhost;
+        for (const entry of screens.values()) {
+            const shouldShowGhost = !entry.calibrated || overlayOn;
+            if (entry.screenRect && (entry.ghostRect !== entry.screenRect || entry.ghostVisible !== shouldShowGhost)) {
+                setScreenRectOpacity(entry.screenRect, shouldShowGhost ? 0.2 : 0.0);
+                entry.ghostRect = entry.screenRect;
+                entry.ghostVisible = shouldShowGhost;
+            }
         }
     }
 
-    // Compute per-controller screen intersection state and screen metadata (store to shared latest values)
-    latestScreenMeta = {
-        screenWidth,
-        screenHeight,
-        topLeftCorner: [...topLeftCorner],
-        bottomRightCorner: [...bottomRightCorner],
-        rectXDistance,
-        rectYDistance
-    };
-    // reset defaults
-    latestScreenState.right = { onScreen: false };
-    latestScreenState.left = { onScreen: false };
-    if (calibrated && screenRect && screenWidth && screenHeight) {
-        ['right', 'left'].forEach((side) => {
-            const controller = controllers && controllers[side];
-            if (!controller) return;
-            const { raySpace } = controller;
-            if (!raySpace) return;
-            const rayDirection = new THREE.Vector3(0, 0, -1).applyQuaternion(raySpace.quaternion);
-            const raycaster = new THREE.Raycaster();
-            raycaster.set(raySpace.position, rayDirection);
-            // Intersect recursively through Group children (for loaded .glb)
-            const intersects = raycaster.intersectObject(screenRect, true);
-            if (intersects.length > 0) {
-                const uv = intersects[0].uv;
-                if (!uv) {
-                    console.warn('No UV data on curved mesh intersection');
-                    latestScreenState[side] = { onScreen: false };
-                    return;
-                }
-                const canvasX = uv.x * screenWidth;
-                const canvasY = (1 - uv.y) * screenHeight;
-                if (!isNaN(canvasX) && !isNaN(canvasY)) {
-                    latestScreenState[side] = { onScreen: true, canvasX: Math.round(canvasX), canvasY: Math.round(canvasY), uv, hitPoint: intersects[0].point };
-                } else {
-                    latestScreenState[side] = { onScreen: false };
-                }
-            } else {
-                latestScreenState[side] = { onScreen: false };
-            }
-        });
-    }
+    followScreenAnchors(scene, renderer, xrFrame);
+
+    // Compute per-controller screen intersection state and screen metadata (store to shared latest values).
+    // screenMeta/screenRect describe the primary (left-most calibrated) screen for single-screen games.
+    const primaryScreen = calibratedScreens[0] || (activeScreenId !== null ? screens.get(activeScreenId) : null);
+    if (primaryScreen) latestScreenMeta = buildScreenMeta(primaryScreen);
 
     let handState = null;
     try {
@@ -473,6 +1509,7 @@ async function onFrame(delta, time, {scene, camera, renderer, player, controller
     } catch (e) {
         handState = null;
     }
+    latestScreenState = computeScreenState(controllers, calibratedScreens, screenLayout, handAim.update(handState, camera, delta));
 
     if (handDebugGroup) {
         const enabled = !!configHandJointsDebugEnabled;
@@ -511,33 +1548,75 @@ async function onFrame(delta, time, {scene, camera, renderer, player, controller
         }
     }
 
+    if (updateMenu(controllers, handState, camera, delta)) {
+        rayHelper.visible = false;
+        if (gameStartedVR) {
+            dispatchPointerEvents(null, controllers, lastGameVRContext);
+            dispatchTouchEvents(null, calibratedScreens, lastGameVRContext, delta);
+        }
+        return;
+    }
+
     // Drive game updates when started, provide screenState + screenMeta in the context
-    if (gameStartedVR) {
+    if (gameStartedVR && !accuracyTest) {
         try {
-            const ctx = { scene, camera, renderer, player, controllers, sendGameMessage: gameAPI.sendGameMessage, screenState: latestScreenState, screenMeta: latestScreenMeta, screenRect, handState };
+            const ctx = {
+                scene, camera, renderer, player, controllers,
+                sendGameMessage: gameAPI.sendGameMessage,
+                request: gameAPI.request,
+                handleRequest: gameAPI.handleRequest,
+                now: gameAPI.now,
+                screenState: latestScreenState,
+                screenMeta: latestScreenMeta,
+                screenRect: primaryScreen ? primaryScreen.screenRect : screenRect,
+                screenMapping: getScreenMapping(primaryScreen),
+                screens: buildScreensContext(calibratedScreens, screenLayout),
+                screenLayout,
+                handState
+            };
             lastGameVRContext = ctx;
+            dispatchPointerEvents(latestScreenState, controllers, ctx);
+            dispatchTouchEvents(handState, calibratedScreens, ctx, delta);
             gameAPI.updateVR(delta, time, ctx);
         } catch (e) {
             console.error('game updateVR error', e);
         }
+    } else if (gameStartedVR) {
+        // Paused for the accuracy test: pointers leave their screens and touches end until the game resumes
+        dispatchPointerEvents(null, controllers, lastGameVRContext);
+        dispatchTouchEvents(null, calibratedScreens, lastGameVRContext, delta);
     }
     const controllerConfigs = [controllers.right, controllers.left];
 
     // Calibration flow (manual)
     if (!calibrated && aspectRatio) {
+        if (touchCalibration) updateTouchCalibration(controllers, handState);
+        else if (fineTuneMode && !calibrationCheck && !grabbedWidget) updateNudging(controllers, delta);
         const controller = controllerConfigs[0];
-        if (controller && controller.gamepad && controller.raySpace) {
+        const hasRay = !!(controller && controller.gamepad && controller.raySpace);
+        updateCalibrationGuide(hasRay ? getCalibrationPointer(controller.raySpace) : null);
+        if (hasRay) {
             const { gamepad, raySpace } = controller;
             rayHelper.visible = true;
             rayHelper.position.copy(raySpace.position);
             rayHelper.quaternion.copy(raySpace.quaternion);
 
+            // Accuracy check after Ready: the next trigger pull is the measurement
+            if (calibrationCheck) {
+                if (gamepad.getButtonDown(XR_BUTTONS.TRIGGER)) {
+                    await commitCalibration({ scene, camera, renderer, player, controllers }, measureCalibrationCheck(raySpace));
+                } else if (gamepad.getButtonDown(XR_BUTTONS.BUTTON_2)) {
+                    await commitCalibration({ scene, camera, renderer, player, controllers }, null);
+                }
+                return;
+            }
+
             const rayDirection = new THREE.Vector3(0,0,-1).applyQuaternion(raySpace.quaternion).normalize();
 
             const raycasterWidgets = new THREE.Raycaster();
             raycasterWidgets.set(raySpace.position, rayDirection);
             let widgetIntersects = [];
-            if (widgetGroup && widgetGroup.visible) widgetIntersects = raycasterWidgets.intersectObjects(widgetGroup.children, true);
+            if (widgetGroup && widgetGroup.visible) widgetIntersects = raycasterWidgets.intersectObjects(widgetGroup.children.filter((child) => child.visible), true);
 
             let hoverTarget = null;
             if (widgetIntersects.length > 0) {
@@ -557,49 +1636,19 @@ async function onFrame(delta, time, {scene, camera, renderer, player, controller
 
             // Start grab
             if (gamepad.getButtonDown && gamepad.getButtonDown(XR_BUTTONS.TRIGGER) && hoveredWidget && !grabbedWidget) {
+                if (hoveredWidget.userData && hoveredWidget.userData.type === 'touch') {
+                    if (touchCalibration) endTouchCalibration();
+                    else startTouchCalibration();
+                    return;
+                }
                 if (hoveredWidget.userData && hoveredWidget.userData.type === 'ready') {
-                    // Handle ready button click - commit calibration
-                    cm.sendMessage({
-                        type: 'CALIBRATION_COMMIT',
-                        message: {
-                            topLeftCorner: [...topLeftCorner],
-                            bottomRightCorner: [...bottomRightCorner],
-                            rectXDistance,
-                            rectYDistance
-                        }
-                    });
-                    calibrated = true;
-                    saveCalibration();
-                    // Start the active game once calibration is committed
-                    if (!gameStartedVR) {
-                        gameStartedVR = true;
-                        try {
-                            const startCtx = { scene, camera, renderer, player, controllers, sendGameMessage: gameAPI.sendGameMessage };
-                            lastGameVRContext = startCtx;
-                            gameAPI.setActiveGame(configActiveGameId, { vrContext: lastGameVRContext });
-                            await gameAPI.startVR(startCtx);
-                        } catch (e) {
-                            console.error('game startVR error', e);
-                        }
-                    }
-                    fineTuneMode = false;
-                    rayHelper.visible = false;
-                    widgetsSpawned = false;
-                    // Keep only the ready button visible
-                    if (widgetGroup) {
-                        widgetGroup.children.forEach((child) => {
-                            if (child.userData && child.userData.type !== 'ready') {
-                                child.visible = false;
-                            }
-                        });
-                    }
-                    if (readyButton) readyButton.visible = false;
-                    if (widgetGroup) widgetGroup.visible = false;
-                    if (!screenRect && aspectRatio) addScreenRect(scene);
-                    if (screenRect) screenRect.visible = true;
+                    // Ready runs the accuracy check, which then commits the calibration
+                    endTouchCalibration();
+                    startCalibrationCheck();
                     return;
                 }
                 grabbedWidget = hoveredWidget;
+                pushCalibrationUndo();
                 const qWorld = new THREE.Quaternion();
                 grabbedWidget.getWorldQuaternion(qWorld);
                 const startControllerPos = raySpace.position.clone();
@@ -611,30 +1660,27 @@ async function onFrame(delta, time, {scene, camera, renderer, player, controller
                     startControllerQuat: raySpace.quaternion.clone(),
                     startTopLeft: [...topLeftCorner],
                     startBottomRight: [...bottomRightCorner],
+                    startQuaternion: getScreenQuaternion(),
                     startWidgetWorldPos
                 };
-                if ((grabState.type === 'move' || grabState.type === 'scale' || grabState.type === 'rotateY') && hoveredWidgetHit) {
+                const isRotate = ROTATE_WIDGET_TYPES.includes(grabState.type);
+                if ((grabState.type === 'move' || grabState.type === 'scale' || isRotate) && hoveredWidgetHit) {
                     grabState.grabDistance = hoveredWidgetHit.distance;
                     grabState.grabOffset = startWidgetWorldPos.clone().sub(hoveredWidgetHit.point);
                 }
-                if (grabState.type === 'rotateY') {
-                    const centerW = new THREE.Vector3(
-                        grabState.startTopLeft[0] + (grabState.startBottomRight[0] - grabState.startTopLeft[0]) / 2,
-                        grabState.startTopLeft[1] - (rectYDistance / 2),
-                        grabState.startTopLeft[2] + (grabState.startBottomRight[2] - grabState.startTopLeft[2]) / 2
-                    );
+                if (isRotate) {
+                    // The rotation axis is fixed for the whole drag, taken from the pose at grab time
+                    const centerW = getScreenCenter();
                     grabState.rotateCenter = centerW;
+                    grabState.rotateBasis = getRotationBasis(grabState.type, grabState.startQuaternion);
+                    let anchoredPos = startControllerPos.clone();
                     if (typeof grabState.grabDistance === 'number') {
                         const rayDir = new THREE.Vector3(0, 0, -1).applyQuaternion(raySpace.quaternion).normalize();
                         const hitPoint = raySpace.position.clone().add(rayDir.multiplyScalar(grabState.grabDistance));
                         const offset = grabState.grabOffset ? grabState.grabOffset.clone() : new THREE.Vector3();
-                        const anchoredPos = hitPoint.clone().add(offset);
-                        const rel = anchoredPos.clone().sub(centerW);
-                        grabState.startRotateAngle = Math.atan2(rel.z, rel.x);
-                    } else {
-                        const rel = startControllerPos.clone().sub(centerW);
-                        grabState.startRotateAngle = Math.atan2(rel.z, rel.x);
+                        anchoredPos = hitPoint.clone().add(offset);
                     }
+                    grabState.startRotateAngle = angleAroundAxis(anchoredPos, centerW, grabState.rotateBasis);
                 }
                 applyColorToMesh(grabbedWidget, 0xffffff);
                 if (hoveredWidget) { clearHighlight(hoveredWidget); hoveredWidget = null; }
@@ -712,44 +1758,33 @@ async function onFrame(delta, time, {scene, camera, renderer, player, controller
                         bottomRightCorner = [newMovingCorner.x, newMovingCorner.y, newMovingCorner.z];
                         topLeftCorner = [fixedCorner.x, fixedCorner.y, fixedCorner.z];
                     }
-                } else if (type === 'rotateY') {
-                    const centerW = grabState.rotateCenter ? grabState.rotateCenter.clone() : new THREE.Vector3(
-                        grabState.startTopLeft[0] + (grabState.startBottomRight[0] - grabState.startTopLeft[0]) / 2,
-                        grabState.startTopLeft[1] - (rectYDistance / 2),
-                        grabState.startTopLeft[2] + (grabState.startBottomRight[2] - grabState.startTopLeft[2]) / 2
-                    );
-                    let currAngle = 0;
+                } else if (ROTATE_WIDGET_TYPES.includes(type)) {
+                    const centerW = grabState.rotateCenter.clone();
+                    let anchoredPos = raySpace.position.clone();
                     if (typeof grabState.grabDistance === 'number') {
                         const rayDir = new THREE.Vector3(0, 0, -1).applyQuaternion(raySpace.quaternion).normalize();
                         const hitPoint = raySpace.position.clone().add(rayDir.multiplyScalar(grabState.grabDistance));
                         const offset = grabState.grabOffset ? grabState.grabOffset.clone() : new THREE.Vector3();
-                        const anchoredPos = hitPoint.clone().add(offset);
-                        const rel = anchoredPos.clone().sub(centerW);
-                        currAngle = Math.atan2(rel.z, rel.x);
-                    } else {
-                        const rel = raySpace.position.clone().sub(centerW);
-                        currAngle = Math.atan2(rel.z, rel.x);
+                        anchoredPos = hitPoint.clone().add(offset);
                     }
+                    const currAngle = angleAroundAxis(anchoredPos, centerW, grabState.rotateBasis);
                     const startAngle = grabState.startRotateAngle !== undefined ? grabState.startRotateAngle : 0;
-                    const deltaAngle = currAngle - startAngle;
+                    const deltaRotation = new THREE.Quaternion().setFromAxisAngle(grabState.rotateBasis.axis, currAngle - startAngle);
 
-                    const tl = new THREE.Vector3(grabState.startTopLeft[0], grabState.startTopLeft[1], grabState.startTopLeft[2]);
-                    const br = new THREE.Vector3(grabState.startBottomRight[0], grabState.startBottomRight[1], grabState.startBottomRight[2]);
-                    const newTL = rotatePointAroundY(tl, centerW, deltaAngle);
-                    const newBR = rotatePointAroundY(br, centerW, deltaAngle);
+                    const newTL = rotatePointAroundCenter(toVector3(grabState.startTopLeft), centerW, deltaRotation);
+                    const newBR = rotatePointAroundCenter(toVector3(grabState.startBottomRight), centerW, deltaRotation);
                     topLeftCorner = [newTL.x, newTL.y, newTL.z];
                     bottomRightCorner = [newBR.x, newBR.y, newBR.z];
+                    screenQuaternion = deltaRotation.multiply(grabState.startQuaternion).toArray();
                 }
                 // Update measures & visuals
-                const dx = bottomRightCorner[0] - topLeftCorner[0];
-                const dz = bottomRightCorner[2] - topLeftCorner[2];
-                rectXDistance = Math.sqrt(dx * dx + dz * dz);
-                rectYDistance = topLeftCorner[1] - bottomRightCorner[1]; // Use actual Y distance
+                updateRectSizeFromCorners();
                 addScreenRect(scene);
             }
 
             // Release grab
             if (grabbedWidget && (!gamepad.getButton || !gamepad.getButton(XR_BUTTONS.TRIGGER))) {
+                if (grabState && ROTATE_WIDGET_TYPES.includes(grabState.type) && snapToVertical()) addScreenRect(scene);
                 if (grabbedWidget) restoreColorFromUserData(grabbedWidget);
                 grabbedWidget = null;
                 grabState = null;
@@ -760,26 +1795,7 @@ async function onFrame(delta, time, {scene, camera, renderer, player, controller
                 }
             }
 
-            // Adjust distance with thumbstick
-            const thumbstickY = gamepad.getAxis(XR_AXES.THUMBSTICK_Y);
-            if (Math.abs(thumbstickY) > 0.1) {
-                cornerDistance += -thumbstickY * 0.02;
-                cornerDistance = Math.max(0.5, Math.min(cornerDistance, 10));
-            }
-
-            // Switch corner with B
-            if (gamepad.getButtonDown(XR_BUTTONS.BUTTON_2)) {
-                selectedCorner = selectedCorner === 'topLeft' ? 'bottomRight' : 'topLeft';
-                cornerDistance = 2.0;
-            }
-
             // Keep live rectangle updated
-            if (aspectRatio) {
-                const directionX = bottomRightCorner[0] - topLeftCorner[0];
-                const directionZ = bottomRightCorner[2] - topLeftCorner[2];
-                rectXDistance = Math.sqrt(directionX * directionX + directionZ * directionZ);
-                rectYDistance = topLeftCorner[1] - bottomRightCorner[1]; // Use actual Y distance
-            }
             addScreenRect(scene);
         }
         return;
@@ -788,6 +1804,11 @@ async function onFrame(delta, time, {scene, camera, renderer, player, controller
     // If not calibrated, nothing else to do
     if (!calibrated) return;
 
+    if (accuracyTest) {
+        updateAccuracyTest(controllers, handState);
+        return;
+    }
+
     // Allow right controller trigger on confirm ball to restart calibration
     try {
         const rightController = controllerConfigs[0];
@@ -811,8 +1832,6 @@ async function onFrame(delta, time, {scene, camera, renderer, player, controller
                 if (gamepad.getButtonDown && gamepad.getButtonDown(XR_BUTTONS.TRIGGER)) {
                     calibrated = false;
                     fineTuneMode = true;
-                    selectedCorner = 'topLeft';
-                    cornerDistance = 2.0;
                     widgetsSpawned = false;
                     if (widgetGroup) {
                         widgetGroup.visible = true;
@@ -837,149 +1856,149 @@ async function onFrame(delta, time, {scene, camera, renderer, player, controller
 
 // ---------- Screen rect & labels ----------
 function addScreenRect(scene) {
-    const directionX = bottomRightCorner[0] - topLeftCorner[0];
-    const directionZ = bottomRightCorner[2] - topLeftCorner[2];
-    const angle = Math.atan2(directionZ, directionX);
-    const cornerDistance = Math.sqrt(directionX * directionX + directionZ * directionZ);
-    rectXDistance = cornerDistance;
-    rectYDistance = topLeftCorner[1] - bottomRightCorner[1]; // Use actual Y distance, not aspect-locked
+    updateRectSizeFromCorners();
 
+    const arcAngle = getScreenArcAngle();
     if (!screenRect) {
-        if (getActiveScreenMode() === 'flat') {
-            const unitGeometry = new THREE.PlaneGeometry(1, 1);
-            const screenRectMaterial = new THREE.MeshBasicMaterial({
-                color: 'white',
-                transparent: true,
-                opacity: 0.2,
-                side: THREE.DoubleSide
-            });
-            screenRect = new THREE.Mesh(unitGeometry, screenRectMaterial);
-        } else if (curvedScreenTemplate) {
-            screenRect = curvedScreenTemplate.clone();
-            // Apply transparent material to all meshes in the loaded model
-            screenRect.traverse((node) => {
-                if (node.isMesh) {
-                    node.material = new THREE.MeshBasicMaterial({
-                        color: 'white',
-                        transparent: true,
-                        opacity: 0.2,
-                        side: THREE.DoubleSide
-                    });
-                    node.material.needsUpdate = true;
-                    node.frustumCulled = false;
-                }
-            });
-        } else {
-            // Fallback to plane if mesh not loaded yet
-            console.warn('Curved screen template not loaded, using fallback plane');
-            const unitGeometry = new THREE.PlaneGeometry(1, 1);
-            const screenRectMaterial = new THREE.MeshBasicMaterial({
-                color: 'white',
-                transparent: true,
-                opacity: 0.2,
-                side: THREE.DoubleSide
-            });
-            screenRect = new THREE.Mesh(unitGeometry, screenRectMaterial);
-        }
+        const screenRectMaterial = new THREE.MeshBasicMaterial({
+            color: 'white',
+            transparent: true,
+            opacity: 0.2,
+            side: THREE.DoubleSide
+        });
+        screenRect = new THREE.Mesh(createScreenGeometry(arcAngle), screenRectMaterial);
         screenRect.name = 'screenRect';
         screenRect.frustumCulled = false;
+        screenRectArc = arcAngle;
         scene.add(screenRect);
-        
-        // Calculate and cache bounding box dimensions once when mesh is first created
-        screenRect.updateMatrixWorld(true); // Ensure matrix is updated before bbox calculation
-        const bbox = new THREE.Box3().setFromObject(screenRect);
-        cachedMeshDimensions = {
-            width: bbox.max.x - bbox.min.x,
-            height: bbox.max.y - bbox.min.y,
-            depth: bbox.max.z - bbox.min.z
-        };
+    } else if (Math.abs(arcAngle - screenRectArc) > 1e-4) {
+        // With a fixed radius the arc follows the width, so resizing can reshape the mesh
+        screenRect.geometry.dispose();
+        screenRect.geometry = createScreenGeometry(arcAngle);
+        screenRectArc = arcAngle;
     }
 
-    // Use cached dimensions if available, otherwise fall back to calculating (for plane fallback)
-    const meshWidth = cachedMeshDimensions ? cachedMeshDimensions.width : 1;
-    const meshHeight = cachedMeshDimensions ? cachedMeshDimensions.height : 1;
-
-    // Calculate scale to match calibrated dimensions
-    const scaleX = rectXDistance / meshWidth;
-    const scaleY = rectYDistance / meshHeight;
-    const scaleZ = scaleX; // Maintain curve depth proportional to width
-
-    screenRect.scale.set(scaleX, scaleY, scaleZ);
-    const centerPos = new THREE.Vector3(
-        topLeftCorner[0] + (rectXDistance / 2) * Math.cos(angle),
-        topLeftCorner[1] - (rectYDistance / 2),
-        topLeftCorner[2] + (rectXDistance / 2) * Math.sin(angle)
-    );
-    screenRect.position.copy(centerPos);
-    // Curved GLB is authored facing opposite our expected forward, so we flip it.
-    // A plain PlaneGeometry is already aligned, so flipping would mirror UV->world mapping.
-    const flipY = getActiveScreenMode() === 'flat' ? 0 : Math.PI;
-    screenRect.rotation.set(0, -angle + flipY, 0);
+    // The mesh is 1 x 1; a curve keeps its depth in proportion to the width
+    screenRect.scale.set(rectXDistance, rectYDistance, rectXDistance);
+    screenRect.position.copy(getScreenCenter());
+    screenRect.quaternion.copy(getScreenQuaternion());
 
     updateWidgetPositions();
 }
 
 // ---------- Calibration persistence ----------
-function saveCalibration() {
+// The default screen keeps the original key so existing saved calibrations still load.
+function calibrationStorageKey(screenId) {
+    return (!screenId || screenId === DEFAULT_SCREEN_ID) ? 'vr-calibration' : `vr-calibration:${screenId}`;
+}
+
+function saveCalibration(anchorHandle = null) {
     try {
         const data = {
             topLeftCorner: [...topLeftCorner],
             bottomRightCorner: [...bottomRightCorner],
+            quaternion: [...screenQuaternion],
             rectXDistance,
-            rectYDistance
+            rectYDistance,
+            referenceSpace: referenceSpaceType,
+            anchorHandle,
+            savedAt: new Date().toISOString()
         };
-        localStorage.setItem('vr-calibration', JSON.stringify(data));
+        localStorage.setItem(calibrationStorageKey(activeScreenId), JSON.stringify(data));
         console.log('Calibration saved to localStorage');
     } catch (e) {
         console.warn('Failed to save calibration:', e);
     }
 }
 
+function isCalibrationData(data) {
+    return !!(data && data.topLeftCorner && data.bottomRightCorner &&
+        typeof data.rectXDistance === 'number' && typeof data.rectYDistance === 'number');
+}
+
+// This headset's saved calibration of the active screen, or null
 function loadCalibration() {
     try {
-        const stored = localStorage.getItem('vr-calibration');
-        if (!stored) return false;
-        
+        const stored = localStorage.getItem(calibrationStorageKey(activeScreenId));
+        if (!stored) return null;
         const data = JSON.parse(stored);
-        if (!data.topLeftCorner || !data.bottomRightCorner || 
-            typeof data.rectXDistance !== 'number' || typeof data.rectYDistance !== 'number') {
-            return false;
-        }
-        
-        topLeftCorner = [...data.topLeftCorner];
-        bottomRightCorner = [...data.bottomRightCorner];
-        rectXDistance = data.rectXDistance;
-        rectYDistance = data.rectYDistance;
-        
-        console.log('Calibration loaded from localStorage');
-        return true;
+        return isCalibrationData(data) ? data : null;
     } catch (e) {
         console.warn('Failed to load calibration:', e);
-        return false;
+        return null;
     }
 }
 
-function clearCalibration() {
-    try {
-        localStorage.removeItem('vr-calibration');
-        console.log('Calibration cleared from localStorage');
-    } catch (e) {
-        console.warn('Failed to clear calibration:', e);
-    }
+// Pick between this headset's save and the server's profile for the screen (offered with
+// SCREEN_CALIBRATION): the newer one wins, and saves from before savedAt existed count as oldest
+function pickStoredCalibration(local, profile) {
+    const candidates = [
+        isCalibrationData(local) ? { data: local, source: 'localStorage' } : null,
+        isCalibrationData(profile) ? { data: profile, source: `server profile "${profile.name || profile.screenId}"` } : null
+    ].filter(Boolean);
+    const age = (candidate) => Date.parse(candidate.data.savedAt) || 0;
+    candidates.sort((a, b) => age(b) - age(a));
+    return candidates[0] || null;
+}
+
+function applyStoredCalibration(data) {
+    topLeftCorner = [...data.topLeftCorner];
+    bottomRightCorner = [...data.bottomRightCorner];
+    // Older saves have no orientation and were always upright
+    screenQuaternion = (Array.isArray(data.quaternion) && data.quaternion.length === 4)
+        ? [...data.quaternion]
+        : quaternionFromCorners(topLeftCorner, bottomRightCorner);
+    rectXDistance = data.rectXDistance;
+    rectYDistance = data.rectYDistance;
+    // Saves from another kind of space are a head height off; older saves were all 'local'
+    const dy = getEyeLevel(referenceSpaceType) - getEyeLevel(data.referenceSpace || 'local');
+    if (dy !== 0) setScreenPose(getScreenCenter().add(new THREE.Vector3(0, dy, 0)), getScreenQuaternion(), rectXDistance, rectYDistance);
+    if (data.anchorHandle) screenAnchors.restore(activeScreenId, data.anchorHandle);
 }
 
 // ---------- Calibration messages ----------
 function handleCalibration(message) {
+    const screenId = message.screenId || DEFAULT_SCREEN_ID;
+    let entry = screens.get(screenId);
+    if (!entry) {
+        entry = createScreenEntry(screenId);
+        screens.set(screenId, entry);
+    }
+
+    // Calibrate this screen now unless another screen is still being calibrated
+    if (activeScreenId === null || (calibrated && !entry.calibrated && screenId !== activeScreenId)) {
+        activateScreen(screenId);
+        fineTuneMode = true;
+        widgetsSpawned = false;
+    }
+
+    if (screenId !== activeScreenId) {
+        if (!entry.calibrated) {
+            // Queued: remember the size until the active screen is done
+            entry.screenWidth = message.screenWidth;
+            entry.screenHeight = message.screenHeight;
+            entry.aspectRatio = entry.screenWidth / entry.screenHeight;
+            entry.profile = message.profile || null;
+            return;
+        }
+        withScreen(screenId, () => applyScreenCalibration(message));
+        return;
+    }
+    applyScreenCalibration(message);
+}
+
+function applyScreenCalibration(message) {
     screenWidth = message.screenWidth;
     screenHeight = message.screenHeight;
     aspectRatio = screenWidth / screenHeight;
 
-    // Try to load from localStorage once (before sceneVar is ready)
+    // Try to load a stored calibration once (before sceneVar is ready)
     if (!hasTriedLoadingCalibration && !calibrated) {
         hasTriedLoadingCalibration = true;
-        const loaded = loadCalibration();
-        if (loaded) {
-            console.log('Loaded previous calibration position from localStorage');
+        const stored = pickStoredCalibration(loadCalibration(), message.profile);
+        if (stored) {
+            applyStoredCalibration(stored.data);
+            console.log(`Loaded previous calibration position from ${stored.source}`);
         }
     }
 
@@ -996,14 +2015,8 @@ function handleCalibration(message) {
         const prevRectY = rectYDistance;
         const nextRectY = rectXDistance / aspectRatio;
         if (!prevRectY || Math.abs(nextRectY - prevRectY) > 1e-6) {
-            const tl = new THREE.Vector3(topLeftCorner[0], topLeftCorner[1], topLeftCorner[2]);
-            const br = new THREE.Vector3(bottomRightCorner[0], bottomRightCorner[1], bottomRightCorner[2]);
-            const center = tl.clone().add(br).multiplyScalar(0.5);
-            rectYDistance = nextRectY;
-
-            // Preserve horizontal placement and rotation; adjust Y extents about center.
-            topLeftCorner[1] = center.y + rectYDistance / 2;
-            bottomRightCorner[1] = center.y - rectYDistance / 2;
+            // Preserve placement and orientation; adjust the height about the center.
+            setScreenPose(getScreenCenter(), getScreenQuaternion(), rectXDistance, nextRectY);
 
             addScreenRect(sceneVar);
             updateWidgetPositions();
@@ -1014,19 +2027,11 @@ function handleCalibration(message) {
     if (calibrated) return;
 
     if (sceneVar && !screenRect) {
-        if (!curvedScreenTemplate) {
-            console.warn('Curved screen template not loaded yet, retrying in 500ms...');
-            setTimeout(() => handleCalibration(message), 500);
-            return;
-        }
-        
         // Only use default position if we didn't load from localStorage
         if (!rectXDistance || !rectYDistance) {
-            const center = new THREE.Vector3(0, -0.3, -0.6);
-            rectXDistance = 1.0;
-            rectYDistance = aspectRatio ? (rectXDistance / aspectRatio) : 0.5;
-            topLeftCorner = [center.x - rectXDistance / 2, center.y + rectYDistance / 2, center.z];
-            bottomRightCorner = [center.x + rectXDistance / 2, center.y - rectYDistance / 2, center.z];
+            const center = new THREE.Vector3(0, getEyeLevel(referenceSpaceType) - 0.3, -0.6);
+            const width = 1.0;
+            setScreenPose(center, new THREE.Quaternion(), width, aspectRatio ? (width / aspectRatio) : 0.5);
         }
         
         addScreenRect(sceneVar);
@@ -1034,21 +2039,23 @@ function handleCalibration(message) {
     }
 }
 
-function resetCalibration() {
-    calibrated = false;
-    fineTuneMode = true;
-    clearCalibration();
-    hasTriedLoadingCalibration = false;
-    selectedCorner = 'topLeft';
-    if (screenRect) { sceneVar.remove(screenRect); screenRect = null; }
-    if (frontLabel) { if (frontLabel.parent) frontLabel.parent.remove(frontLabel); frontLabel = null; }
-    if (backLabel) { if (backLabel.parent) backLabel.parent.remove(backLabel); backLabel = null; }
-    cachedMeshDimensions = null; // Reset cached dimensions
-    topLeftCorner = [-0.5, 1.6, -2.0];
-    bottomRightCorner = [1.0, 0.8, -2.0];
-    rectXDistance = null;
-    rectYDistance = null;
-    aspectRatio = null;
+function resetCalibration(message) {
+    const screenId = (message && message.screenId) || DEFAULT_SCREEN_ID;
+    const entry = screens.get(screenId);
+    if (!entry) return;
+    stashActiveScreen();
+    if (entry.screenRect && entry.screenRect.parent) entry.screenRect.parent.remove(entry.screenRect);
+    // The screen may just be reloading: keep the save and its persistent anchor so both come back
+    // when it reconnects. Calibrating it again replaces the anchor (see anchorActiveScreen).
+    screenAnchors.release(screenId);
+    screens.delete(screenId);
+    if (accuracyTest && accuracyTest.screenId === screenId) endAccuracyTest();
+    if (screenId === activeScreenId) {
+        stopCalibrationInteraction();
+        activeScreenId = null;
+        resetActiveScreenGlobals();
+        beginNextScreenCalibration();
+    }
 }
 
 // ---------- Registration ----------
@@ -1058,9 +2065,15 @@ function updateStatus() {
     void state;
 }
 
-cm.handleEvent('CLOSE', updateStatus);
-cm.handleEvent('SCREEN_CALIBRATION', handleCalibration);
-cm.handleEvent('SCREEN_DISCONNECTED', resetCalibration);
+cm.on('CLOSE', updateStatus);
+cm.on('RECONNECTED', updateStatus);
+cm.on('RECONNECTED', flushPendingCalibrationMessages);
+cm.on('SCREEN_CALIBRATION', handleCalibration);
+cm.on('SCREEN_DISCONNECTED', resetCalibration);
+cm.on('ACCURACY_TEST', startAccuracyTest);
+cm.on('SCREEN_LAYOUT', (message) => {
+    if (message && Array.isArray(message.screens)) screenLayout = message;
+});
 
 // Initialize XR scene
 init(setupScene, onFrame);
\ No newline at end of file
@@ -0,0 +1,400 @@
+import * as THREE from 'three';
+import { Text } from 'troika-three-text';
+import { GAMES } from './games/index.js';
+import { getAllSettingsMetadata, getConfigValue } from './settingsSchema.js';
+
+// In-headset menu: switch the active game and change settings without taking the headset off.
+// Pages are built from the same metadata as the /settings page (GAMES and SYSTEM_SETTINGS_METADATA
+// via getAllSettingsMetadata), and every change goes through onChange, which vr.js sends to
+// POST /api/config so the server validates it and broadcasts CONFIG_UPDATE as usual.
+//
+// Buttons are pressed by pointing a controller ray at them and pulling the trigger, or by
+// pinching with the pinch point on the button. vr.js turns controllers and hands into that input.
+
+const PANEL_WIDTH = 0.6;
+const PANEL_HEIGHT = 0.5;
+const PANEL_DISTANCE = 0.5; // In front of the head when opened
+const PANEL_DROP = 0.12; // Below eye level, so the game stays in view above it
+const ROWS_PER_PAGE = 5;
+const ROW_HEIGHT = 0.065;
+const BUTTON_HEIGHT = 0.05;
+const BUTTON_DEPTH = 0.01;
+const PINCH_REACH = 0.04; // How far in front of (or behind) the panel a pinch still presses a button
+const RAY_LENGTH = 1.5;
+
+const PANEL_COLOR = 0x1b1f2a;
+const BUTTON_COLOR = 0x3a4660;
+const ACTIVE_COLOR = 0x2e8b57;
+const HOVER_COLOR = 0x6f86b5;
+
+// Colors offered for 'color' settings (the /settings page has a full picker)
+export const MENU_COLORS = ['#111111', '#ffffff', '#e53935', '#fb8c00', '#fdd835', '#43a047', '#1e88e5', '#8e24aa', '#ffee66'];
+
+/**
+ * Menu pages for the active game: the game list, system settings (without activeGameId,
+ * which the game list covers) and the active game's own settings
+ * @param {string} activeGameId
+ * @returns {Array} [{ id, title, settings? }]; settings are entries from getAllSettingsMetadata
+ */
+export function getMenuPages(activeGameId) {
+    const all = getAllSettingsMetadata();
+    const pages = [
+        { id: 'games', title: 'Games' },
+        { id: 'system', title: 'System', settings: all.filter((setting) => setting.gameId === null && setting.key !== 'activeGameId') }
+    ];
+    const active = GAMES.get(activeGameId);
+    const gameSettings = all.filter((setting) => setting.gameId === activeGameId);
+    if (active && gameSettings.length > 0) pages.push({ id: 'game', title: active.metadata.name || activeGameId, settings: gameSettings });
+    return pages;
+}
+
+function stepDecimals(step) {
+    const fraction = String(step).split('.')[1];
+    return fraction ? fraction.length : 0;
+}
+
+function getOptionValues(setting) {
+    const options = setting.options || setting.validValues || [];
+    return options.map((opt) => (typeof opt === 'object' ? opt.value : opt));
+}
+
+function cycle(values, current, direction) {
+    if (values.length === 0) return current;
+    const index = values.findIndex((value) => String(value).toLowerCase() === String(current).toLowerCase());
+    if (index === -1) return values[0];
+    return values[(index + direction + values.length) % values.length];
+}
+
+/**
+ * Value one step up or down from the current one: numbers move by their step (counted from min,
+ * as validation does) within min/max, booleans flip, selects and colors cycle
+ * @param {Object} setting - Setting metadata
+ * @param {*} value - Current value
+ * @param {number} direction - 1 or -1
+ * @returns {*} The next value
+ */
+export function getNextSettingValue(setting, value, direction) {
+    switch (setting.type) {
+        case 'boolean':
+            return !value;
+        case 'number': {
+            const step = setting.step || 1;
+            const base = setting.min ?? 0;
+            const current = typeof value === 'number' && Number.isFinite(value) ? value : setting.default;
+            let next = base + (Math.round((current - base) / step) + direction) * step;
+            if (setting.min !== undefined) next = Math.max(setting.min, next);
+            if (setting.max !== undefined) next = Math.min(setting.max, next);
+            return Number(next.toFixed(stepDecimals(step)));
+        }
+        case 'color':
+            return cycle(MENU_COLORS, value, direction);
+        default:
+            return cycle(getOptionValues(setting), value, direction);
+    }
+}
+
+/**
+ * Partial config for POST /api/config that sets one value
+ * @param {Object} setting - Entry from getAllSettingsMetadata (has gameId)
+ * @param {*} value
+ * @returns {Object} { system: { key } } or { games: { [gameId]: { key } } }
+ */
+export function buildSettingUpdate(setting, value) {
+    if (setting.gameId === null) return { system: { [setting.key]: value } };
+    return { games: { [setting.gameId]: { [setting.key]: value } } };
+}
+
+function formatValue(setting, value) {
+    if (value === undefined || value === null) return '-';
+    if (setting.type === 'boolean') return value ? 'On' : 'Off';
+    if (setting.type === 'number') return setting.step ? value.toFixed(stepDecimals(setting.step)) : String(value);
+    const option = (setting.options || []).find((opt) => typeof opt === 'object' && opt.value === value);
+    return option ? String(option.label) : String(value);
+}
+
+function createText(text, size, anchorX = 'center') {
+    const label = new Text();
+    label.text = text;
+    label.fontSize = size;
+    label.anchorX = anchorX;
+    label.anchorY = 'middle';
+    label.color = 0xffffff;
+    label.frustumCulled = false;
+    label.sync();
+    return label;
+}
+
+function disposeObject(object) {
+    object.traverse((node) => {
+        if (typeof node.dispose === 'function') node.dispose();
+        else if (node.isMesh) {
+            node.geometry.dispose();
+            node.material.dispose();
+        }
+    });
+}
+
+/**
+ * In-world menu panel
+ * @param {Object} options
+ * @param {Function} options.getConfig - () => { system, games }, the current config
+ * @param {Function} options.onChange - (partialConfig) => Promise, applies a change (rejects with a message to show)
+ * @returns {Object} { object, isOpen(), open(camera), close(), toggle(camera), refresh(), update(input) }
+ */
+export function createVRMenu({ getConfig, onChange }) {
+    const object = new THREE.Group(); // Add to the scene; the panel and pointer lines live inside
+    const panel = new THREE.Group();
+    panel.visible = false;
+    object.add(panel);
+
+    const background = new THREE.Mesh(
+        new THREE.PlaneGeometry(PANEL_WIDTH, PANEL_HEIGHT),
+        new THREE.MeshBasicMaterial({ color: PANEL_COLOR, transparent: true, opacity: 0.9, side: THREE.DoubleSide })
+    );
+    background.frustumCulled = false;
+    panel.add(background);
+
+    const content = new THREE.Group();
+    panel.add(content);
+    let buttons = []; // Meshes with userData { action, baseColor, x, y, width }
+    let pageId = 'games';
+    let offset = 0;
+    let status = '';
+
+    const rayLines = {};
+    function getRayLine(side) {
+        if (!rayLines[side]) {
+            const geometry = new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(), new THREE.Vector3(0, 0, -1)]);
+            rayLines[side] = new THREE.Line(geometry, new THREE.LineBasicMaterial({ color: 0xffffff }));
+            rayLines[side].frustumCulled = false;
+            object.add(rayLines[side]);
+        }
+        return rayLines[side];
+    }
+
+    function addButton(action, label, x, y, width, color = BUTTON_COLOR) {
+        const mesh = new THREE.Mesh(
+            new THREE.BoxGeometry(width, BUTTON_HEIGHT, BUTTON_DEPTH),
+            new THREE.MeshBasicMaterial({ color })
+        );
+        mesh.position.set(x, y, BUTTON_DEPTH / 2);
+        mesh.frustumCulled = false;
+        mesh.userData = { action, baseColor: color, x, y, width };
+        if (label) {
+            const text = createText(label, 0.024);
+            text.position.set(0, 0, BUTTON_DEPTH / 2 + 0.001);
+            mesh.add(text);
+        }
+        content.add(mesh);
+        buttons.push(mesh);
+        return mesh;
+    }
+
+    function addLabel(text, x, y, size = 0.024, anchorX = 'left', maxWidth = Infinity) {
+        const label = createText(text, size, anchorX);
+        label.maxWidth = maxWidth;
+        label.position.set(x, y, 0.002);
+        content.add(label);
+        return label;
+    }
+
+    function addSettingRow(setting, value, y) {
+        addLabel(setting.label || setting.key, -PANEL_WIDTH / 2 + 0.03, y, 0.02, 'left', 0.3);
+        if (setting.type === 'boolean') {
+            addButton({ kind: 'step', setting, direction: 1 }, formatValue(setting, value), 0.17, y, 0.14, value ? ACTIVE_COLOR : BUTTON_COLOR);
+            return;
+        }
+        const [down, up] = setting.type === 'number' ? ['-', '+'] : ['<', '>'];
+        addButton({ kind: 'step', setting, direction: -1 }, down, 0.07, y, 0.05);
+        addButton({ kind: 'step', setting, direction: 1 }, up, 0.27, y, 0.05);
+        if (setting.type === 'color' && typeof value === 'string') {
+            const swatch = new THREE.Mesh(new THREE.PlaneGeometry(0.1, BUTTON_HEIGHT), new THREE.MeshBasicMaterial({ color: new THREE.Color(value) }));
+            swatch.position.set(0.17, y, 0.002);
+            swatch.frustumCulled = false;
+            content.add(swatch);
+        } else {
+            addLabel(formatValue(setting, value), 0.17, y, 0.022, 'center');
+        }
+    }
+
+    // Rebuild the panel contents from the current config
+    function refresh() {
+        for (const child of [...content.children]) {
+            content.remove(child);
+            disposeObject(child);
+        }
+        buttons = [];
+
+        const config = getConfig() || { system: {}, games: {} };
+        const activeGameId = config.system && config.system.activeGameId;
+        const pages = getMenuPages(activeGameId);
+        const page = pages.find((candidate) => candidate.id === pageId) || pages[0];
+        pageId = page.id;
+
+        const top = PANEL_HEIGHT / 2;
+        const tabWidth = (PANEL_WIDTH - 0.04 - 0.07) / pages.length;
+        pages.forEach((tab, i) => {
+            const x = -PANEL_WIDTH / 2 + 0.02 + tabWidth * (i + 0.5);
+            addButton({ kind: 'tab', pageId: tab.id }, tab.title, x, top - 0.045, tabWidth - 0.01, tab.id === page.id ? ACTIVE_COLOR : BUTTON_COLOR);
+        });
+        addButton({ kind: 'close' }, 'X', PANEL_WIDTH / 2 - 0.045, top - 0.045, 0.05, 0x8b2e2e);
+
+        const entries = page.id === 'games' ? Array.from(GAMES.entries()) : page.settings;
+        offset = Math.max(0, Math.min(offset, Math.max(0, entries.length - 1)));
+        const visible = entries.slice(offset, offset + ROWS_PER_PAGE);
+        visible.forEach((entry, i) => {
+            const y = top - 0.12 - i * ROW_HEIGHT;
+            if (page.id === 'games') {
+                const [gameId, { metadata }] = entry;
+                addButton({ kind: 'game', gameId }, metadata.name || gameId, 0, y, PANEL_WIDTH - 0.06, gameId === activeGameId ? ACTIVE_COLOR : BUTTON_COLOR);
+            } else {
+                addSettingRow(entry, getConfigValue(config, entry.path), y);
+            }
+        });
+
+        const bottom = -PANEL_HEIGHT / 2 + 0.04;
+        if (offset > 0) addButton({ kind: 'scroll', delta: -ROWS_PER_PAGE }, 'Prev', -PANEL_WIDTH / 2 + 0.07, bottom, 0.1);
+        if (offset + ROWS_PER_PAGE < entries.length) addButton({ kind: 'scroll', delta: ROWS_PER_PAGE }, 'Next', PANEL_WIDTH / 2 - 0.07, bottom, 0.1);
+        if (status) addLabel(status, 0, bottom, 0.018, 'center', 0.36);
+    }
+
+    function setStatus(text) {
+        status = text;
+        refresh();
+    }
+
+    function apply(update) {
+        setStatus('Saving...');
+        Promise.resolve(onChange(update))
+            .then(() => setStatus(''))
+            .catch((e) => setStatus(e && e.message ? e.message : 'Could not save'));
+    }
+
+    function activate(action) {
+        const config = getConfig() || { system: {}, games: {} };
+        switch (action.kind) {
+            case 'tab':
+                pageId = action.pageId;
+                offset = 0;
+                refresh();
+                break;
+            case 'scroll':
+                offset += action.delta;
+                refresh();
+                break;
+            case 'close':
+                close();
+                break;
+            case 'game':
+                if (config.system && config.system.activeGameId === action.gameId) break;
+                apply({ system: { activeGameId: action.gameId } });
+                break;
+            case 'step': {
+                const { setting, direction } = action;
+                apply(buildSettingUpdate(setting, getNextSettingValue(setting, getConfigValue(config, setting.path), direction)));
+                break;
+            }
+        }
+    }
+
+    // Button under a pinch point, if it is close enough to the panel
+    function findPinchedButton(position) {
+        const local = panel.worldToLocal(position.clone());
+        if (Math.abs(local.z) > PINCH_REACH) return null;
+        return buttons.find(({ userData }) =>
+            Math.abs(local.x - userData.x) <= userData.width / 2 && Math.abs(local.y - userData.y) <= BUTTON_HEIGHT / 2) || null;
+    }
+
+    const raycaster = new THREE.Raycaster();
+
+    /**
+     * Handle one frame of input while open
+     * @param {Object} input
+     * @param {Array} [input.rays] - [{ side, origin, direction, pressed }], pressed on the frame the trigger went down
+     * @param {Array} [input.pinches] - [{ side, position, started }], started on the frame the pinch closed
+     */
+    function update({ rays = [], pinches = [] } = {}) {
+        for (const line of Object.values(rayLines)) line.visible = false;
+        if (!panel.visible) return;
+
+        const nextHovered = new Set();
+        const pressed = [];
+        for (const { side, origin, direction, pressed: down } of rays) {
+            raycaster.set(origin, direction);
+            const hits = raycaster.intersectObjects([...buttons, background], false);
+            const hit = hits[0] || null;
+            const button = hit && buttons.includes(hit.object) ? hit.object : null;
+            const line = getRayLine(side);
+            line.visible = true;
+            line.position.copy(origin);
+            line.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, -1), direction);
+            line.scale.setScalar(hit ? hit.distance : RAY_LENGTH);
+            if (button) {
+                nextHovered.add(button);
+                if (down) pressed.push(button);
+            }
+        }
+        for (const { position, started } of pinches) {
+            const button = findPinchedButton(position);
+            if (!button) continue;
+            nextHovered.add(button);
+            if (started) pressed.push(button);
+        }
+
+        for (const button of buttons) {
+            button.material.color.setHex(nextHovered.has(button) ? HOVER_COLOR : button.userData.baseColor);
+        }
+        // One press per frame: the first action may rebuild the buttons
+        if (pressed.length > 0) activate(pressed[0].userData.action);
+    }
+
+    function isOpen() {
+        return panel.visible;
+    }
+
+    // Show the panel in front of the head, upright and facing it
+    function open(camera) {
+        const head = new THREE.Vector3();
+        camera.getWorldPosition(head);
+        const forward = new THREE.Vector3();
+        camera.getWorldDirection(forward);
+        forward.y = 0;
+        if (forward.lengthSq() < 1e-6) forward.set(0, 0, -1);
+        forward.normalize();
+        panel.position.copy(head).addScaledVector(forward, PANEL_DISTANCE);
+        panel.position.y -= PANEL_DROP;
+        // Yaw only, so the panel's front (+Z) points back at the head
+        panel.rotation.set(0, Math.atan2(-forward.x, -forward.z), 0);
+        panel.visible = true;
+        status = '';
+        refresh();
+    }
+
+    function close() {
+        panel.visible = false;
+        for (const line of Object.values(rayLines)) line.visible = false;
+    }
+
+    function toggle(camera) {
+        if (panel.visible) close();
+        else open(camera);
+    }
+
+    return {
+        object,
+        isOpen,
+        open,
+        close,
+        toggle,
+        refresh: () => { if (panel.visible) refresh(); },
+        update
+    };
+}
+
+export default {
+    MENU_COLORS,
+    getMenuPages,
+    getNextSettingValue,
+    buildSettingUpdate,
+    createVRMenu
+};
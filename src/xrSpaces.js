@@ -0,0 +1,209 @@
+import * as THREE from 'three';
+
+// Reference spaces and anchors that keep a calibration valid across XR sessions.
+//
+// ARButton starts every session in the 'local' space, whose origin is wherever the headset was
+// when the session began, so a saved screen pose lands somewhere else after a restart.
+// useBestReferenceSpace() switches to 'bounded-floor' (origin fixed to the play area) or
+// 'local-floor' when the device offers them, and the anchor store pins each screen pose to
+// a WebXR anchor that the device keeps in place across sessions when it supports persistence.
+// Everything here falls back quietly: no floor spaces keeps 'local', no anchors keeps plain poses.
+
+// Best first; 'local' is always available (init.js requires it)
+export const REFERENCE_SPACE_TYPES = ['bounded-floor', 'local-floor', 'local'];
+
+// Session features to request as optional alongside hand tracking
+export const XR_OPTIONAL_FEATURES = ['anchors', 'bounded-floor', 'local-floor'];
+
+const FLOOR_SPACE_TYPES = ['bounded-floor', 'local-floor'];
+
+export function isFloorSpace(type) {
+    return FLOOR_SPACE_TYPES.includes(type);
+}
+
+/**
+ * Switch the renderer to the best reference space the session grants
+ * @param {THREE.WebGLRenderer} renderer - Renderer with a running XR session
+ * @returns {Promise<string>} The type in use ('local' when nothing better was granted)
+ */
+export async function useBestReferenceSpace(renderer) {
+    const session = renderer.xr.getSession();
+    if (!session) return 'local';
+    for (const type of REFERENCE_SPACE_TYPES) {
+        if (type === 'local') break;
+        try {
+            const space = await session.requestReferenceSpace(type);
+            renderer.xr.setReferenceSpace(space);
+            return type;
+        } catch (e) {
+            // Not granted or not supported: try the next one
+        }
+    }
+    return 'local';
+}
+
+/**
+ * Anchors by key (vr.js uses the screen id). Anchors can only be created inside an XR frame,
+ * so place() and restore() queue work that update() carries out on the next frame.
+ * @returns {Object} { place, restore, release, remove, update, reset }
+ */
+export function createAnchorStore() {
+    const entries = new Map(); // key -> { anchor, handle, session }
+    let jobs = []; // Queued or in flight: { kind, key, pose | handle, started, superseded, resolve }
+
+    function forget(key, deletePersistent) {
+        const entry = entries.get(key);
+        if (!entry) return;
+        entries.delete(key);
+        if (entry.anchor && typeof entry.anchor.delete === 'function') {
+            try { entry.anchor.delete(); } catch (e) { /* already gone */ }
+        }
+        if (deletePersistent && entry.handle && entry.session && typeof entry.session.deletePersistentAnchor === 'function') {
+            entry.session.deletePersistentAnchor(entry.handle).catch(() => {});
+        }
+    }
+
+    async function createAnchor(frame, referenceSpace, { position, quaternion }) {
+        if (typeof frame.createAnchor !== 'function') return null;
+        const transform = new XRRigidTransform(
+            { x: position.x, y: position.y, z: position.z },
+            { x: quaternion.x, y: quaternion.y, z: quaternion.z, w: quaternion.w }
+        );
+        return frame.createAnchor(transform, referenceSpace);
+    }
+
+    async function run(job, frame, referenceSpace) {
+        const session = frame.session;
+        job.started = true;
+        try {
+            let anchor = null;
+            let handle = null;
+            if (job.kind === 'place') {
+                anchor = await createAnchor(frame, referenceSpace, job.pose);
+                if (anchor && typeof anchor.requestPersistentHandle === 'function') {
+                    handle = await anchor.requestPersistentHandle().catch(() => null);
+                }
+            } else if (typeof session.restorePersistentAnchor === 'function') {
+                anchor = await session.restorePersistentAnchor(job.handle);
+                handle = job.handle;
+            }
+            // A newer request for the same key (or remove()) wins over this one
+            if (!anchor || job.superseded) {
+                if (anchor) anchor.delete();
+                if (handle && job.kind === 'place' && typeof session.deletePersistentAnchor === 'function') {
+                    session.deletePersistentAnchor(handle).catch(() => {});
+                }
+                job.resolve(null);
+                return;
+            }
+            forget(job.key, job.kind === 'place');
+            entries.set(job.key, { anchor, handle, session });
+            job.resolve(handle);
+        } catch (e) {
+            console.warn(`Anchor ${job.kind} failed for "${job.key}":`, e);
+            job.resolve(null);
+        } finally {
+            jobs = jobs.filter((other) => other !== job);
+        }
+    }
+
+    // Cancel the key's queued jobs and make its in-flight ones discard their result
+    function supersede(key) {
+        for (const job of jobs) {
+            if (job.key !== key) continue;
+            job.superseded = true;
+            if (!job.started) job.resolve(null);
+        }
+        jobs = jobs.filter((job) => job.started);
+    }
+
+    function enqueue(job) {
+        supersede(job.key);
+        return new Promise((resolve) => {
+            job.resolve = resolve;
+            jobs.push(job);
+        });
+    }
+
+    /**
+     * Pin a pose to a new anchor, replacing the key's previous one
+     * @param {string} key
+     * @param {THREE.Vector3} position - In the renderer's reference space
+     * @param {THREE.Quaternion} quaternion
+     * @returns {Promise<string|null>} Persistent handle, or null when the anchor is not persistent or failed
+     */
+    function place(key, position, quaternion) {
+        return enqueue({ kind: 'place', key, pose: { position: position.clone(), quaternion: quaternion.clone() } });
+    }
+
+    /**
+     * Bring back an anchor saved in an earlier session
+     * @param {string} key
+     * @param {string} handle - From place()
+     * @returns {Promise<string|null>} The handle once restored, or null
+     */
+    function restore(key, handle) {
+        if (!handle) return Promise.resolve(null);
+        const current = entries.get(key);
+        if (current && current.handle === handle) return Promise.resolve(handle);
+        return enqueue({ kind: 'restore', key, handle });
+    }
+
+    // Stop tracking a key for this session; its persistent anchor stays and can be restored later
+    function release(key) {
+        supersede(key);
+        forget(key, false);
+    }
+
+    // Stop tracking a key and delete its persistent anchor
+    function remove(key) {
+        supersede(key);
+        forget(key, true);
+    }
+
+    /**
+     * Run queued work and read the anchors' current poses. Call once per XR frame.
+     * @param {XRFrame} frame
+     * @param {XRReferenceSpace} referenceSpace
+     * @returns {Map<string, { position: THREE.Vector3, quaternion: THREE.Quaternion }>} Poses of anchors tracked this frame
+     */
+    function update(frame, referenceSpace) {
+        const poses = new Map();
+        if (!frame || !referenceSpace) return poses;
+        for (const job of jobs) {
+            // Runs asynchronously; the anchor shows up in a later frame
+            if (!job.started) void run(job, frame, referenceSpace);
+        }
+        for (const [key, { anchor }] of entries) {
+            if (frame.trackedAnchors && !frame.trackedAnchors.has(anchor)) continue;
+            const pose = frame.getPose(anchor.anchorSpace, referenceSpace);
+            if (!pose) continue;
+            const { position, orientation } = pose.transform;
+            poses.set(key, {
+                position: new THREE.Vector3(position.x, position.y, position.z),
+                quaternion: new THREE.Quaternion(orientation.x, orientation.y, orientation.z, orientation.w)
+            });
+        }
+        return poses;
+    }
+
+    // Anchors die with their session; persistent ones can be restored in the next
+    function reset() {
+        for (const job of jobs) {
+            job.superseded = true;
+            if (!job.started) job.resolve(null);
+        }
+        jobs = [];
+        entries.clear();
+    }
+
+    return { place, restore, release, remove, update, reset };
+}
+
+export default {
+    REFERENCE_SPACE_TYPES,
+    XR_OPTIONAL_FEATURES,
+    isFloorSpace,
+    useBestReferenceSpace,
+    createAnchorStore
+};
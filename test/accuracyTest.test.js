@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getTestPoints, summarizeAccuracyTest, describeAccuracyTest } from '../src/accuracyTest.js';
+
+test('test points cover the canvas in a 3 x 3 grid', () => {
+    const points = getTestPoints(1920, 1080);
+    assert.equal(points.length, 9);
+    assert.deepEqual(points[0], { canvasX: 192, canvasY: 108 });
+    assert.deepEqual(points[4], { canvasX: 960, canvasY: 540 });
+    assert.deepEqual(points[8], { canvasX: 1728, canvasY: 972 });
+});
+
+test('the report has per-point errors and an RMS over the points that were hit', () => {
+    const [a, b, c] = getTestPoints(1000, 1000);
+    const report = summarizeAccuracyTest([
+        { target: a, hit: { canvasX: a.canvasX + 3, canvasY: a.canvasY + 4 }, method: 'ray' },
+        { target: b, hit: { canvasX: b.canvasX, canvasY: b.canvasY - 12 }, method: 'touch' },
+        { target: c, hit: null, method: null }
+    ]);
+    assert.deepEqual(report.points.map((p) => p.errorPx), [5, 12, null]);
+    assert.equal(report.rmsPx, Math.round(Math.sqrt((25 + 144) / 2) * 10) / 10);
+    assert.equal(report.meanPx, 8.5);
+    assert.equal(report.maxPx, 12);
+    assert.equal(report.missed, 1);
+    assert.equal(describeAccuracyTest(report), `RMS ${report.rmsPx} px, worst 12 px, 1 missed`);
+});
+
+test('a test where every dot was missed has no RMS', () => {
+    const report = summarizeAccuracyTest(getTestPoints(800, 600).map((target) => ({ target, hit: null })));
+    assert.equal(report.rmsPx, null);
+    assert.equal(report.missed, 9);
+    assert.equal(describeAccuracyTest(report), 'every dot was missed');
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { createGameHarness } from './gameHarness.js';
+
+test('a controller swipe at 1 m/s through ball 0 sends APPLY_FORCE and moves the ball', async () => {
+    // No gravity, so ball 0 (which starts at rest) only moves if the swipe pushes it
+    const harness = await createGameHarness('balls', { settings: { gravityMultiplier: 0 } });
+    await harness.start();
+    await harness.step();
+
+    const ball0 = harness.screenGame.balls.find((b) => b.id === 0);
+    const startX = ball0.x;
+
+    // Swipe left to right across the line from the head to the ball, 30% of the way to the screen
+    const ballWorld = harness.canvasToWorld(ball0.x, ball0.y);
+    const crossing = ballWorld.clone().multiplyScalar(0.3);
+    const speed = 1.0;
+    const delta = 1 / 60;
+    // 0.2 s covers 0.2 m: through ball 0's line but short of ball 1's
+    const start = crossing.clone().add(new THREE.Vector3(-0.15, 0, 0));
+    await harness.run(0.2, {
+        delta,
+        onFrame: (i) => harness.setControllerPose('right', start.clone().add(new THREE.Vector3(speed * delta * i, 0, 0)))
+    });
+
+    const forces = harness.sent('APPLY_FORCE', 'vr');
+    assert.equal(forces.length, 1, 'exactly one impulse on touch enter');
+    const force = forces[0].payload;
+    assert.equal(force.ballId, 0);
+    assert.ok(Math.abs(force.forceX - speed) < 0.05, `forceX ${force.forceX} should match the swipe speed`);
+    assert.ok(Math.abs(force.forceY) < 0.05, `forceY ${force.forceY} should be ~0 for a horizontal swipe`);
+    assert.deepEqual(forces[0].deliveredTo, ['screen']);
+
+    assert.ok(ball0.vx > 0, 'ball 0 was pushed to the right');
+    assert.ok(ball0.x > startX, 'ball 0 moved to the right');
+    harness.dispose();
+});
+
+test('a slow swipe below the minimum speed does not push anything', async () => {
+    const harness = await createGameHarness('balls', { settings: { gravityMultiplier: 0 } });
+    await harness.start();
+    await harness.step();
+
+    const ball0 = harness.screenGame.balls.find((b) => b.id === 0);
+    const crossing = harness.canvasToWorld(ball0.x, ball0.y).multiplyScalar(0.3);
+    const start = crossing.clone().add(new THREE.Vector3(-0.1, 0, 0));
+    // 0.1 m/s, under the default handMinSwipeSpeedMetersPerSec of 0.25
+    await harness.run(2, {
+        onFrame: (i) => harness.setControllerPose('right', start.clone().add(new THREE.Vector3(0.1 * i / 60, 0, 0)))
+    });
+
+    assert.equal(harness.sent('APPLY_FORCE').length, 0);
+    harness.dispose();
+});
@@ -0,0 +1,413 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import * as THREE from 'three';
+import { buildScreenMeta, buildScreensContext, computeScreenState } from '../src/screenState.js';
+import { createEmulatedController, createEmulatedHand, aimController, setButton, setAxis } from '../src/emulatedController.js';
+import { createPointerTracker, getPrimaryButtons } from '../src/pointerEvents.js';
+import { createTouchTracker } from '../src/touchEvents.js';
+import { getScreenMapping } from '../src/screenMapping.js';
+import { validateSetting } from '../src/settingsSchema.js';
+import { createMockCanvas, installBrowserStubs } from './mockCanvas.js';
+
+// Runs one game in Node: a SCREEN side drawing on a mock canvas and a VR side in a three.js
+// scene without a renderer, with scripted controllers/hands. GAME_EVENTs and requests travel
+// between the two in-process with zero latency on a fake clock advanced by step().
+//
+// Each side gets its own copy of the game module (imported with a different query string),
+// so they share no state, just like two browsers.
+//
+// Games log freely (every received message, in some cases), so console.log/info/debug output
+// from game code is dropped unless the harness is created with { quiet: false }.
+
+const GAMES_DIR = fileURLToPath(new URL('../src/games/', import.meta.url));
+const DEFAULT_SCREEN = { screenId: 'main', width: 1600, height: 900 };
+// The screen hangs on a wall in front of the head, like the desktop emulator's
+const DEFAULT_WALL = { center: [0, 0, -1.5], width: 1.6 };
+const REST_OFFSETS = { right: [0.15, -0.25, -0.2], left: [-0.15, -0.25, -0.2] };
+const START_TIME_MS = 1000000;
+const DEFAULT_REQUEST_TIMEOUT_MS = 5000;
+
+const QUIET_METHODS = ['log', 'info', 'debug'];
+
+// Run game code with chatty console methods muted (warnings and errors still show)
+async function runQuietly(quiet, fn) {
+    if (!quiet) return fn();
+    const saved = QUIET_METHODS.map((name) => console[name]);
+    for (const name of QUIET_METHODS) console[name] = () => {};
+    try {
+        return await fn();
+    } finally {
+        QUIET_METHODS.forEach((name, i) => { console[name] = saved[i]; });
+    }
+}
+
+function resolveGameUrl(game) {
+    const file = /[\\/]|\.js$/.test(game) ? path.resolve(game) : path.join(GAMES_DIR, `${game}Game.js`);
+    if (!fs.existsSync(file)) throw new Error(`Game module not found: ${file}`);
+    return pathToFileURL(file).href;
+}
+
+// Metadata defaults overlaid with the test's values, checked like POST /api/config
+function buildSettings(metadata, overrides) {
+    const settings = {};
+    const definitions = (metadata && metadata.settings) || [];
+    for (const setting of definitions) settings[setting.key] = setting.default;
+    for (const [key, value] of Object.entries(overrides || {})) {
+        const setting = definitions.find((s) => s.key === key);
+        if (!setting) throw new Error(`Unknown setting "${key}" for game "${metadata && metadata.id}"`);
+        const result = validateSetting(setting, value);
+        if (result.error) throw new Error(`Invalid setting "${key}": ${result.error}`);
+        settings[key] = result.value;
+    }
+    return settings;
+}
+
+// Same rules as the server's createTargetMatcher (plus the legacy screenId filter)
+function matchesTarget(to, screenId, sender, recipient) {
+    if (screenId && recipient.info.clientType === 'SCREEN' && recipient.info.screenId !== screenId) return false;
+    if (to === undefined || to === null || to === 'all') return true;
+    if (to === 'others') return recipient !== sender;
+    if (to === 'screens') return recipient.info.clientType === 'SCREEN';
+    if (to === 'vr') return recipient.info.clientType === 'VR';
+    if (to === 'desktop') return false;
+    if (typeof to === 'object') {
+        if (typeof to.userID === 'string') return recipient.info.userID === to.userID;
+        if (typeof to.screenId === 'string') return recipient.info.clientType === 'SCREEN' && recipient.info.screenId === to.screenId;
+    }
+    throw new Error(`Invalid GAME_EVENT target: ${JSON.stringify(to)}`);
+}
+
+/**
+ * Load a game and wire up both of its sides
+ * @param {string} game - Game id (loads src/games/<id>Game.js) or a path to a game module
+ * @param {Object} options - { settings, screen: { screenId, width, height }, wall: { center, width }, quiet }
+ * @returns {Promise<Object>} Harness; call start() before stepping
+ */
+export async function createGameHarness(game, { settings = {}, screen = {}, wall = {}, quiet = true } = {}) {
+    installBrowserStubs();
+    const url = resolveGameUrl(game);
+    const [vrModule, screenModule] = await Promise.all([import(`${url}?side=vr`), import(`${url}?side=screen`)]);
+    const gameSettings = buildSettings(screenModule.metadata, settings);
+
+    const screenInfo = { ...DEFAULT_SCREEN, ...screen };
+    const wallInfo = { ...DEFAULT_WALL, ...wall };
+    let nowMs = START_TIME_MS;
+    let time = 0;
+    const messages = [];
+    const pointerEvents = [];
+    const touchEvents = [];
+    const pendingRequests = new Set();
+    let requestCounter = 0;
+
+    // ---------- Screen side ----------
+    const canvas = createMockCanvas(screenInfo.width, screenInfo.height);
+    const screenLayout = {
+        width: screenInfo.width,
+        height: screenInfo.height,
+        screens: [{ screenId: screenInfo.screenId, x: 0, y: 0, width: screenInfo.width, height: screenInfo.height }]
+    };
+
+    // ---------- VR side ----------
+    const scene = new THREE.Scene();
+    const camera = new THREE.PerspectiveCamera(70, 16 / 9, 0.05, 100);
+    const player = new THREE.Group();
+    player.add(camera);
+    scene.add(player);
+    const emulated = { right: createEmulatedController('right'), left: createEmulatedController('left') };
+    const handState = { left: { tracked: false, joints: {} }, right: { tracked: false, joints: {} } };
+    const handRays = { left: null, right: null }; // Tracked hands aim straight along setHand's direction
+    for (const side of ['right', 'left']) {
+        player.add(emulated[side].raySpace, emulated[side].gripSpace);
+        const rest = new THREE.Vector3(...REST_OFFSETS[side]);
+        aimController(emulated[side], rest, rest.clone().add(new THREE.Vector3(0, 0, -1)));
+    }
+
+    const wallWidth = wallInfo.width;
+    const wallHeight = wallWidth * (screenInfo.height / screenInfo.width);
+    const [cx, cy, cz] = wallInfo.center;
+    const screenRect = new THREE.Mesh(new THREE.PlaneGeometry(1, 1), new THREE.MeshBasicMaterial());
+    screenRect.name = 'screenRect';
+    screenRect.scale.set(wallWidth, wallHeight, 1);
+    screenRect.position.set(cx, cy, cz);
+    scene.add(screenRect);
+    scene.updateMatrixWorld(true);
+    const screenEntry = {
+        screenId: screenInfo.screenId,
+        screenRect,
+        screenWidth: screenInfo.width,
+        screenHeight: screenInfo.height,
+        topLeftCorner: [cx - wallWidth / 2, cy + wallHeight / 2, cz],
+        bottomRightCorner: [cx + wallWidth / 2, cy - wallHeight / 2, cz],
+        screenQuaternion: [0, 0, 0, 1],
+        rectXDistance: wallWidth,
+        rectYDistance: wallHeight
+    };
+
+    // ---------- Messaging ----------
+    const peers = {
+        vr: { side: 'vr', game: vrModule.default, info: { userID: 'harness-vr', clientType: 'VR' }, handlers: new Map(), inbox: [] },
+        screen: { side: 'screen', game: screenModule.default, info: { userID: 'harness-screen', clientType: 'SCREEN', screenId: screenInfo.screenId }, handlers: new Map(), inbox: [] }
+    };
+
+    function post(sender, payload, { to, screenId } = {}) {
+        const envelope = { from: sender.side, to: to === undefined ? 'all' : to, payload, sentAt: nowMs };
+        const recipients = Object.values(peers).filter((peer) => matchesTarget(to, screenId, sender, peer));
+        envelope.deliveredTo = recipients.map((peer) => peer.side);
+        messages.push(envelope);
+        for (const peer of recipients) peer.inbox.push({ payload, from: sender.info, sentAt: nowMs });
+    }
+
+    function deliver(peer) {
+        const inbox = peer.inbox.splice(0);
+        for (const { payload, from, sentAt } of inbox) {
+            if (typeof peer.game.onMessage !== 'function') continue;
+            const meta = { from, sentAt, serverTime: sentAt, receivedAt: nowMs, latency: { total: nowMs - sentAt, toServer: 0, fromServer: nowMs - sentAt } };
+            peer.game.onMessage(payload, meta);
+        }
+    }
+
+    function request(sender, target, method, payload, { timeout = DEFAULT_REQUEST_TIMEOUT_MS } = {}) {
+        return new Promise((resolve, reject) => {
+            const id = `${sender.info.userID}:${++requestCounter}`;
+            const recipients = Object.values(peers).filter((peer) => matchesTarget(target, null, sender, peer));
+            const handlerPeer = recipients.find((peer) => peer.handlers.has(method));
+            messages.push({ from: sender.side, to: target, payload: { event: 'RPC_REQUEST', id, method, payload }, sentAt: nowMs, deliveredTo: recipients.map((peer) => peer.side) });
+            if (!handlerPeer) {
+                if (target && typeof target === 'object') {
+                    reject(new Error(`No handler for request "${method}"`));
+                    return;
+                }
+                // Like the real thing: nobody answers, so the request times out (on the fake clock)
+                const pending = { deadline: nowMs + timeout, reject: () => reject(new Error(`Request "${method}" timed out after ${timeout}ms`)) };
+                pendingRequests.add(pending);
+                return;
+            }
+            const meta = { from: sender.info, sentAt: nowMs, serverTime: nowMs, receivedAt: nowMs, latency: { total: 0, toServer: 0, fromServer: 0 } };
+            Promise.resolve()
+                .then(() => handlerPeer.handlers.get(method)(payload, meta))
+                .then(resolve, (e) => reject(new Error((e && e.message) || String(e))));
+        });
+    }
+
+    function expireRequests() {
+        for (const pending of pendingRequests) {
+            if (nowMs < pending.deadline) continue;
+            pendingRequests.delete(pending);
+            pending.reject();
+        }
+    }
+
+    function sideApi(peer) {
+        return {
+            sendGameMessage: (payload, options) => post(peer, payload, options),
+            request: (target, method, payload, options) => request(peer, target, method, payload, options),
+            handleRequest: (method, handler) => {
+                peer.handlers.set(method, handler);
+                return () => {
+                    if (peer.handlers.get(method) === handler) peer.handlers.delete(method);
+                };
+            },
+            now: () => nowMs
+        };
+    }
+    const vrApi = sideApi(peers.vr);
+    const screenApi = sideApi(peers.screen);
+
+    function getControllers() {
+        return {
+            right: handState.right.tracked ? null : emulated.right,
+            left: handState.left.tracked ? null : emulated.left
+        };
+    }
+
+    function buildScreenContext() {
+        return {
+            canvas,
+            ...screenApi,
+            committedCalibration: null,
+            screenId: screenInfo.screenId,
+            screenLayout,
+            viewport: screenLayout.screens[0],
+            settings: gameSettings
+        };
+    }
+
+    function buildVRContext() {
+        const controllers = getControllers();
+        return {
+            scene, camera, renderer: null, player, controllers,
+            ...vrApi,
+            screenState: computeScreenState(controllers, [screenEntry], screenLayout, handRays),
+            screenMeta: buildScreenMeta(screenEntry),
+            screenRect,
+            screenMapping: getScreenMapping(screenEntry),
+            screens: buildScreensContext([screenEntry], screenLayout),
+            screenLayout,
+            handState,
+            settings: gameSettings
+        };
+    }
+
+    // Pointer and touch events reach the VR game, then the screen they happened on (POINTER_EVENT, TOUCH_EVENT)
+    const pointerTracker = createPointerTracker();
+    const touchTracker = createTouchTracker();
+    function forwardInputEvent(handler, event, ctx) {
+        if (typeof peers.vr.game[handler] === 'function') peers.vr.game[handler](event, ctx);
+        if (event.screenId === screenInfo.screenId && typeof peers.screen.game[handler] === 'function') {
+            peers.screen.game[handler]({ ...event, userID: peers.vr.info.userID }, buildScreenContext());
+        }
+    }
+    function dispatchInputEvents(ctx, delta) {
+        for (const event of pointerTracker.update(ctx.screenState, getPrimaryButtons(ctx.screenState, ctx.controllers))) {
+            pointerEvents.push(event);
+            forwardInputEvent('onPointerEvent', event, ctx);
+        }
+        for (const event of touchTracker.update(handState, [screenEntry], screenLayout, delta)) {
+            touchEvents.push(event);
+            forwardInputEvent('onTouchEvent', event, ctx);
+        }
+    }
+
+    // Let promise callbacks (request replies, async handlers) run
+    const flushPromises = () => new Promise((resolve) => setImmediate(resolve));
+
+    const harness = {
+        canvas,
+        scene,
+        camera,
+        screenRect,
+        controllers: emulated,
+        handState,
+        settings: gameSettings,
+        /** Every GAME_EVENT and request sent so far: [{ from: 'vr'|'screen', to, payload, sentAt, deliveredTo }] */
+        messages,
+        /** Every pointer event generated so far (see src/pointerEvents.js) */
+        pointerEvents,
+        /** Every touch event generated so far (see src/touchEvents.js) */
+        touchEvents,
+        /** Game instances per side, to inspect their state */
+        vrGame: peers.vr.game,
+        screenGame: peers.screen.game,
+
+        /** Current fake time in milliseconds (what context.now() returns) */
+        now: () => nowMs,
+
+        /** Run startScreen and startVR */
+        async start() {
+            await runQuietly(quiet, async () => {
+                if (typeof peers.screen.game.startScreen === 'function') await peers.screen.game.startScreen(buildScreenContext());
+                if (typeof peers.vr.game.startVR === 'function') await peers.vr.game.startVR(buildVRContext());
+                await flushPromises();
+            });
+        },
+
+        /**
+         * Advance one frame: screen update, messages to VR, VR update, messages to the screen
+         * @param {number} delta - Frame time in seconds
+         */
+        async step(delta = 1 / 60) {
+            time += delta;
+            nowMs += delta * 1000;
+            expireRequests();
+            for (const controller of Object.values(getControllers())) {
+                if (controller) controller.gamepad.update();
+            }
+            await runQuietly(quiet, async () => {
+                if (typeof peers.screen.game.updateScreen === 'function') peers.screen.game.updateScreen(delta, time, buildScreenContext());
+                deliver(peers.vr);
+                const vrContext = buildVRContext();
+                dispatchInputEvents(vrContext, delta);
+                if (typeof peers.vr.game.updateVR === 'function') peers.vr.game.updateVR(delta, time, vrContext);
+                deliver(peers.screen);
+                deliver(peers.vr);
+                await flushPromises();
+            });
+        },
+
+        /**
+         * Step repeatedly
+         * @param {number} seconds - How long to run
+         * @param {Object} options - { delta, onFrame(frameIndex) } where onFrame runs before each step
+         */
+        async run(seconds, { delta = 1 / 60, onFrame = null } = {}) {
+            const frames = Math.round(seconds / delta);
+            for (let i = 0; i < frames; i++) {
+                if (onFrame) onFrame(i);
+                await harness.step(delta);
+            }
+        },
+
+        /**
+         * Place a controller and point its ray at a target
+         * @param {string} side - 'left' or 'right'
+         * @param {Array|THREE.Vector3} position
+         * @param {Array|THREE.Vector3} target - Defaults to straight ahead (-z)
+         */
+        setControllerPose(side, position, target = null) {
+            const p = Array.isArray(position) ? new THREE.Vector3(...position) : position.clone();
+            const t = target ? (Array.isArray(target) ? new THREE.Vector3(...target) : target.clone()) : p.clone().add(new THREE.Vector3(0, 0, -1));
+            aimController(emulated[side], p, t);
+        },
+
+        /** Press (or release with value false) a button; seen by the game from the next step */
+        press(side, buttonId, value = true) {
+            setButton(emulated[side], buttonId, value);
+        },
+
+        release(side, buttonId) {
+            setButton(emulated[side], buttonId, false);
+        },
+
+        setAxis(side, axisId, value) {
+            setAxis(emulated[side], axisId, value);
+        },
+
+        /**
+         * Track a hand instead of the controller on that side
+         * @param {string} side - 'left' or 'right'
+         * @param {Array|THREE.Vector3} indexTip - Index finger tip position
+         * @param {Object} options - { direction: pointing direction (default -z), pinching }
+         */
+        setHand(side, indexTip, { direction = [0, 0, -1], pinching = false } = {}) {
+            const tip = Array.isArray(indexTip) ? new THREE.Vector3(...indexTip) : indexTip.clone();
+            const dir = Array.isArray(direction) ? new THREE.Vector3(...direction) : direction.clone();
+            const orientation = new THREE.Quaternion().setFromRotationMatrix(
+                new THREE.Matrix4().lookAt(tip.clone().sub(dir), tip, new THREE.Vector3(0, 1, 0))
+            );
+            handState[side] = createEmulatedHand(tip, orientation, pinching);
+            handRays[side] = { origin: tip, direction: dir.normalize(), pinching, pinchStrength: pinching ? 1 : 0 };
+        },
+
+        /** Stop tracking the hand; the controller comes back */
+        removeHand(side) {
+            handState[side] = { tracked: false, joints: {} };
+            handRays[side] = null;
+        },
+
+        /**
+         * World position of a canvas point on the wall screen
+         * @returns {THREE.Vector3}
+         */
+        canvasToWorld(canvasX, canvasY) {
+            const local = new THREE.Vector3(canvasX / screenInfo.width - 0.5, 0.5 - canvasY / screenInfo.height, 0);
+            return screenRect.localToWorld(local);
+        },
+
+        /** Messages whose payload has the given event, optionally only from one side */
+        sent(event, from = null) {
+            return messages.filter((m) => m.payload && m.payload.event === event && (!from || m.from === from));
+        },
+
+        /** Run disposeVR/disposeScreen */
+        dispose() {
+            if (typeof peers.vr.game.disposeVR === 'function') peers.vr.game.disposeVR(buildVRContext());
+            if (typeof peers.screen.game.disposeScreen === 'function') peers.screen.game.disposeScreen(buildScreenContext());
+            for (const pending of pendingRequests) pending.reject();
+            pendingRequests.clear();
+        }
+    };
+    return harness;
+}
+
+export default { createGameHarness };
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { computeHandRay, createHandRays, getShoulderPosition } from '../src/handRay.js';
+import { computeScreenState } from '../src/screenState.js';
+
+// Right hand held out in front of the right shoulder, thumb and index tips `pinch` apart
+function rightHand(pinch = 0.06) {
+    const joint = (x, y, z) => ({ position: [x, y, z], radius: 0.008 });
+    return {
+        tracked: true,
+        joints: {
+            'wrist': joint(0.18, -0.15, -0.3),
+            'index-finger-phalanx-proximal': joint(0.18, -0.15, -0.4),
+            'index-finger-tip': joint(0.18, -0.15, -0.45),
+            'thumb-tip': joint(0.18, -0.15 - pinch, -0.45)
+        }
+    };
+}
+
+test('the shoulder follows the head yaw and sits below and beside it', () => {
+    const head = new THREE.Vector3(0, 1.6, 0);
+    const right = getShoulderPosition('right', head, new THREE.Vector3(0, -0.5, -1));
+    assert.ok(right.distanceTo(new THREE.Vector3(0.18, 1.45, 0)) < 1e-9);
+    // Facing +X, the right shoulder is towards +Z
+    const turned = getShoulderPosition('right', head, new THREE.Vector3(1, 0, 0));
+    assert.ok(turned.distanceTo(new THREE.Vector3(0, 1.45, 0.18)) < 1e-9);
+});
+
+test('a hand in front of its shoulder aims straight ahead from the knuckle', () => {
+    const ray = computeHandRay('right', rightHand(), new THREE.Vector3(0, 0, 0), new THREE.Vector3(0, 0, -1));
+    assert.ok(ray.origin.distanceTo(new THREE.Vector3(0.18, -0.15, -0.4)) < 1e-9);
+    assert.ok(ray.direction.distanceTo(new THREE.Vector3(0, 0, -1)) < 1e-9);
+    assert.equal(computeHandRay('right', { tracked: false, joints: {} }, new THREE.Vector3(), new THREE.Vector3(0, 0, -1)), null);
+});
+
+test('pinches have hysteresis and tracked hands point in screenState', () => {
+    const camera = new THREE.PerspectiveCamera();
+    const handAim = createHandRays();
+    const none = { tracked: false, joints: {} };
+    assert.equal(handAim.update({ left: none, right: rightHand(0.06) }, camera, 1 / 72).right.pinching, false);
+    assert.equal(handAim.update({ left: none, right: rightHand(0.01) }, camera, 1 / 72).right.pinching, true);
+    // Between the start and end distances the pinch holds
+    const held = handAim.update({ left: none, right: rightHand(0.03) }, camera, 1 / 72);
+    assert.equal(held.right.pinching, true);
+    assert.ok(held.right.pinchStrength > 0 && held.right.pinchStrength < 1);
+    assert.equal(held.left, null);
+
+    const screenRect = new THREE.Mesh(new THREE.PlaneGeometry(1, 1), new THREE.MeshBasicMaterial());
+    screenRect.position.set(0.18, -0.15, -2);
+    screenRect.updateMatrixWorld(true);
+    const entry = { screenId: 'main', screenRect, screenWidth: 1000, screenHeight: 1000 };
+    const layout = { width: 1000, height: 1000, screens: [{ screenId: 'main', x: 0, y: 0, width: 1000, height: 1000 }] };
+    const state = computeScreenState({ left: null, right: null }, [entry], layout, held);
+    assert.equal(state.right.inputType, 'hand');
+    assert.equal(state.right.onScreen, true);
+    assert.equal(state.right.pinching, true);
+    assert.equal(state.right.canvasX, 500);
+    assert.equal(state.right.canvasY, 500);
+    assert.deepEqual(state.left, { onScreen: false });
+});
@@ -0,0 +1,74 @@
+// Minimal stand-ins for the browser APIs screen-side game code touches, for running games in Node.
+// The 2D context accepts every method and records the calls, so tests can check what was drawn.
+
+const DEFAULT_FONT_SIZE = 10;
+
+/**
+ * Canvas with a recording 2D context
+ * @param {number} width
+ * @param {number} height
+ * @returns {Object} { width, height, getContext('2d'), calls } - calls is [{ op, args }] in draw order
+ */
+export function createMockCanvas(width, height) {
+    const calls = [];
+    const state = {
+        fillStyle: '#000000',
+        strokeStyle: '#000000',
+        lineWidth: 1,
+        globalAlpha: 1,
+        font: `${DEFAULT_FONT_SIZE}px sans-serif`,
+        textAlign: 'start',
+        textBaseline: 'alphabetic'
+    };
+    const special = {
+        // Rough width so layout code gets a plausible number
+        measureText(text) {
+            const size = Number.parseFloat(String(state.font)) || DEFAULT_FONT_SIZE;
+            return { width: String(text).length * size * 0.6 };
+        }
+    };
+    const ctx = new Proxy(state, {
+        get(target, prop) {
+            if (prop in special) return special[prop];
+            if (prop in target) return target[prop];
+            if (typeof prop !== 'string') return undefined;
+            return (...args) => { calls.push({ op: prop, args }); };
+        },
+        set(target, prop, value) {
+            target[prop] = value;
+            calls.push({ op: 'set', args: [prop, value] });
+            return true;
+        }
+    });
+    const canvas = {
+        width,
+        height,
+        calls,
+        getContext(type) {
+            if (type !== '2d') throw new Error(`Mock canvas only supports '2d', got '${type}'`);
+            return ctx;
+        }
+    };
+    return canvas;
+}
+
+// Image that never loads (games that draw images just skip them until onload)
+class MockImage {
+    constructor() {
+        this.src = '';
+        this.complete = false;
+        this.width = 0;
+        this.height = 0;
+        this.naturalWidth = 0;
+        this.naturalHeight = 0;
+        this.onload = null;
+        this.onerror = null;
+    }
+}
+
+/**
+ * Define the browser globals games use at startup (currently Image) if Node lacks them
+ */
+export function installBrowserStubs() {
+    if (typeof globalThis.Image === 'undefined') globalThis.Image = MockImage;
+}
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { XR_BUTTONS } from 'gamepad-wrapper';
+import { createPointerTracker } from '../src/pointerEvents.js';
+import { createGameHarness } from './gameHarness.js';
+
+const off = { onScreen: false };
+const at = (canvasX, canvasY, screenId = 'main') => ({ onScreen: true, inputType: 'controller', screenId, canvasX, canvasY });
+const types = (events) => events.map((event) => event.type);
+
+test('hover, press, drag and release produce one event per edge', () => {
+    const tracker = createPointerTracker();
+    assert.deepEqual(tracker.update({ left: off, right: off }, { left: false, right: false }), []);
+    assert.deepEqual(types(tracker.update({ left: off, right: at(10, 20) }, { left: false, right: false })), ['pointerenter']);
+    // Standing still sends nothing
+    assert.deepEqual(tracker.update({ left: off, right: at(10, 20) }, { left: false, right: false }), []);
+    assert.deepEqual(types(tracker.update({ left: off, right: at(10, 20) }, { left: false, right: true })), ['pointerdown']);
+
+    const drag = tracker.update({ left: off, right: at(15, 20) }, { left: false, right: true });
+    assert.deepEqual(drag, [{
+        type: 'pointermove', pointerId: 'right', pointerType: 'controller', screenId: 'main',
+        canvasX: 15, canvasY: 20, virtualX: null, virtualY: null, pressed: true
+    }]);
+    assert.deepEqual(types(tracker.update({ left: off, right: at(15, 20) }, { left: false, right: false })), ['pointerup']);
+    assert.deepEqual(types(tracker.update({ left: off, right: off }, { left: false, right: false })), ['pointerleave']);
+});
+
+test('held buttons press on entry and release before leaving or switching screens', () => {
+    const tracker = createPointerTracker();
+    assert.deepEqual(types(tracker.update({ left: at(1, 1), right: off }, { left: true, right: false })), ['pointerenter', 'pointerdown']);
+    const moved = tracker.update({ left: at(1, 1, 'side'), right: off }, { left: true, right: false });
+    assert.deepEqual(types(moved), ['pointerup', 'pointerleave', 'pointerenter', 'pointerdown']);
+    assert.deepEqual(moved.map((event) => event.screenId), ['main', 'main', 'side', 'side']);
+    // A null screenState ends every pointer
+    assert.deepEqual(types(tracker.update(null, null)), ['pointerup', 'pointerleave']);
+    assert.deepEqual(tracker.update(null, null), []);
+});
+
+test('pointer events reach both sides of a game and paint the screen', async () => {
+    const harness = await createGameHarness('paint');
+    await harness.start();
+    harness.setControllerPose('left', [-0.15, -0.25, -0.2], [-0.15, -1, -0.2]); // Aimed at the floor
+    harness.setControllerPose('right', [0, 0, -0.5]);
+    await harness.step();
+    harness.press('right', XR_BUTTONS.TRIGGER);
+    await harness.step();
+    assert.deepEqual(types(harness.pointerEvents), ['pointerenter', 'pointerdown']);
+    assert.equal(harness.screenGame._screen.strokes.length, 1);
+    assert.deepEqual(harness.screenGame._screen.strokes[0], { x: 800, y: 450, r: 60, color: 0xff00aa, alpha: 0.12 });
+
+    harness.setControllerPose('right', [0.2, 0, -0.5]);
+    await harness.step();
+    assert.equal(harness.pointerEvents.at(-1).type, 'pointermove');
+    assert.equal(harness.pointerEvents.at(-1).pressed, true);
+    assert.equal(harness.screenGame._screen.strokes.length, 2);
+    assert.equal(harness.messages.length, 0);
+    harness.dispose();
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { fitScreenRect } from '../src/screenFit.js';
+
+// A 1.2 m x 0.675 m (16:9) screen 2 m ahead, turned 30° and tilted back 20°
+const center = new THREE.Vector3(0.3, 1.2, -2);
+const quaternion = new THREE.Quaternion().setFromEuler(new THREE.Euler(-20 * Math.PI / 180, 30 * Math.PI / 180, 0, 'YXZ'));
+const width = 1.2;
+const height = 0.675;
+
+function corner(ox, oy) {
+    return new THREE.Vector3(ox * width, oy * height, 0).applyQuaternion(quaternion).add(center);
+}
+
+const corners = {
+    topLeft: corner(-0.5, 0.5),
+    topRight: corner(0.5, 0.5),
+    bottomRight: corner(0.5, -0.5),
+    bottomLeft: corner(-0.5, -0.5)
+};
+
+function assertFit(fit) {
+    assert.ok(fit.center.distanceTo(center) < 1e-6, `center ${fit.center.toArray()}`);
+    assert.ok(fit.quaternion.angleTo(quaternion) < 1e-6, 'orientation');
+    assert.ok(Math.abs(fit.width - width) < 1e-6);
+    assert.ok(Math.abs(fit.height - height) < 1e-6);
+}
+
+test('four touched corners give back the tilted screen pose', () => {
+    const fit = fitScreenRect(corners, 16 / 9);
+    assertFit(fit);
+    assert.ok(fit.error < 1e-6);
+});
+
+test('three corners are enough, two are not', () => {
+    const { topLeft, topRight, bottomLeft } = corners;
+    assertFit(fitScreenRect({ topLeft, topRight, bottomLeft }, 16 / 9));
+    assert.equal(fitScreenRect({ topLeft, topRight }, 16 / 9), null);
+});
+
+test('touch error is spread over the fit', () => {
+    const noisy = { ...corners, topRight: corners.topRight.clone().add(new THREE.Vector3(0, 0.02, 0.01)) };
+    const fit = fitScreenRect(noisy, 16 / 9);
+    assert.ok(fit.center.distanceTo(center) < 0.02);
+    assert.ok(fit.error > 0 && fit.error < 0.02, `error ${fit.error}`);
+});
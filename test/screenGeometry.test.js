@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { createCurvedScreenGeometry, getCurveArcAngle } from '../src/screenGeometry.js';
+
+test('radius and arc settings give the angle the screen spans', () => {
+    // A 1 m wide screen on a 1 m radius spans 2 * asin(0.5) = 60°
+    assert.ok(Math.abs(getCurveArcAngle(1, { radius: 1 }) - Math.PI / 3) < 1e-9);
+    assert.ok(Math.abs(getCurveArcAngle(1, { arcDegrees: 90 }) - Math.PI / 2) < 1e-9);
+    // The radius wins over the arc; a radius too tight for the width bends into a half cylinder
+    assert.ok(Math.abs(getCurveArcAngle(1, { radius: 1, arcDegrees: 90 }) - Math.PI / 3) < 1e-9);
+    assert.equal(getCurveArcAngle(1, { radius: 0.3 }), Math.PI);
+    assert.equal(getCurveArcAngle(1, {}), 0);
+});
+
+test('curved mesh edges sit on the corners and U runs evenly along the arc', () => {
+    const arc = Math.PI / 2;
+    const geometry = createCurvedScreenGeometry(arc);
+    const position = geometry.getAttribute('position');
+    const uv = geometry.getAttribute('uv');
+    const radius = 0.5 / Math.sin(arc / 2);
+    const axis = new THREE.Vector3(0, 0, radius * Math.cos(arc / 2));
+    for (let i = 0; i < position.count; i++) {
+        const p = new THREE.Vector3().fromBufferAttribute(position, i);
+        const flat = new THREE.Vector3(p.x, 0, p.z);
+        assert.ok(Math.abs(flat.distanceTo(axis) - radius) < 1e-6, 'on the cylinder');
+        // Angle from the left edge, as a fraction of the arc
+        const angle = Math.atan2(p.x, axis.z - p.z) + arc / 2;
+        assert.ok(Math.abs(uv.getX(i) - angle / arc) < 1e-6, `u at vertex ${i}`);
+        assert.ok(Math.abs(uv.getY(i) - (p.y + 0.5)) < 1e-6, `v at vertex ${i}`);
+    }
+    const first = new THREE.Vector3().fromBufferAttribute(position, 0);
+    const last = new THREE.Vector3().fromBufferAttribute(position, position.count - 1);
+    assert.ok(first.distanceTo(new THREE.Vector3(-0.5, -0.5, 0)) < 1e-6, 'bottom-left corner');
+    assert.ok(last.distanceTo(new THREE.Vector3(0.5, 0.5, 0)) < 1e-6, 'top-right corner');
+});
+
+test('a ray through the middle of the curve hits the middle of the canvas', () => {
+    const mesh = new THREE.Mesh(createCurvedScreenGeometry(Math.PI / 2), new THREE.MeshBasicMaterial({ side: THREE.DoubleSide }));
+    mesh.scale.set(2, 1, 2);
+    mesh.updateMatrixWorld(true);
+    const raycaster = new THREE.Raycaster(new THREE.Vector3(0, 0, 2), new THREE.Vector3(0, 0, -1));
+    const [hit] = raycaster.intersectObject(mesh);
+    assert.ok(hit.point.z < 0, 'the middle bows away from the viewer');
+    assert.ok(Math.abs(hit.uv.x - 0.5) < 1e-6 && Math.abs(hit.uv.y - 0.5) < 1e-6);
+});
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { createScreenMapping, getScreenMapping } from '../src/screenMapping.js';
+import { createScreenGeometry } from '../src/screenGeometry.js';
+
+const near = (a, b, eps = 1e-9) => Math.abs(a - b) < eps;
+const nearVector = (a, b, eps = 1e-9) => a.distanceTo(b) < eps;
+
+// 2 m x 1 m screen of 1000 x 500 pixels, placed like vr.js' addScreenRect does
+function makeEntry(arcAngle, { position = [0, 0, 0], yaw = 0 } = {}) {
+    const screenRect = new THREE.Mesh(createScreenGeometry(arcAngle), new THREE.MeshBasicMaterial());
+    screenRect.scale.set(2, 1, 2);
+    screenRect.position.set(...position);
+    screenRect.rotation.y = yaw;
+    return { screenId: 'main', screenRect, screenWidth: 1000, screenHeight: 500, screenRectArc: arcAngle };
+}
+
+// Where a ray straight at the mesh from in front of the point hits, as a check on the analytic model
+function raycastCanvas(entry, point, normal) {
+    const raycaster = new THREE.Raycaster(point.clone().addScaledVector(normal, 1), normal.clone().negate());
+    const [hit] = raycaster.intersectObject(entry.screenRect);
+    return { canvasX: hit.uv.x * entry.screenWidth, canvasY: (1 - hit.uv.y) * entry.screenHeight, point: hit.point };
+}
+
+test('flat screens map canvas pixels to the plane and back', () => {
+    const mapping = createScreenMapping(makeEntry(0, { position: [1, 1.5, -2], yaw: Math.PI / 2 }));
+    // Turned to face +X, the canvas' left edge is towards +Z
+    assert.ok(nearVector(mapping.canvasToWorld(0, 0), new THREE.Vector3(1, 2, -1)));
+    assert.ok(nearVector(mapping.canvasToWorld(500, 250), new THREE.Vector3(1, 1.5, -2)));
+    assert.ok(nearVector(mapping.canvasToSurfaceNormal(123, 45), new THREE.Vector3(1, 0, 0)));
+
+    const back = mapping.worldToCanvas(new THREE.Vector3(1.25, 1.75, -2.5));
+    assert.ok(near(back.canvasX, 750) && near(back.canvasY, 125));
+    assert.ok(near(back.distance, 0.25));
+    assert.equal(back.onScreen, true);
+    assert.equal(mapping.worldToCanvas(new THREE.Vector3(1, 1.5, 0)).onScreen, false);
+    assert.ok(near(mapping.pixelsToMeters(500, 'x'), 1));
+    assert.ok(near(mapping.pixelsToMeters(100, 'y'), 0.2));
+    assert.equal(createScreenMapping({ screenId: 'main', screenRect: null, screenWidth: 1000, screenHeight: 500 }), null);
+});
+
+test('curved screens agree with a raycast against their mesh', () => {
+    const entry = makeEntry(THREE.MathUtils.degToRad(110), { position: [0, 1.2, -1.5], yaw: 0.3 });
+    const mapping = createScreenMapping(entry);
+    for (const [x, y] of [[500, 250], [2, 2], [137, 420], [998, 30], [812, 497]]) {
+        const world = mapping.canvasToWorld(x, y);
+        const normal = mapping.canvasToSurfaceNormal(x, y);
+        const hit = raycastCanvas(entry, world, normal);
+        // The mesh is made of flat segments, so allow for the chord sagging under the arc
+        assert.ok(hit.point.distanceTo(world) < 0.002, `(${x}, ${y}) is on the mesh`);
+        assert.ok(Math.abs(hit.canvasX - x) < 1 && Math.abs(hit.canvasY - y) < 1e-6, `(${x}, ${y}) has the mesh UVs`);
+
+        const back = mapping.worldToCanvas(world.clone().addScaledVector(normal, 0.05));
+        assert.ok(near(back.canvasX, x, 1e-6) && near(back.canvasY, y, 1e-6));
+        assert.ok(near(back.distance, 0.05));
+    }
+    // The corners stay where they were calibrated: 2 m apart along the chord
+    assert.ok(near(mapping.canvasToWorld(0, 250).distanceTo(mapping.canvasToWorld(1000, 250)), 2));
+    // A pixel is wider than on a flat screen, since the arc is longer than the chord
+    const arcLength = 2 * (1 / Math.sin(THREE.MathUtils.degToRad(55))) * THREE.MathUtils.degToRad(55);
+    assert.ok(near(mapping.pixelsToMeters(1000, 'x'), arcLength));
+});
+
+test('cached mappings are rebuilt only when the screen changes', () => {
+    const entry = makeEntry(0);
+    const mapping = getScreenMapping(entry);
+    assert.equal(getScreenMapping(entry), mapping);
+
+    entry.screenRect.position.x = 0.5;
+    const moved = getScreenMapping(entry);
+    assert.notEqual(moved, mapping);
+    assert.ok(nearVector(moved.canvasToWorld(500, 250), new THREE.Vector3(0.5, 0, 0)));
+
+    entry.screenWidth = 2000;
+    const resized = getScreenMapping(entry);
+    assert.notEqual(resized, moved);
+    assert.ok(nearVector(resized.canvasToWorld(1000, 250), new THREE.Vector3(0.5, 0, 0)));
+
+    const arcAngle = THREE.MathUtils.degToRad(90);
+    entry.screenRect.geometry = createScreenGeometry(arcAngle);
+    entry.screenRectArc = arcAngle;
+    const curved = getScreenMapping(entry);
+    assert.notEqual(curved, resized);
+    assert.equal(getScreenMapping(entry), curved);
+    assert.equal(getScreenMapping({ ...entry, screenRect: null }), null);
+});
@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getFactoryDefaults, mergeConfig, migrateConfig, validateSetting, validateConfigUpdate } from '../src/settingsSchema.js';
+
+test('numbers are checked against min, max and step', () => {
+    const alpha = { type: 'number', min: 0, max: 1, step: 0.01 };
+    assert.deepEqual(validateSetting(alpha, 0.37), { value: 0.37 });
+    assert.deepEqual(validateSetting(alpha, -0.1), { error: 'Must be at least 0' });
+    assert.deepEqual(validateSetting(alpha, 1.5), { error: 'Must be at most 1' });
+    assert.deepEqual(validateSetting(alpha, 0.375), { error: 'Must be a multiple of 0.01' });
+    assert.deepEqual(validateSetting(alpha, '0.5'), { error: 'Must be a number' });
+    assert.deepEqual(validateSetting(alpha, NaN), { error: 'Must be a number' });
+    // Steps count from min, like <input type="number">
+    const arc = { type: 'number', min: 1, max: 180, step: 2 };
+    assert.deepEqual(validateSetting(arc, 3), { value: 3 });
+    assert.deepEqual(validateSetting(arc, 4), { error: 'Must be a multiple of 2' });
+});
+
+test('booleans, colors, selects and text reject the wrong type', () => {
+    assert.deepEqual(validateSetting({ type: 'boolean' }, false), { value: false });
+    assert.deepEqual(validateSetting({ type: 'boolean' }, 'true'), { error: 'Must be true or false' });
+    assert.deepEqual(validateSetting({ type: 'color' }, '#11AAFF'), { value: '#11aaff' });
+    assert.deepEqual(validateSetting({ type: 'color' }, 'red'), { error: 'Must be a color like #11aaff' });
+    assert.deepEqual(validateSetting({ type: 'color' }, 0x11aaff), { error: 'Must be a color like #11aaff' });
+    const mode = { type: 'select', options: ['flat', { value: 'curved', label: 'Curved' }] };
+    assert.deepEqual(validateSetting(mode, 'CURVED'), { value: 'curved' });
+    assert.deepEqual(validateSetting(mode, 'round'), { error: 'Must be one of: flat, curved' });
+    assert.deepEqual(validateSetting({ type: 'text' }, 42), { error: 'Must be text' });
+});
+
+test('config updates are namespaced and report errors per field path', () => {
+    const current = getFactoryDefaults();
+    const { values, errors } = validateConfigUpdate({
+        system: { screenGeometryMode: 'Curved', screenCurveArcDegrees: 500, notASetting: 1 },
+        games: {
+            draw: { drawAlpha: 2, drawColorHex: '#ABCDEF', somethingElse: true },
+            balls: { gravityMultiplier: 0.5 },
+            noSuchGame: { drawAlpha: 0.5 }
+        }
+    }, current);
+    assert.deepEqual(errors, {
+        'system.screenCurveArcDegrees': 'Must be at most 180',
+        'games.draw.drawAlpha': 'Must be at most 1'
+    });
+    // Valid fields still come through, normalized; unknown keys and games are ignored
+    assert.deepEqual(values, {
+        system: { screenGeometryMode: 'curved' },
+        games: { draw: { drawColorHex: '#abcdef' }, balls: { gravityMultiplier: 0.5 } }
+    });
+});
+
+test('flat keys from older clients go to their owner or are rejected as ambiguous', () => {
+    const current = getFactoryDefaults();
+    current.games.tutorial.drawAlpha = 0.1; // A second game declaring the same key
+    const { values, errors } = validateConfigUpdate({ handJointsDebugEnabled: true, drawThicknessPx: 'thick', drawAlpha: 0.5, gravityMultiplier: 2 }, current);
+    assert.deepEqual(values, { system: { handJointsDebugEnabled: true }, games: { balls: { gravityMultiplier: 2 } } });
+    assert.deepEqual(errors, {
+        'games.draw.drawThicknessPx': 'Must be a number',
+        drawAlpha: 'Ambiguous setting, use one of: games.draw.drawAlpha, games.tutorial.drawAlpha'
+    });
+});
+
+test('legacy flat configs move each key to the system or the game declaring it', () => {
+    const legacy = {
+        activeGameId: 'draw',
+        screenGeometryMode: 'curved',
+        drawAlpha: 0.5,
+        drawColorHex: '#ff0000',
+        gravityMultiplier: 2,
+        removedLongAgo: 'x' // Declared by nothing any more
+    };
+    const { config, migrated } = migrateConfig(legacy);
+    assert.equal(migrated, true);
+    assert.deepEqual(config, {
+        system: { activeGameId: 'draw', screenGeometryMode: 'curved' },
+        games: { draw: { drawAlpha: 0.5, drawColorHex: '#ff0000' }, balls: { gravityMultiplier: 2 } }
+    });
+    // What the server ends up using: the old values over the defaults, nothing else lost
+    const merged = mergeConfig(getFactoryDefaults(), config);
+    assert.equal(merged.system.activeGameId, 'draw');
+    assert.equal(merged.games.draw.drawAlpha, 0.5);
+    assert.equal(merged.games.draw.drawThicknessPx, getFactoryDefaults().games.draw.drawThicknessPx);
+    assert.equal(merged.games.balls.gravityMultiplier, 2);
+    assert.ok(!('removedLongAgo' in merged.system));
+
+    // The layout before that: { systemDefaults, gameDefaults }
+    const previous = migrateConfig({ systemDefaults: { activeGameId: 'paint' }, gameDefaults: { draw: { drawAlpha: 0.3 } } });
+    assert.equal(previous.migrated, true);
+    assert.deepEqual(previous.config, { system: { activeGameId: 'paint' }, games: { draw: { drawAlpha: 0.3 } } });
+});
+
+test('configs already in the namespaced format are kept as they are', () => {
+    const stored = {
+        system: { activeGameId: 'tutorial', someFutureKey: 1 },
+        games: { draw: { drawAlpha: 0.4, leftover: true }, uninstalledGame: { speed: 3 } }
+    };
+    const { config, migrated } = migrateConfig(stored);
+    // Not flagged, so the server does not rewrite the file
+    assert.equal(migrated, false);
+    assert.deepEqual(config, stored);
+    assert.notEqual(config.games.draw, stored.games.draw);
+    // Leftover keys are ignored when merged, not turned into settings
+    const merged = mergeConfig(getFactoryDefaults(), config);
+    assert.equal(merged.games.draw.drawAlpha, 0.4);
+    assert.ok(!('leftover' in merged.games.draw));
+    assert.ok(!('uninstalledGame' in merged.games));
+
+    assert.deepEqual(migrateConfig(null), { config: { system: {}, games: {} }, migrated: false });
+});
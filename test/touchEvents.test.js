@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { createTouchTracker } from '../src/touchEvents.js';
+import { createGameHarness } from './gameHarness.js';
+
+const FRAME = 1 / 72;
+
+// 1 m x 0.5 m screen facing +Z at the origin, like vr.js builds it
+function makeEntry() {
+    const screenRect = new THREE.Mesh(new THREE.PlaneGeometry(1, 1), new THREE.MeshBasicMaterial());
+    screenRect.scale.set(1, 0.5, 1);
+    screenRect.updateMatrixWorld(true);
+    return { screenId: 'main', screenRect, screenWidth: 1000, screenHeight: 500 };
+}
+
+function handAt(x, y, z) {
+    return { left: { tracked: false, joints: {} }, right: { tracked: true, joints: { 'index-finger-tip': { position: [x, y, z], radius: 0.008 } } } };
+}
+
+test('contact is debounced on the way down and up, with pressure from depth', () => {
+    const tracker = createTouchTracker();
+    const screens = [makeEntry()];
+    assert.deepEqual(tracker.update(handAt(0, 0, 0.1), screens, null, FRAME), []);
+    // Skin 2 mm behind the surface: starts after a few frames
+    assert.deepEqual(tracker.update(handAt(0, 0, 0.006), screens, null, FRAME), []);
+    assert.deepEqual(tracker.update(handAt(0, 0, 0.006), screens, null, FRAME), []);
+    const [start] = tracker.update(handAt(0, 0, 0.006), screens, null, FRAME);
+    assert.equal(start.type, 'touchstart');
+    assert.equal(start.touchId, 'right-index');
+    assert.equal(start.canvasX, 500);
+    assert.equal(start.canvasY, 250);
+    assert.equal(start.touches, 1);
+    assert.ok(Math.abs(start.pressure - 0.4) < 1e-9);
+
+    const [move] = tracker.update(handAt(0.1, 0, 0.006), screens, null, FRAME);
+    assert.equal(move.type, 'touchmove');
+    assert.equal(move.canvasX, 600);
+    // Wobbling between the start and end distances keeps the touch
+    assert.deepEqual(tracker.update(handAt(0.1, 0, 0.02), screens, null, FRAME), []);
+    // Lifting off ends it once the hand has stayed away for a moment
+    assert.deepEqual(tracker.update(handAt(0.1, 0, 0.1), screens, null, FRAME), []);
+    assert.deepEqual(tracker.update(handAt(0.1, 0, 0.1), screens, null, FRAME), []);
+    assert.deepEqual(tracker.update(handAt(0.1, 0, 0.1), screens, null, FRAME), []);
+    const [end] = tracker.update(handAt(0.1, 0, 0.1), screens, null, FRAME);
+    assert.equal(end.type, 'touchend');
+    assert.equal(end.canvasX, 600);
+    assert.equal(end.touches, 0);
+});
+
+test('touching the screen draws there', async () => {
+    const harness = await createGameHarness('draw');
+    await harness.start();
+    harness.setHand('right', [0.2, 0, -1.5 + 0.005]);
+    await harness.run(0.1);
+    const starts = harness.touchEvents.filter((event) => event.type === 'touchstart');
+    assert.ok(starts.some((event) => event.touchId === 'right-index' && event.canvasX === 1000 && event.canvasY === 450));
+    assert.ok(harness.screenGame._screen.strokes.some((stroke) => stroke.x === 1000 && stroke.y === 450));
+
+    harness.removeHand('right');
+    await harness.run(0.1);
+    assert.equal(harness.touchEvents.at(-1).type, 'touchend');
+    assert.equal(harness.touchEvents.at(-1).touches, 0);
+    harness.dispose();
+});
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { XR_BUTTONS } from 'gamepad-wrapper';
+import { createGameHarness } from './gameHarness.js';
+
+test('a shot is sent only to the screen it hit, which scores it once', async () => {
+    const harness = await createGameHarness('tutorial');
+    await harness.start();
+    const scored = [];
+    const registerShot = harness.screenGame.registerShot;
+    harness.screenGame.registerShot = function (...args) {
+        scored.push(args);
+        return registerShot.apply(this, args);
+    };
+
+    harness.setControllerPose('right', [0, -0.2, -0.2], harness.canvasToWorld(800, 450));
+    harness.press('right', XR_BUTTONS.TRIGGER);
+    await harness.step();
+    harness.release('right', XR_BUTTONS.TRIGGER);
+    await harness.run(2);
+
+    const shots = harness.sent('RPC_REQUEST', 'vr').filter((m) => m.payload.method === 'shot');
+    assert.equal(shots.length, 1);
+    assert.deepEqual(shots[0].to, { screenId: 'main' });
+    assert.deepEqual(shots[0].deliveredTo, ['screen']);
+    assert.equal(scored.length, 1);
+    harness.dispose();
+});
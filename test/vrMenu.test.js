@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getMenuPages, getNextSettingValue, buildSettingUpdate, MENU_COLORS } from '../src/vrMenu.js';
+import { validateSetting } from '../src/settingsSchema.js';
+
+test('menu pages are the game list, system settings and the active game', () => {
+    const pages = getMenuPages('draw');
+    assert.deepEqual(pages.map((page) => page.id), ['games', 'system', 'game']);
+    assert.equal(pages[2].title, 'Draw');
+    assert.ok(pages[1].settings.every((setting) => setting.gameId === null));
+    assert.ok(!pages[1].settings.some((setting) => setting.key === 'activeGameId'));
+    assert.ok(pages[2].settings.every((setting) => setting.path.startsWith('games.draw.')));
+});
+
+test('numbers step from min, stay in range and pass validation', () => {
+    const alpha = { type: 'number', min: 0, max: 1, step: 0.01, default: 0.22 };
+    assert.equal(getNextSettingValue(alpha, 0.22, 1), 0.23);
+    assert.equal(getNextSettingValue(alpha, 0.22, -1), 0.21);
+    assert.equal(getNextSettingValue(alpha, 1, 1), 1);
+    assert.equal(getNextSettingValue(alpha, 0, -1), 0);
+    const speed = { type: 'number', min: 1, max: 10, step: 0.5, default: 5 };
+    const next = getNextSettingValue(speed, 2.5, 1);
+    assert.equal(next, 3);
+    assert.deepEqual(validateSetting(speed, next), { value: 3 });
+});
+
+test('booleans flip, selects and colors cycle, and updates are namespaced', () => {
+    assert.equal(getNextSettingValue({ type: 'boolean' }, false, 1), true);
+    const mode = { type: 'select', options: ['flat', 'curved'] };
+    assert.equal(getNextSettingValue(mode, 'curved', 1), 'flat');
+    assert.equal(getNextSettingValue(mode, 'flat', -1), 'curved');
+    assert.equal(getNextSettingValue({ type: 'color' }, '#123456', 1), MENU_COLORS[0]);
+    assert.equal(getNextSettingValue({ type: 'color' }, MENU_COLORS[0], -1), MENU_COLORS[MENU_COLORS.length - 1]);
+    assert.deepEqual(buildSettingUpdate({ key: 'screenGeometryMode', gameId: null }, 'flat'), { system: { screenGeometryMode: 'flat' } });
+    assert.deepEqual(buildSettingUpdate({ key: 'drawAlpha', gameId: 'draw' }, 0.3), { games: { draw: { drawAlpha: 0.3 } } });
+});